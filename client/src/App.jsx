@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, LayersControl, Marker, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import axios from 'axios';
 import L from 'leaflet';
@@ -382,6 +382,20 @@ function App() {
                                 </p>
                             </div>
 
+                            {result.data_quality && (
+                                <div className="bg-slate-50 p-3 rounded-lg border border-slate-200">
+                                    <p className="text-[10px] text-slate-500 uppercase font-bold mb-1">📋 Data Quality</p>
+                                    <p className="text-xs text-slate-700">
+                                        Grade {result.data_quality.grade} ({result.data_quality.confidence} confidence)
+                                    </p>
+                                    {result.data_quality.defaulted.map((input) => (
+                                        <p key={input} className="text-[10px] text-slate-500 mt-1">
+                                            ⚠ {result.provenance[input].reason}
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+
                             {result.prediction.saturation_percent !== undefined && (
                                 <div className="bg-blue-50 p-3 rounded-lg border border-blue-200">
                                     <p className="text-[10px] text-blue-600 uppercase font-bold mb-1">💧 Soil Saturation</p>
@@ -497,7 +511,15 @@ function App() {
             </div>
 
             <MapContainer center={[10.8505, 76.2711]} zoom={8} scrollWheelZoom={true} className="h-full w-full z-0">
-                <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+                <LayersControl position="topright">
+                    <LayersControl.BaseLayer checked name="OpenStreetMap">
+                        <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+                    </LayersControl.BaseLayer>
+                    {/* Server-rendered risk_level bands; on-demand tiles are limited to zooms 8-16 */}
+                    <LayersControl.Overlay name="Landslide hazard">
+                        <TileLayer url={apiConfig.endpoints.tiles} opacity={0.55} minZoom={8} maxNativeZoom={16} />
+                    </LayersControl.Overlay>
+                </LayersControl>
                 <MapClickHandler setMarker={setMarker} predictRisk={predictRisk} />
                 {marker && <Marker position={marker} />}
             </MapContainer>
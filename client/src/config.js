@@ -6,7 +6,8 @@ export const apiConfig = {
     endpoints: {
         predict: `${API_URL}/predict`,
         health: `${API_URL}/health`,
-        corsTest: `${API_URL}/cors-test`
+        corsTest: `${API_URL}/cors-test`,
+        tiles: `${API_URL}/tiles/{z}/{x}/{y}.png`
     }
 };
 
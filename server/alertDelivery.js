@@ -0,0 +1,254 @@
+/**
+ * Alert Delivery Module
+ * Transports for alert notifications and their delivery log:
+ * - webhook: JSON POST to the channel's url, signed with HMAC-SHA256 in
+ *   X-Alert-Signature when the channel has a secret
+ * - email: plain-text mail through the SMTP server in SMTP_URL, sent from
+ *   ALERT_EMAIL_FROM
+ * Every notification is logged per channel. A failed attempt is retried with
+ * exponential backoff (ALERT_RETRY_BASE_MS, doubling) until ALERT_MAX_ATTEMPTS
+ * attempts have failed.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const nodemailer = require("nodemailer");
+const { getStoreConnection } = require("./predictionStore");
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const DEFAULT_EMAIL_FROM = "Landslide alerts <alerts@localhost>";
+
+const maxAttempts = () => Number(process.env.ALERT_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const retryBaseMs = () => Number(process.env.ALERT_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+
+const deliverySchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, required: true },
+  rule_name: { type: String, required: true },
+  // "triggered", "resolved" or "test"
+  event: { type: String, required: true },
+  // Position in the rule's channels, and what it points at (secrets are not logged)
+  channel_index: { type: Number, required: true },
+  channel: { type: { type: String, required: true }, target: { type: String, required: true } },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  // "pending" (attempt due at next_attempt_at), "delivered" or "failed"
+  status: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  last_error: { type: String, default: null },
+  next_attempt_at: { type: Date, default: null },
+  created_at: { type: Date, required: true, default: Date.now },
+  delivered_at: { type: Date, default: null }
+}, { minimize: false, versionKey: false, collection: "alert_deliveries" });
+
+deliverySchema.index({ status: 1, next_attempt_at: 1 });
+deliverySchema.index({ rule: 1, created_at: -1 });
+
+/**
+ * The delivery log model on the store connection, or null when it is not connected
+ */
+const deliveryModel = () => {
+  const connection = getStoreConnection();
+  if (!connection) return null;
+  return connection.models.AlertDelivery || connection.model("AlertDelivery", deliverySchema);
+};
+
+/**
+ * Subject and body of an alert email
+ * @param {object} payload - Alert payload (see alerts.js)
+ * @returns {object} { subject, text }
+ */
+const formatAlertMessage = (payload) => {
+  const subject = `[Landslide alert] ${payload.rule.name}: ${payload.message}`;
+  const lines = [payload.message, "", `Rule: ${payload.rule.name} (${payload.rule.condition})`];
+  if (payload.site) lines.push(`Site: ${payload.site.name} (${payload.site.lat}, ${payload.site.lng})`);
+  if (payload.evaluation) {
+    const e = payload.evaluation;
+    lines.push(`Evaluated: ${new Date(e.evaluated_at).toISOString()}`);
+    lines.push(`FoS: ${e.FoS ?? "n/a"}  Risk: ${e.risk_level ?? "n/a"}  Warning: ${e.warning ?? "n/a"}`);
+  }
+  lines.push("", `Sent ${payload.timestamp}`);
+  return { subject, text: lines.join("\n") };
+};
+
+/**
+ * HMAC-SHA256 of the request body, as sent in X-Alert-Signature
+ */
+const signPayload = (body, secret) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+const sendWebhook = async (channel, payload) => {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "KeralaLandslidePredictionAPI/1.0",
+    "X-Alert-Event": payload.event
+  };
+  if (channel.secret) headers["X-Alert-Signature"] = signPayload(body, channel.secret);
+
+  try {
+    await axios.post(channel.url, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+  } catch (err) {
+    throw new Error(err.response ? `webhook answered HTTP ${err.response.status}` : `webhook unreachable: ${err.message}`);
+  }
+};
+
+// One transport per SMTP_URL
+const transports = new Map();
+
+const sendEmail = async (channel, payload) => {
+  const url = process.env.SMTP_URL;
+  if (!url) throw new Error("SMTP is not configured (set SMTP_URL)");
+  if (!transports.has(url)) transports.set(url, nodemailer.createTransport(url));
+
+  const { subject, text } = formatAlertMessage(payload);
+  await transports.get(url).sendMail({
+    from: process.env.ALERT_EMAIL_FROM || DEFAULT_EMAIL_FROM,
+    to: channel.to.join(", "),
+    subject,
+    text
+  });
+};
+
+const SENDERS = { webhook: sendWebhook, email: sendEmail };
+
+/**
+ * Send a payload over one channel
+ * @param {object} channel - { type: "webhook", url, secret } or { type: "email", to: [addresses] }
+ * @param {object} payload
+ * @throws {Error} When the delivery failed
+ */
+const sendAlert = (channel, payload) => SENDERS[channel.type](channel, payload);
+
+/**
+ * What a channel points at, for the log
+ */
+const channelTarget = channel => (channel.type === "webhook" ? channel.url : channel.to.join(", "));
+
+const toDelivery = ({ _id, rule, ...delivery }) => ({ id: _id.toString(), rule: rule.toString(), ...delivery });
+
+/**
+ * How long a claimed delivery is held by the instance attempting it
+ */
+const leaseUntil = (now = new Date()) => new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 3);
+
+/**
+ * Log a notification for each channel of a rule, claimed for a first attempt
+ * by the caller: the retry pass only picks it up once the lease has run out
+ * @param {object} rule - { id, name, channels }
+ * @param {string} event
+ * @param {object} payload
+ * @returns {Promise<object[]>} The logged deliveries (channel order)
+ */
+const logDeliveries = async (rule, event, payload) => {
+  const lease = leaseUntil();
+  const docs = await deliveryModel().insertMany(rule.channels.map((channel, i) => ({
+    rule: rule.id,
+    rule_name: rule.name,
+    event,
+    channel_index: i,
+    channel: { type: channel.type, target: channelTarget(channel) },
+    payload,
+    status: "pending",
+    next_attempt_at: lease
+  })));
+  return docs.map(doc => toDelivery(doc.toObject()));
+};
+
+/**
+ * Attempt a logged delivery and record the outcome
+ * @param {object} delivery - A logged delivery
+ * @param {object|null} channel - The channel it goes to (null when the rule is gone)
+ * @returns {Promise<object>} The updated delivery
+ */
+const attemptDelivery = async (delivery, channel) => {
+  const attempts = delivery.attempts + 1;
+  let update;
+  try {
+    if (!channel) throw new Error("the alert rule was deleted");
+    await sendAlert(channel, delivery.payload);
+    update = { status: "delivered", attempts, last_error: null, next_attempt_at: null, delivered_at: new Date() };
+  } catch (err) {
+    const retry = channel && attempts < maxAttempts();
+    update = {
+      status: retry ? "pending" : "failed",
+      attempts,
+      last_error: err.message,
+      next_attempt_at: retry ? new Date(Date.now() + retryBaseMs() * 2 ** (attempts - 1)) : null
+    };
+  }
+
+  await deliveryModel().updateOne({ _id: delivery.id }, { $set: update });
+  return { ...delivery, ...update };
+};
+
+/**
+ * Claim the deliveries whose retry is due
+ * A claimed delivery's next attempt is pushed back by a lease first, so
+ * another server instance does not attempt it at the same time
+ * @returns {Promise<object[]>}
+ */
+const claimDueDeliveries = async () => {
+  const Delivery = deliveryModel();
+  const now = new Date();
+  const due = await Delivery.find({ status: "pending", next_attempt_at: { $lte: now } }).sort({ next_attempt_at: 1 }).limit(50).lean();
+
+  const claimed = [];
+  for (const delivery of due) {
+    const result = await Delivery.updateOne(
+      { _id: delivery._id, next_attempt_at: delivery.next_attempt_at },
+      { $set: { next_attempt_at: leaseUntil(now) } }
+    );
+    if (result.modifiedCount === 1) claimed.push(toDelivery(delivery));
+  }
+  return claimed;
+};
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+const DEFAULT_LOG_LENGTH = 100;
+const MAX_LOG_LENGTH = 1000;
+
+/**
+ * Validate the delivery log query
+ * @param {object} query - rule (id), status and limit
+ * @returns {object} { filter, limit }
+ * @throws {Error} When a filter is invalid
+ */
+const parseDeliveryQuery = (query = {}) => {
+  const filter = {};
+  if (query.rule !== undefined) {
+    if (!mongoose.isValidObjectId(query.rule)) throw new Error("rule must be an alert rule id");
+    filter.rule = query.rule;
+  }
+  if (query.status !== undefined) {
+    if (!DELIVERY_STATUSES.includes(query.status)) throw new Error(`status must be one of ${DELIVERY_STATUSES.join(", ")}`);
+    filter.status = query.status;
+  }
+  const limit = query.limit === undefined ? DEFAULT_LOG_LENGTH : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LENGTH) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LOG_LENGTH}`);
+  }
+  return { filter, limit };
+};
+
+/**
+ * Logged deliveries, newest first
+ * @param {object} query - parseDeliveryQuery result
+ */
+const listDeliveries = async ({ filter, limit }) => {
+  const docs = await deliveryModel().find(filter).sort({ created_at: -1, _id: -1 }).limit(limit).lean();
+  return docs.map(toDelivery);
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  formatAlertMessage,
+  signPayload,
+  sendAlert,
+  logDeliveries,
+  attemptDelivery,
+  claimDueDeliveries,
+  parseDeliveryQuery,
+  listDeliveries,
+};
@@ -0,0 +1,321 @@
+/**
+ * Alert Rules Module
+ * Rules that watch monitored-site evaluations and notify webhooks and email
+ * (see alertDelivery.js) when risk rises. A rule covers one site or every
+ * monitored site inside a bbox, and trips when FoS drops below a threshold or
+ * the risk level reaches a level. Hysteresis keeps a tripped rule quiet until
+ * the site has clearly recovered, so a slope hovering at the threshold does
+ * not flap; recovery sends a "resolved" notification.
+ */
+
+const mongoose = require("mongoose");
+const { getStoreConnection } = require("./predictionStore");
+const { logDeliveries, attemptDelivery, claimDueDeliveries } = require("./alertDelivery");
+
+const RISK_RANKS = { Low: 0, Medium: 1, High: 2, Extreme: 3 };
+const CONDITION_TYPES = ["fos", "risk_level"];
+const CHANNEL_TYPES = ["webhook", "email"];
+const MAX_NAME_LENGTH = 100;
+const MAX_CHANNELS = 10;
+
+// FoS above the threshold needed to re-arm a tripped FoS rule
+const DEFAULT_FOS_HYSTERESIS = 0.1;
+// Evaluations in a row below the level needed to re-arm a tripped risk level rule
+const DEFAULT_CLEAR_AFTER = 2;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ruleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // One of: the site's id, or [west, south, east, north] covering every site inside
+  scope: {
+    site: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    bbox: { type: [Number], default: undefined }
+  },
+  condition: { type: mongoose.Schema.Types.Mixed, required: true },
+  channels: { type: mongoose.Schema.Types.Mixed, required: true },
+  notify_resolved: { type: Boolean, default: true },
+  // Per site id: { active, since, clear_count }
+  state: { type: mongoose.Schema.Types.Mixed, default: {} },
+  created_at: { type: Date, required: true, default: Date.now }
+}, { minimize: false, versionKey: false, collection: "alert_rules" });
+
+/**
+ * The rule model on the store connection, or null when it is not connected
+ */
+const ruleModel = () => {
+  const connection = getStoreConnection();
+  if (!connection) return null;
+  return connection.models.AlertRule || connection.model("AlertRule", ruleSchema);
+};
+
+const parseCondition = (raw) => {
+  if (!raw || !CONDITION_TYPES.includes(raw.type)) throw new Error(`condition.type must be one of ${CONDITION_TYPES.join(", ")}`);
+
+  if (raw.type === "fos") {
+    const below = Number(raw.below);
+    if (!(below > 0)) throw new Error("condition.below must be a positive FoS");
+    const hysteresis = raw.hysteresis === undefined ? DEFAULT_FOS_HYSTERESIS : Number(raw.hysteresis);
+    if (!(hysteresis >= 0 && hysteresis <= 1)) throw new Error("condition.hysteresis must be between 0 and 1");
+    return { type: "fos", below, hysteresis };
+  }
+
+  const levels = Object.keys(RISK_RANKS).filter(level => RISK_RANKS[level] > 0);
+  if (!levels.includes(raw.atLeast)) throw new Error(`condition.atLeast must be one of ${levels.join(", ")}`);
+  const clearAfter = raw.clearAfter === undefined ? DEFAULT_CLEAR_AFTER : Number(raw.clearAfter);
+  if (!Number.isInteger(clearAfter) || clearAfter < 1 || clearAfter > 10) throw new Error("condition.clearAfter must be an integer between 1 and 10");
+  return { type: "risk_level", atLeast: raw.atLeast, clearAfter };
+};
+
+const parseChannel = (raw, i) => {
+  const where = `channels[${i}]`;
+  if (!raw || !CHANNEL_TYPES.includes(raw.type)) throw new Error(`${where}.type must be one of ${CHANNEL_TYPES.join(", ")}`);
+
+  if (raw.type === "webhook") {
+    let url;
+    try {
+      url = new URL(raw.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) throw new Error(`${where}.url must be an http(s) URL`);
+    if (raw.secret !== undefined && (typeof raw.secret !== "string" || !raw.secret)) throw new Error(`${where}.secret must be a non-empty string`);
+    return { type: "webhook", url: url.toString(), ...(raw.secret ? { secret: raw.secret } : {}) };
+  }
+
+  const to = typeof raw.to === "string" ? [raw.to] : raw.to;
+  if (!Array.isArray(to) || to.length === 0 || !to.every(a => typeof a === "string" && EMAIL.test(a))) {
+    throw new Error(`${where}.to must be an email address or a list of them`);
+  }
+  return { type: "email", to };
+};
+
+/**
+ * Validate a new alert rule
+ * @param {object} body - { name, siteId | bbox: [west, south, east, north], condition, channels, notifyResolved }
+ *   condition: { type: "fos", below, hysteresis } or { type: "risk_level", atLeast, clearAfter }
+ *   channels: [{ type: "webhook", url, secret } | { type: "email", to }]
+ * @returns {object} Rule fields
+ * @throws {Error} When a field is invalid
+ */
+const parseAlertRule = (body) => {
+  const raw = body || {};
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+
+  if ((raw.siteId === undefined) === (raw.bbox === undefined)) throw new Error("give either siteId or bbox");
+  let scope;
+  if (raw.siteId !== undefined) {
+    if (!mongoose.isValidObjectId(raw.siteId)) throw new Error("siteId must be a monitored site id");
+    scope = { site: String(raw.siteId) };
+  } else {
+    const bbox = Array.isArray(raw.bbox) ? raw.bbox.map(Number) : [];
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)) throw new Error("bbox must be [west, south, east, north]");
+    const [west, south, east, north] = bbox;
+    if (!(west >= -180 && east <= 180 && west < east)) throw new Error("west must be below east within -180..180");
+    if (!(south >= -90 && north <= 90 && south < north)) throw new Error("south must be below north within -90..90");
+    scope = { site: null, bbox };
+  }
+
+  if (!Array.isArray(raw.channels) || raw.channels.length === 0 || raw.channels.length > MAX_CHANNELS) {
+    throw new Error(`channels must be a list of 1 to ${MAX_CHANNELS} channels`);
+  }
+
+  return {
+    name,
+    scope,
+    condition: parseCondition(raw.condition),
+    channels: raw.channels.map(parseChannel),
+    notify_resolved: raw.notifyResolved === undefined ? true : Boolean(raw.notifyResolved)
+  };
+};
+
+/**
+ * Human-readable condition
+ */
+const describeCondition = condition => (condition.type === "fos"
+  ? `FoS below ${condition.below} (re-armed at ${Number((condition.below + condition.hysteresis).toFixed(3))})`
+  : `risk level ${condition.atLeast} or above (re-armed after ${condition.clearAfter} evaluations below)`);
+
+/**
+ * Step a rule's state for one site with a new evaluation
+ * Only successful evaluations (status 200) with a FoS or risk level count
+ * @param {object} condition - parseAlertRule condition
+ * @param {object} state - { active, since, clear_count } (undefined before the first evaluation)
+ * @param {object} evaluation - Site time series entry
+ * @returns {object} { state, event: "triggered" | "resolved" | null }
+ */
+const stepCondition = (condition, state, evaluation) => {
+  const current = state || { active: false, since: null, clear_count: 0 };
+  const at = evaluation.evaluated_at;
+
+  if (evaluation.status !== 200) return { state: current, event: null };
+
+  if (condition.type === "fos") {
+    if (!Number.isFinite(evaluation.FoS)) return { state: current, event: null };
+    if (!current.active && evaluation.FoS < condition.below) {
+      return { state: { active: true, since: at, clear_count: 0 }, event: "triggered" };
+    }
+    if (current.active && evaluation.FoS >= condition.below + condition.hysteresis) {
+      return { state: { active: false, since: at, clear_count: 0 }, event: "resolved" };
+    }
+    return { state: current, event: null };
+  }
+
+  const rank = RISK_RANKS[evaluation.risk_level];
+  if (rank === undefined) return { state: current, event: null };
+  const reached = rank >= RISK_RANKS[condition.atLeast];
+  if (!current.active) {
+    return reached
+      ? { state: { active: true, since: at, clear_count: 0 }, event: "triggered" }
+      : { state: current, event: null };
+  }
+  if (reached) return { state: { ...current, clear_count: 0 }, event: null };
+  const clearCount = current.clear_count + 1;
+  return clearCount >= condition.clearAfter
+    ? { state: { active: false, since: at, clear_count: 0 }, event: "resolved" }
+    : { state: { ...current, clear_count: clearCount }, event: null };
+};
+
+// Webhook secrets are never returned
+const publicChannels = channels => channels.map(({ secret, ...channel }) => (secret ? { ...channel, signed: true } : channel));
+
+const toRule = ({ _id, scope, channels, ...rule }) => ({
+  id: _id.toString(),
+  ...rule,
+  scope: scope.site ? { site: scope.site.toString() } : { bbox: scope.bbox },
+  channels: publicChannels(channels)
+});
+
+const createRule = async (fields) => {
+  const rule = await ruleModel().create(fields);
+  return toRule(rule.toObject());
+};
+
+const listRules = async () => (await ruleModel().find().sort({ created_at: 1 }).lean()).map(toRule);
+
+/**
+ * A rule with its channels' secrets (for delivery), or null when the id is unknown
+ */
+const findRule = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const rule = await ruleModel().findById(id).lean();
+  return rule ? { ...toRule(rule), channels: rule.channels } : null;
+};
+
+const getRule = async (id) => {
+  const rule = await findRule(id);
+  return rule ? { ...rule, channels: publicChannels(rule.channels) } : null;
+};
+
+const deleteRule = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return false;
+  return !!(await ruleModel().findByIdAndDelete(id));
+};
+
+/**
+ * Drop a deleted site from the rules: rules scoped to it are deleted and its
+ * state is removed from the bbox rules that covered it
+ * @param {string} siteId
+ * @returns {Promise<number>} Rules deleted
+ */
+const forgetSite = async (siteId) => {
+  const Rule = ruleModel();
+  if (!Rule) return 0;
+  const { deletedCount } = await Rule.deleteMany({ "scope.site": siteId });
+  await Rule.updateMany({ [`state.${siteId}`]: { $exists: true } }, { $unset: { [`state.${siteId}`]: "" } });
+  return deletedCount;
+};
+
+const messageFor = (event, rule, site, evaluation) => {
+  if (event === "test") return `Test notification for rule "${rule.name}"`;
+  const reading = rule.condition.type === "fos"
+    ? `FoS ${evaluation.FoS}`
+    : `risk level ${evaluation.risk_level}`;
+  return event === "triggered"
+    ? `${site.name}: ${reading} (${describeCondition(rule.condition)})`
+    : `${site.name}: recovered, ${reading}`;
+};
+
+/**
+ * Notify every channel of a rule and make the first attempt at once
+ * @param {object} rule - findRule result
+ * @param {string} event - "triggered", "resolved" or "test"
+ * @param {object|null} site
+ * @param {object|null} evaluation
+ * @returns {Promise<object[]>} The deliveries after their first attempt
+ */
+const dispatchAlert = async (rule, event, site = null, evaluation = null) => {
+  const payload = {
+    event,
+    message: messageFor(event, rule, site, evaluation),
+    rule: { id: rule.id, name: rule.name, condition: describeCondition(rule.condition) },
+    site: site ? { id: site.id, name: site.name, lat: site.lat, lng: site.lng } : null,
+    evaluation: evaluation
+      ? { evaluated_at: evaluation.evaluated_at, FoS: evaluation.FoS, risk_level: evaluation.risk_level, warning: evaluation.warning }
+      : null,
+    timestamp: new Date().toISOString()
+  };
+  const deliveries = await logDeliveries(rule, event, payload);
+  return Promise.all(deliveries.map(delivery => attemptDelivery(delivery, rule.channels[delivery.channel_index])));
+};
+
+const covers = (rule, site) => {
+  if (rule.scope.site) return rule.scope.site.toString() === site.id;
+  const [west, south, east, north] = rule.scope.bbox;
+  return site.lng >= west && site.lng <= east && site.lat >= south && site.lat <= north;
+};
+
+/**
+ * Step every rule covering a site with its new evaluation and notify on transitions
+ * @param {object} site - Monitored site
+ * @param {object} evaluation - The recorded evaluation
+ * @returns {Promise<object[]>} [{ rule, event }] for the rules that fired
+ */
+const checkAlertRules = async (site, evaluation) => {
+  const Rule = ruleModel();
+  if (!Rule) return [];
+
+  const rules = await Rule.find({ $or: [{ "scope.site": site.id }, { "scope.site": null }] }).lean();
+  const fired = [];
+  for (const doc of rules.filter(rule => covers(rule, site))) {
+    const { state, event } = stepCondition(doc.condition, doc.state[site.id], evaluation);
+    await Rule.updateOne({ _id: doc._id }, { $set: { [`state.${site.id}`]: state } });
+    if (!event || (event === "resolved" && !doc.notify_resolved)) continue;
+
+    await dispatchAlert({ ...toRule(doc), channels: doc.channels }, event, site, evaluation);
+    fired.push({ rule: doc._id.toString(), event });
+  }
+  return fired;
+};
+
+/**
+ * Attempt the deliveries whose retry is due
+ * @returns {Promise<number>} Deliveries attempted
+ */
+const retryDeliveries = async () => {
+  if (!ruleModel()) return 0;
+  const due = await claimDueDeliveries();
+  for (const delivery of due) {
+    const rule = await findRule(delivery.rule);
+    await attemptDelivery(delivery, rule ? rule.channels[delivery.channel_index] || null : null);
+  }
+  return due.length;
+};
+
+module.exports = {
+  RISK_RANKS,
+  parseAlertRule,
+  describeCondition,
+  stepCondition,
+  createRule,
+  listRules,
+  findRule,
+  getRule,
+  deleteRule,
+  forgetSite,
+  dispatchAlert,
+  checkAlertRules,
+  retryDeliveries,
+};
@@ -0,0 +1,76 @@
+/**
+ * Antecedent Rainfall Module
+ * Antecedent precipitation index (API) with exponential decay:
+ * API = Σ k^i · P(i), where P(i) is the rainfall i days before today
+ */
+
+// Open-Meteo serves at most 92 past days
+const MAX_ANTECEDENT_DAYS = 92;
+
+const DEFAULT_ANTECEDENT = {
+  decay: 0.9, // daily decay constant k (0 < k <= 1)
+  days: 30 // window length including today
+};
+
+/**
+ * Validate the per-request antecedent rainfall options
+ * @param {object} raw - { decay, days }
+ * @returns {object} Options merged with DEFAULT_ANTECEDENT
+ * @throws {Error} When a value is out of range
+ */
+const parseAntecedentOptions = (raw) => {
+  if (raw === undefined || raw === null) return DEFAULT_ANTECEDENT;
+  if (typeof raw !== "object") throw new Error("antecedent must be an object");
+
+  const opts = { ...DEFAULT_ANTECEDENT, ...raw };
+  opts.decay = Number(opts.decay);
+  opts.days = Number(opts.days);
+  if (!(opts.decay > 0 && opts.decay <= 1)) throw new Error("decay must be in (0, 1]");
+  if (!Number.isInteger(opts.days) || opts.days < 1 || opts.days > MAX_ANTECEDENT_DAYS) {
+    throw new Error(`days must be an integer between 1 and ${MAX_ANTECEDENT_DAYS}`);
+  }
+  return opts;
+};
+
+/**
+ * Compute the antecedent precipitation index from a daily series
+ * @param {Array<{date: string, precipitation: number}>} daily - Oldest first, last entry = today
+ * @param {object} options - { decay, days }
+ * @returns {object} { index, decay, days, contributing_days }
+ */
+const computeAntecedentIndex = (daily, { decay = DEFAULT_ANTECEDENT.decay, days = DEFAULT_ANTECEDENT.days } = {}) => {
+  const series = Array.isArray(daily) ? daily : [];
+  const contributing = [];
+  let index = 0;
+
+  for (let lag = 0; lag < days && lag < series.length; lag++) {
+    const day = series[series.length - 1 - lag];
+    const rain = Number(day.precipitation) || 0;
+    const weight = Math.pow(decay, lag);
+    index += weight * rain;
+    if (rain > 0) {
+      contributing.push({
+        date: day.date,
+        days_ago: lag,
+        rain_mm: Number(rain.toFixed(1)),
+        weight: Number(weight.toFixed(4)),
+        contribution: Number((weight * rain).toFixed(2))
+      });
+    }
+  }
+
+  return {
+    index: Number(index.toFixed(2)),
+    decay,
+    days,
+    days_available: Math.min(days, series.length),
+    contributing_days: contributing
+  };
+};
+
+module.exports = {
+  MAX_ANTECEDENT_DAYS,
+  DEFAULT_ANTECEDENT,
+  parseAntecedentOptions,
+  computeAntecedentIndex,
+};
@@ -0,0 +1,95 @@
+/**
+ * Batch Module
+ * Request parsing and scheduling for many-point predictions: shared options
+ * with per-point overrides, deduplication of identical sites, a minimum
+ * spacing between upstream fetches and bounded concurrency
+ */
+
+const MAX_BATCH_POINTS = Number(process.env.BATCH_MAX_POINTS) || 500;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 8;
+
+// Minimum gap (ms) between the starts of two sites' upstream fetches
+const DEFAULT_FETCH_INTERVAL = Number(process.env.BATCH_FETCH_INTERVAL_MS ?? 200);
+
+// Request fields that change the collected site inputs (weather, terrain, soil, land cover)
+const SITE_FIELDS = ["date", "manualRain", "antecedent", "terrain", "soilSampling", "landCover"];
+
+// Batch-level fields that are not prediction options
+const BATCH_FIELDS = ["points", "concurrency"];
+
+/**
+ * Validate the batch body
+ * @param {object} body - { points: [{ id, lat, lng, depth, ...overrides }], concurrency, ...shared options }
+ * @returns {object} { points: [{ index, id, body }], concurrency } where body merges the shared options with the point's
+ * @throws {Error} When points is missing, too long or holds non-objects
+ */
+const parseBatchRequest = (body) => {
+  const { points, concurrency: rawConcurrency, ...shared } = body || {};
+  if (!Array.isArray(points) || points.length === 0) throw new Error("points must be a non-empty array");
+  if (points.length > MAX_BATCH_POINTS) throw new Error(`points may hold at most ${MAX_BATCH_POINTS} entries`);
+
+  const concurrency = rawConcurrency === undefined ? DEFAULT_CONCURRENCY : Number(rawConcurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+  }
+
+  return {
+    concurrency,
+    points: points.map((point, index) => {
+      if (!point || typeof point !== "object" || Array.isArray(point)) throw new Error(`points[${index}] must be an object`);
+      const { id, ...overrides } = point;
+      for (const field of BATCH_FIELDS) {
+        if (field in overrides) throw new Error(`points[${index}] cannot set ${field}`);
+      }
+      return { index, id: id === undefined ? String(index) : String(id), body: { ...shared, ...overrides } };
+    })
+  };
+};
+
+/**
+ * Key identifying points whose site inputs are identical
+ * Coordinates are compared to 6 decimals (~0.1 m)
+ */
+const siteKey = (lat, lng, body) =>
+  JSON.stringify([Number(lat).toFixed(6), Number(lng).toFixed(6), ...SITE_FIELDS.map(f => body[f] ?? null)]);
+
+/**
+ * Spacing limiter: each call resolves at least intervalMs after the previous one
+ * @returns {Function} async () => void
+ */
+const createThrottle = (intervalMs = DEFAULT_FETCH_INTERVAL) => {
+  let next = 0;
+  return () => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+    next = start + intervalMs;
+    return start > now ? new Promise(resolve => setTimeout(resolve, start - now)) : Promise.resolve();
+  };
+};
+
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * @returns {Promise<Array>} Results in item order
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let cursor = 0;
+  const lane = async () => {
+    while (cursor < items.length) {
+      const i = cursor++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+};
+
+module.exports = {
+  MAX_BATCH_POINTS,
+  MAX_CONCURRENCY,
+  parseBatchRequest,
+  siteKey,
+  createThrottle,
+  mapWithConcurrency,
+};
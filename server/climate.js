@@ -0,0 +1,165 @@
+/**
+ * Climate Module
+ * Köppen–Geiger climate zone at a point from a class grid (Beck et al. 2018
+ * legend, codes 1-30) and the model defaults that follow from it: humidity when
+ * no observation is available, base soil moisture, vegetation and topsoil texture.
+ * The bundled grid covers the Indian subcontinent (68-98°E, 6-37°N) at 0.1°,
+ * rasterised from a coarse approximation of the Beck et al. (2018) map
+ * (koppen_india.geojson, CC BY 4.0); `node koppenGrid.js clip` builds it from
+ * the published 1 km map instead. Off the grid, or without one, every point
+ * gets the default zone the service has always assumed, labelled as such.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fromFile } = require("geotiff");
+
+// Bundled next to the soil rasters; KOPPEN_PATH replaces it (e.g. with a global grid)
+const DEFAULT_KOPPEN_PATH = path.join(__dirname, "koppen_geiger.tif");
+
+/**
+ * Defaults per main climate type
+ * - humidity: typical relative humidity (%) used when weather is unavailable
+ * - base_moisture: soil moisture fraction before humidity and rainfall are added
+ * - vegetation: land-cover class assumed when no land-cover data identifies one
+ * - texture: topsoil clay / sand (%) used when no soil data covers the point
+ */
+const CLIMATE_TYPES = {
+  Af: { humidity: 85, base_moisture: 0.15, vegetation: "tree_cover", texture: { clay: 38, sand: 30 } },
+  Am: { humidity: 80, base_moisture: 0.12, vegetation: "tree_cover", texture: { clay: 35, sand: 30 } },
+  Aw: { humidity: 70, base_moisture: 0.1, vegetation: "shrubland", texture: { clay: 32, sand: 40 } },
+  BW: { humidity: 30, base_moisture: 0.03, vegetation: "bare", texture: { clay: 12, sand: 70 } },
+  BS: { humidity: 45, base_moisture: 0.06, vegetation: "grassland", texture: { clay: 20, sand: 55 } },
+  Cs: { humidity: 60, base_moisture: 0.08, vegetation: "shrubland", texture: { clay: 25, sand: 40 } },
+  Cw: { humidity: 70, base_moisture: 0.1, vegetation: "tree_cover", texture: { clay: 28, sand: 38 } },
+  Cf: { humidity: 75, base_moisture: 0.12, vegetation: "tree_cover", texture: { clay: 25, sand: 40 } },
+  Ds: { humidity: 60, base_moisture: 0.08, vegetation: "shrubland", texture: { clay: 20, sand: 45 } },
+  Dw: { humidity: 65, base_moisture: 0.1, vegetation: "tree_cover", texture: { clay: 20, sand: 45 } },
+  Df: { humidity: 70, base_moisture: 0.12, vegetation: "tree_cover", texture: { clay: 20, sand: 45 } },
+  ET: { humidity: 75, base_moisture: 0.14, vegetation: "grassland", texture: { clay: 12, sand: 55 } },
+  EF: { humidity: 80, base_moisture: 0, vegetation: "snow_ice", texture: { clay: 5, sand: 60 } }
+};
+
+// Grid codes in the Beck et al. (2018) legend
+const KOPPEN_ZONES = [
+  null,
+  { code: "Af", name: "Tropical Rainforest" },
+  { code: "Am", name: "Tropical Monsoon" },
+  { code: "Aw", name: "Tropical Savanna" },
+  { code: "BWh", name: "Hot Desert" },
+  { code: "BWk", name: "Cold Desert" },
+  { code: "BSh", name: "Hot Semi-Arid" },
+  { code: "BSk", name: "Cold Semi-Arid" },
+  { code: "Csa", name: "Hot-Summer Mediterranean" },
+  { code: "Csb", name: "Warm-Summer Mediterranean" },
+  { code: "Csc", name: "Cold-Summer Mediterranean" },
+  { code: "Cwa", name: "Monsoon-Influenced Humid Subtropical" },
+  { code: "Cwb", name: "Subtropical Highland" },
+  { code: "Cwc", name: "Cold Subtropical Highland" },
+  { code: "Cfa", name: "Humid Subtropical" },
+  { code: "Cfb", name: "Temperate Oceanic" },
+  { code: "Cfc", name: "Subpolar Oceanic" },
+  { code: "Dsa", name: "Hot-Summer Mediterranean Continental" },
+  { code: "Dsb", name: "Warm-Summer Mediterranean Continental" },
+  { code: "Dsc", name: "Dry-Summer Subarctic" },
+  { code: "Dsd", name: "Dry-Summer Extremely Cold Subarctic" },
+  { code: "Dwa", name: "Monsoon-Influenced Hot-Summer Continental" },
+  { code: "Dwb", name: "Monsoon-Influenced Warm-Summer Continental" },
+  { code: "Dwc", name: "Monsoon-Influenced Subarctic" },
+  { code: "Dwd", name: "Monsoon-Influenced Extremely Cold Subarctic" },
+  { code: "Dfa", name: "Hot-Summer Humid Continental" },
+  { code: "Dfb", name: "Warm-Summer Humid Continental" },
+  { code: "Dfc", name: "Subarctic" },
+  { code: "Dfd", name: "Extremely Cold Subarctic" },
+  { code: "ET", name: "Tundra" },
+  { code: "EF", name: "Ice Cap" }
+];
+
+// Zone and humidity (%) assumed by the service before the lookup existed
+const DEFAULT_ZONE = "Am";
+const DEFAULT_HUMIDITY = 70;
+
+let grid = null;
+
+/**
+ * Open the Köppen–Geiger class grid (geographic WGS84 GeoTIFF of legend codes)
+ * Pixels are read on demand, so a fine global grid is not loaded into memory
+ * @param {string} filePath - Defaults to KOPPEN_PATH, then the bundled grid
+ * @returns {Promise<boolean>} Whether a grid is available
+ */
+const initClimate = async (filePath = process.env.KOPPEN_PATH || DEFAULT_KOPPEN_PATH) => {
+  if (!fs.existsSync(filePath)) {
+    grid = null;
+    console.warn(`Köppen grid not found at ${filePath}; the default climate zone applies everywhere`);
+    return false;
+  }
+  try {
+    const tiff = await fromFile(filePath);
+    const image = await tiff.getImage();
+    const [originX, originY] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    grid = { path: filePath, image, width: image.getWidth(), height: image.getHeight(), originX, originY, resX, resY };
+    console.log(`Opened Köppen grid ${filePath} (${grid.width}x${grid.height})`);
+  } catch (err) {
+    grid = null;
+    console.warn("Köppen grid unavailable:", err.message);
+  }
+  return grid !== null;
+};
+
+const isClimateGridLoaded = () => grid !== null;
+
+// Legend code from the grid, or null outside it / over the sea (0)
+const sampleZoneCode = async (lat, lon) => {
+  if (!grid) return null;
+  const col = Math.floor((lon - grid.originX) / grid.resX);
+  const row = Math.floor((lat - grid.originY) / grid.resY);
+  if (col < 0 || row < 0 || col >= grid.width || row >= grid.height) return null;
+  const [band] = await grid.image.readRasters({ window: [col, row, col + 1, row + 1] });
+  const code = band[0];
+  return KOPPEN_ZONES[code] ? code : null;
+};
+
+const describe = (code, source) => {
+  const zone = KOPPEN_ZONES.find(z => z && z.code === code);
+  const type = CLIMATE_TYPES[code.slice(0, 2)];
+  return {
+    zone: `${zone.name} (${code})`,
+    code,
+    name: zone.name,
+    ...type,
+    texture: { ...type.texture },
+    source
+  };
+};
+
+/**
+ * Climate zone at a point
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Promise<object>} { zone, code, name, humidity, base_moisture, vegetation, texture, source }
+ */
+const getClimate = async (lat, lon) => {
+  try {
+    const code = await sampleZoneCode(lat, lon);
+    if (code !== null) return describe(KOPPEN_ZONES[code].code, "Köppen-Geiger Grid");
+  } catch (err) {
+    // unreadable pixel; fall back to the default zone
+  }
+  return defaultClimate();
+};
+
+/**
+ * Climate assumed without a grid value or when a caller supplies none
+ * (e.g. direct calculateRisk calls)
+ */
+const defaultClimate = () => ({ ...describe(DEFAULT_ZONE, "Default"), humidity: DEFAULT_HUMIDITY });
+
+module.exports = {
+  CLIMATE_TYPES,
+  KOPPEN_ZONES,
+  initClimate,
+  isClimateGridLoaded,
+  getClimate,
+  defaultClimate,
+};
@@ -0,0 +1,162 @@
+/**
+ * Fixture Data Providers
+ * Offline stand-ins for the weather, elevation, soil and geocoding services.
+ * Responses have the upstream formats and are generated from a scenario file
+ * (FIXTURE_PATH or the bundled fixtures/providers.json), so every endpoint runs
+ * without a network and gives the same answer for the same request.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "fixtures", "providers.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let scenario = null;
+
+/**
+ * Load the scenario file (once)
+ * @param {string} filePath - Defaults to FIXTURE_PATH or the bundled scenario
+ * @returns {object}
+ * @throws {Error} When the file is missing or incomplete
+ */
+const loadFixtureScenario = (filePath = process.env.FIXTURE_PATH || DEFAULT_FIXTURE_PATH) => {
+  if (scenario && scenario.path === filePath) return scenario;
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  for (const section of ["weather", "elevation", "soil", "geocoding"]) {
+    if (!raw[section] || typeof raw[section] !== "object") throw new Error(`fixture scenario ${filePath} has no ${section} section`);
+  }
+  if (!Array.isArray(raw.weather.daily_rain) || raw.weather.daily_rain.length === 0) {
+    throw new Error(`fixture scenario ${filePath} needs a non-empty weather.daily_rain`);
+  }
+  scenario = { ...raw, path: filePath };
+  return scenario;
+};
+
+const addDays = (dateStr, n) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+
+const dateRange = (start, days) => Array.from({ length: days }, (_, i) => addDays(start, i));
+
+// Rain on a date cycles through the scenario's daily_rain, one entry per calendar day
+const rainOn = (date) => {
+  const { daily_rain: rain } = loadFixtureScenario().weather;
+  return rain[Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS) % rain.length];
+};
+
+// Hourly series spreading each day's rain evenly over its hours
+const hourlySeries = (dates) => {
+  const time = [];
+  const precipitation = [];
+  for (const date of dates) {
+    for (let h = 0; h < 24; h++) {
+      time.push(`${date}T${String(h).padStart(2, "0")}:00`);
+      precipitation.push(Number((rainOn(date) / 24).toFixed(2)));
+    }
+  }
+  return { time, precipitation };
+};
+
+const weather = {
+  name: "Local fixtures (Open-Meteo format)",
+  archiveName: "Local fixtures (Open-Meteo archive format)",
+
+  current: async (points, { pastDays = 7 } = {}) => {
+    const { temperature, humidity } = loadFixtureScenario().weather;
+    const now = new Date().toISOString();
+    const today = now.slice(0, 10);
+    const dates = dateRange(addDays(today, -pastDays), pastDays + 1);
+    const hourly = hourlySeries(dates);
+    return points.map(() => ({
+      current: {
+        time: `${now.slice(0, 13)}:00`,
+        temperature_2m: temperature,
+        relative_humidity_2m: humidity,
+        precipitation: Number((rainOn(today) / 24).toFixed(2))
+      },
+      hourly,
+      daily: { time: dates, precipitation_sum: dates.map(rainOn) }
+    }));
+  },
+
+  archive: async (point, { startDate, endDate }) => {
+    const { temperature, humidity } = loadFixtureScenario().weather;
+    const days = Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+    const dates = dateRange(startDate, days);
+    const hourly = hourlySeries(dates);
+    return {
+      hourly: {
+        ...hourly,
+        temperature_2m: hourly.time.map(() => temperature),
+        relative_humidity_2m: hourly.time.map(() => humidity)
+      },
+      daily: { time: dates, precipitation_sum: dates.map(rainOn) }
+    };
+  },
+
+  forecast: async (point, { pastDays = 30, forecastDays = 7 } = {}) => {
+    const { temperature, humidity } = loadFixtureScenario().weather;
+    const today = new Date().toISOString().slice(0, 10);
+    const dates = dateRange(addDays(today, -pastDays), pastDays + forecastDays);
+    return {
+      daily: {
+        time: dates,
+        precipitation_sum: dates.map(rainOn),
+        relative_humidity_2m_mean: dates.map(() => humidity),
+        temperature_2m_mean: dates.map(() => temperature)
+      },
+      hourly: hourlySeries(dates)
+    };
+  }
+};
+
+const inWater = (lat, lon, boxes = []) =>
+  boxes.some(([west, south, east, north]) => lon >= west && lon <= east && lat >= south && lat <= north);
+
+const elevation = {
+  name: "Local fixtures (synthetic terrain)",
+
+  // Rolling hills: base + relief * sin(lat) * cos(lon) with the given wavelength; sea level inside water boxes
+  elevations: async (points) => {
+    const { base, relief, wavelength_deg: wavelength, water } = loadFixtureScenario().elevation;
+    const k = (2 * Math.PI) / wavelength;
+    return points.map(({ lat, lon }) =>
+      inWater(lat, lon, water) ? 0 : Number((base + relief * Math.sin(k * lat) * Math.cos(k * lon)).toFixed(1)));
+  }
+};
+
+const soil = {
+  name: "Local fixtures (SoilGrids format)",
+
+  // One layer per requested depth; the scenario's last layer repeats below its end
+  properties: async (point, { properties, depths }) => {
+    const { layers } = loadFixtureScenario().soil;
+    return {
+      properties: {
+        layers: Object.entries(properties).map(([name, factor]) => ({
+          name,
+          unit_measure: { d_factor: factor },
+          depths: depths.map((d, i) => ({
+            label: d.label,
+            values: { mean: Math.round(layers[Math.min(i, layers.length - 1)][name] * factor) }
+          }))
+        }))
+      }
+    };
+  }
+};
+
+const geocoding = {
+  name: "Local fixtures (Nominatim format)",
+
+  reverse: async ({ lat, lon }) => {
+    const { geocoding: place, elevation: terrain } = loadFixtureScenario();
+    if (inWater(lat, lon, terrain.water)) return { display_name: "Fixture lake", class: "water", type: "lake" };
+    return { ...place };
+  }
+};
+
+module.exports = {
+  DEFAULT_FIXTURE_PATH,
+  loadFixtureScenario,
+  fixtureProviders: { weather, elevation, soil, geocoding },
+};
@@ -0,0 +1,51 @@
+/**
+ * Geometry Helpers
+ * Point-in-polygon tests and bounding boxes for GeoJSON (Multi)Polygons in
+ * [lon, lat] order
+ */
+
+// Ray casting on one ring of [lon, lat] pairs
+const inRing = (lon, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const inPolygon = (lon, lat, rings) =>
+  inRing(lon, lat, rings[0]) && !rings.slice(1).some(hole => inRing(lon, lat, hole));
+
+/**
+ * Whether a Polygon or MultiPolygon geometry contains the point
+ */
+const containsPoint = (geometry, lon, lat) => {
+  if (geometry.type === "Polygon") return inPolygon(lon, lat, geometry.coordinates);
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.some(rings => inPolygon(lon, lat, rings));
+  return false;
+};
+
+/**
+ * Bounding box of a Polygon or MultiPolygon's outer rings
+ * @returns {number[]} [west, south, east, north]
+ */
+const geometryBounds = (geometry) => {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      bounds[0] = Math.min(bounds[0], lon);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lon);
+      bounds[3] = Math.max(bounds[3], lat);
+    }
+  }
+  return bounds;
+};
+
+module.exports = {
+  containsPoint,
+  geometryBounds,
+};
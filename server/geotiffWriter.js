@@ -0,0 +1,113 @@
+/**
+ * GeoTIFF Writer
+ * Minimal encoder for uncompressed Float32 rasters on a WGS84 lat/lon grid,
+ * one band per sample (the geotiff package only writes 8-bit data)
+ */
+
+// TIFF field types: [code, bytes per value]
+const SHORT = [3, 2];
+const LONG = [4, 4];
+const DOUBLE = [12, 8];
+const ASCII = [2, 1];
+
+/**
+ * Encode bands as a little-endian GeoTIFF (pixel-interleaved, single strip)
+ * @param {object} raster
+ * @param {number} raster.width
+ * @param {number} raster.height
+ * @param {Array<number[]>} raster.bands - Row-major values (north row first), one array per band
+ * @param {number} raster.west - Longitude of the left edge
+ * @param {number} raster.north - Latitude of the top edge
+ * @param {number} raster.resX - Cell width (degrees)
+ * @param {number} raster.resY - Cell height (degrees)
+ * @param {number} raster.noData - Value written for null cells
+ * @returns {Buffer}
+ */
+const encodeGeoTiff = ({ width, height, bands, west, north, resX, resY, noData }) => {
+  const samples = bands.length;
+  const imageBytes = width * height * samples * 4;
+
+  const geoKeys = [
+    1, 1, 0, 3, // key directory version, revision, minor revision, key count
+    1024, 0, 1, 2, // GTModelTypeGeoKey: geographic
+    1025, 0, 1, 1, // GTRasterTypeGeoKey: pixel is area
+    2048, 0, 1, 4326 // GeographicTypeGeoKey: WGS 84
+  ];
+
+  // Tags in ascending order, as TIFF requires
+  const entries = [
+    [256, LONG, [width]],
+    [257, LONG, [height]],
+    [258, SHORT, new Array(samples).fill(32)],
+    [259, SHORT, [1]], // no compression
+    [262, SHORT, [1]], // black is zero
+    [273, LONG, [0]], // strip offset, patched below
+    [277, SHORT, [samples]],
+    [278, LONG, [height]],
+    [279, LONG, [imageBytes]],
+    [284, SHORT, [1]], // pixel-interleaved
+    ...(samples > 1 ? [[338, SHORT, new Array(samples - 1).fill(0)]] : []),
+    [339, SHORT, new Array(samples).fill(3)], // IEEE floating point
+    [33550, DOUBLE, [resX, resY, 0]],
+    [33922, DOUBLE, [0, 0, 0, west, north, 0]],
+    [34735, SHORT, geoKeys],
+    [42113, ASCII, `${noData}\0`] // GDAL_NODATA
+  ];
+
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const valueBytes = ([, [, size], values]) => values.length * size;
+  let extraOffset = 8 + ifdSize;
+  const extraSize = entries.reduce((sum, e) => {
+    const bytes = valueBytes(e);
+    return bytes > 4 ? sum + bytes + (bytes % 2) : sum;
+  }, 0);
+  const imageOffset = extraOffset + extraSize;
+
+  const buffer = Buffer.alloc(imageOffset + imageBytes);
+  buffer.write("II", 0, "ascii");
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+
+  const writeValues = (offset, [code], values) => {
+    values.forEach((v, i) => {
+      if (code === SHORT[0]) buffer.writeUInt16LE(v, offset + i * 2);
+      else if (code === LONG[0]) buffer.writeUInt32LE(v, offset + i * 4);
+      else if (code === DOUBLE[0]) buffer.writeDoubleLE(v, offset + i * 8);
+      else buffer.write(v, offset + i, "ascii");
+    });
+  };
+
+  let pos = 8;
+  buffer.writeUInt16LE(entries.length, pos);
+  pos += 2;
+  for (const [tag, type, raw] of entries) {
+    const values = tag === 273 ? [imageOffset] : typeof raw === "string" ? [...raw] : raw;
+    const bytes = values.length * type[1];
+    buffer.writeUInt16LE(tag, pos);
+    buffer.writeUInt16LE(type[0], pos + 2);
+    buffer.writeUInt32LE(values.length, pos + 4);
+    if (bytes <= 4) {
+      writeValues(pos + 8, type, values);
+    } else {
+      buffer.writeUInt32LE(extraOffset, pos + 8);
+      writeValues(extraOffset, type, values);
+      extraOffset += bytes + (bytes % 2);
+    }
+    pos += 12;
+  }
+  buffer.writeUInt32LE(0, pos); // no further IFDs
+
+  let offset = imageOffset;
+  for (let i = 0; i < width * height; i++) {
+    for (const band of bands) {
+      const v = band[i];
+      buffer.writeFloatLE(v === null || v === undefined || !Number.isFinite(v) ? noData : v, offset);
+      offset += 4;
+    }
+  }
+  return buffer;
+};
+
+module.exports = {
+  encodeGeoTiff,
+};
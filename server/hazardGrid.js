@@ -0,0 +1,217 @@
+/**
+ * Hazard Grid Module
+ * Regular lat/lon grids over a bounding box or polygon for area susceptibility
+ * maps: cell layout, the padded elevation lattice for per-cell terrain, shared
+ * weather samples and the GeoJSON / GeoTIFF outputs
+ */
+
+const { containsPoint, geometryBounds } = require("./geometry");
+const { encodeGeoTiff } = require("./geotiffWriter");
+
+const METERS_PER_DEG_LAT = 111320; // approximate
+
+const DEFAULT_CELL_SIZE = 250; // m
+const MIN_CELL_SIZE = 30;
+const MAX_CELL_SIZE = 5000;
+const MAX_AREA_CELLS = Number(process.env.AREA_MAX_CELLS) || 2500;
+
+// Weather varies slowly: cells share forecasts sampled on this lattice (degrees, ~11 km)
+const WEATHER_SAMPLE_DEG = 0.1;
+
+const FORMATS = ["geojson", "geotiff"];
+
+// Values of the GeoTIFF risk class band
+const RISK_CLASS_CODES = { Low: 1, Medium: 2, High: 3, Extreme: 4 };
+const WATER_CLASS_CODE = 5;
+const NO_DATA = -9999;
+
+/**
+ * Validate the area request
+ * @param {object} raw - { bbox: [west, south, east, north] } or { polygon: GeoJSON (Multi)Polygon or Feature }, plus cellSize (m) and format
+ * @returns {object} { bbox, polygon, cellSize, format }
+ * @throws {Error} When the area, cell size or format is invalid
+ */
+const parseAreaOptions = (raw) => {
+  const opts = raw || {};
+  if ((opts.bbox === undefined) === (opts.polygon === undefined)) throw new Error("give either bbox or polygon");
+
+  let polygon = null;
+  let bbox;
+  if (opts.polygon !== undefined) {
+    polygon = opts.polygon && opts.polygon.type === "Feature" ? opts.polygon.geometry : opts.polygon;
+    if (!polygon || !["Polygon", "MultiPolygon"].includes(polygon.type) || !Array.isArray(polygon.coordinates)) {
+      throw new Error("polygon must be a GeoJSON Polygon or MultiPolygon");
+    }
+    bbox = geometryBounds(polygon);
+    if (!bbox.every(Number.isFinite)) throw new Error("polygon has no coordinates");
+  } else {
+    bbox = Array.isArray(opts.bbox) ? opts.bbox.map(Number) : [];
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)) throw new Error("bbox must be [west, south, east, north]");
+  }
+
+  const [west, south, east, north] = bbox;
+  if (!(west >= -180 && east <= 180 && west < east)) throw new Error("west must be below east within -180..180");
+  if (!(south >= -90 && north <= 90 && south < north)) throw new Error("south must be below north within -90..90");
+
+  const cellSize = opts.cellSize === undefined ? DEFAULT_CELL_SIZE : Number(opts.cellSize);
+  if (!(cellSize >= MIN_CELL_SIZE && cellSize <= MAX_CELL_SIZE)) {
+    throw new Error(`cellSize must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} m`);
+  }
+
+  const format = opts.format === undefined ? "geojson" : opts.format;
+  if (!FORMATS.includes(format)) throw new Error(`format must be one of ${FORMATS.join(", ")}`);
+
+  return { bbox, polygon, cellSize, format };
+};
+
+/**
+ * Lay out the grid: rows north to south, columns west to east
+ * Cell sizes in degrees are fixed at the bbox's mid latitude
+ * @returns {object} { west, north, rows, cols, dLat, dLon, cellSize, cells: [{ row, col, lat, lon, inside }] }
+ * @throws {Error} When the grid has more than MAX_AREA_CELLS cells
+ */
+const buildAreaGrid = ({ bbox, polygon, cellSize }) => {
+  const [west, south, east, north] = bbox;
+  const midLat = (south + north) / 2;
+  const dLat = cellSize / METERS_PER_DEG_LAT;
+  const dLon = cellSize / (METERS_PER_DEG_LAT * Math.cos((midLat * Math.PI) / 180));
+  const rows = Math.max(1, Math.ceil((north - south) / dLat - 1e-9));
+  const cols = Math.max(1, Math.ceil((east - west) / dLon - 1e-9));
+
+  if (rows * cols > MAX_AREA_CELLS) {
+    throw new Error(`the area needs ${rows * cols} cells; use a larger cellSize or a smaller area (max ${MAX_AREA_CELLS})`);
+  }
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const lat = north - (row + 0.5) * dLat;
+      const lon = west + (col + 0.5) * dLon;
+      cells.push({ row, col, lat, lon, inside: polygon ? containsPoint(polygon, lon, lat) : true });
+    }
+  }
+  return { west, north, rows, cols, dLat, dLon, cellSize, cells };
+};
+
+/**
+ * Cell centres plus a one-cell margin, row-major: the elevation lattice that
+ * gives every cell a full 3x3 terrain window
+ * @returns {object[]} [{ lat, lon }] of (rows + 2) x (cols + 2) points
+ */
+const elevationLattice = (grid) => {
+  const points = [];
+  for (let row = -1; row <= grid.rows; row++) {
+    for (let col = -1; col <= grid.cols; col++) {
+      points.push({ lat: grid.north - (row + 0.5) * grid.dLat, lon: grid.west + (col + 0.5) * grid.dLon });
+    }
+  }
+  return points;
+};
+
+/**
+ * 3x3 elevation window centred on a cell, with the east-west spacing in metres
+ * @param {number[]} elevations - Values for elevationLattice(grid)
+ * @returns {object} { window: number[][], dx, dy }
+ */
+const cellWindow = (grid, elevations, cell) => {
+  const width = grid.cols + 2;
+  const window = [];
+  for (let r = 0; r < 3; r++) {
+    const start = (cell.row + r) * width + cell.col;
+    window.push(elevations.slice(start, start + 3));
+  }
+  const dx = grid.dLon * METERS_PER_DEG_LAT * Math.cos((cell.lat * Math.PI) / 180);
+  return { window, dx, dy: grid.cellSize };
+};
+
+/**
+ * Weather sample points on the WEATHER_SAMPLE_DEG lattice
+ * @returns {object} { samples: [{ lat, lon }], sampleOf: index into samples per cell }
+ */
+const weatherSamples = (cells) => {
+  const snap = v => Number((Math.floor(v / WEATHER_SAMPLE_DEG) * WEATHER_SAMPLE_DEG + WEATHER_SAMPLE_DEG / 2).toFixed(4));
+  const index = new Map();
+  const samples = [];
+  const sampleOf = cells.map((cell) => {
+    const key = `${snap(cell.lat)},${snap(cell.lon)}`;
+    if (!index.has(key)) {
+      index.set(key, samples.length);
+      samples.push({ lat: snap(cell.lat), lon: snap(cell.lon) });
+    }
+    return index.get(key);
+  });
+  return { samples, sampleOf };
+};
+
+/**
+ * Risk class code of an evaluated cell (null outside the area)
+ */
+const riskClassCode = (result) => {
+  if (!result) return null;
+  if (result.water) return WATER_CLASS_CODE;
+  return RISK_CLASS_CODES[result.risk_level] ?? null;
+};
+
+/**
+ * GeoJSON FeatureCollection with one square Polygon per evaluated cell
+ * @param {object[]} results - Per cell (null outside the polygon): { FoS, risk_level, water, ... }
+ */
+const toGeoJson = (grid, results) => ({
+  type: "FeatureCollection",
+  features: grid.cells
+    .map((cell, i) => {
+      const result = results[i];
+      if (!result) return null;
+      const top = grid.north - cell.row * grid.dLat;
+      const left = grid.west + cell.col * grid.dLon;
+      const [w, n, e, s] = [left, top, left + grid.dLon, top - grid.dLat].map(v => Number(v.toFixed(6)));
+      return {
+        type: "Feature",
+        geometry: { type: "Polygon", coordinates: [[[w, n], [e, n], [e, s], [w, s], [w, n]]] },
+        properties: {
+          row: cell.row,
+          col: cell.col,
+          lat: Number(cell.lat.toFixed(6)),
+          lon: Number(cell.lon.toFixed(6)),
+          ...result,
+          risk_class: riskClassCode(result)
+        }
+      };
+    })
+    .filter(Boolean)
+});
+
+/**
+ * Two-band Float32 GeoTIFF: band 1 FoS, band 2 risk class
+ * (1 Low, 2 Medium, 3 High, 4 Extreme, 5 water; NO_DATA outside the area)
+ * @returns {Buffer}
+ */
+const toGeoTiff = (grid, results) =>
+  encodeGeoTiff({
+    width: grid.cols,
+    height: grid.rows,
+    bands: [
+      results.map(r => (r && !r.water ? r.FoS : null)),
+      results.map(riskClassCode)
+    ],
+    west: grid.west,
+    north: grid.north,
+    resX: grid.dLon,
+    resY: grid.dLat,
+    noData: NO_DATA
+  });
+
+module.exports = {
+  MAX_AREA_CELLS,
+  RISK_CLASS_CODES,
+  WATER_CLASS_CODE,
+  NO_DATA,
+  parseAreaOptions,
+  buildAreaGrid,
+  elevationLattice,
+  cellWindow,
+  weatherSamples,
+  riskClassCode,
+  toGeoJson,
+  toGeoTiff,
+};
@@ -1,10 +1,107 @@
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios");
+const { initSoils, getRasterSoilComposition, getSoilProperties } = require("./soilRaster");
+const { runMonteCarlo, parseProbabilisticOptions } = require("./monteCarlo");
+const {
+  parseThresholdOptions,
+  evaluateRainfallThresholds,
+  combineWarningLevels
+} = require("./rainfallThreshold");
+const { parseInfiltrationOptions, iversonPressureHead } = require("./infiltration");
+const { parseAntecedentOptions, computeAntecedentIndex } = require("./antecedentRainfall");
+const {
+  DEFAULT_TERRAIN,
+  parseTerrainOptions,
+  initDem,
+  getElevations,
+  getElevationGrid,
+  analyseTerrain
+} = require("./terrain");
+const { initClimate, getClimate, defaultClimate } = require("./climate");
+const { ALL_MODELS, registerModel, getModel, getDefaultModelId, listModels, parseModelSelection } = require("./models");
+const { parseSensitivityOptions, runSensitivity } = require("./sensitivity");
+const { parseSeismicOptions, resolveSeismicCoefficients } = require("./seismic");
+const { initLandCover, parseLandCoverOptions, getLandCover, rootCohesionAtDepth, defaultLandCover } = require("./landCover");
+const {
+  MAX_SLIP_DEPTH,
+  initParameterProfiles,
+  getParameterProfile,
+  getDefaultProfileId,
+  listParameterProfiles,
+  parseProfileSelection
+} = require("./profiles");
+const { initProviders, getProvider, describeProviders, fetchedAt } = require("./providers");
+const { parseDataPolicy, describeProvenance, gradeDataQuality, worstDataQuality, withheldVerdictReason } = require("./provenance");
+const {
+  connectPredictionStore,
+  isPredictionStoreReady,
+  recordPredictions,
+  parseHistoryQuery,
+  findPredictions
+} = require("./predictionStore");
+const {
+  parseSiteRequest,
+  createSite,
+  listSites,
+  getSite,
+  deleteSite,
+  parseSeriesQuery,
+  getSeries,
+  evaluateAndRecord,
+  createSiteScheduler
+} = require("./monitoredSites");
+const {
+  parseAlertRule,
+  createRule,
+  listRules,
+  findRule,
+  getRule,
+  deleteRule,
+  forgetSite,
+  dispatchAlert,
+  checkAlertRules,
+  retryDeliveries
+} = require("./alerts");
+const { parseDeliveryQuery, listDeliveries } = require("./alertDelivery");
+const { parseBatchRequest, siteKey, createThrottle, mapWithConcurrency } = require("./batch");
+const {
+  parseAreaOptions,
+  buildAreaGrid,
+  elevationLattice,
+  cellWindow,
+  weatherSamples,
+  riskClassCode,
+  toGeoJson,
+  toGeoTiff
+} = require("./hazardGrid");
+const {
+  parseColorRamp,
+  parseTileRequest,
+  tileBounds,
+  isOnDemandZoom,
+  tileCellSize,
+  renderTile,
+  emptyTile,
+  gridClassAt,
+  rasterClassAt,
+  loadHazardRaster,
+  tileIntersects,
+  createTileCache
+} = require("./tiles");
 
 const app = express();
 
 /* ===================== BASIC SETUP ===================== */
+// Select the data providers (DATA_PROVIDER etc.); an unknown provider stops the server here
+initProviders();
+
+// Save predictions to MongoDB when MONGODB_URI is set; the API works without it
+const predictionStoreReady = connectPredictionStore().catch((err) => {
+  console.warn("Prediction store unavailable:", err.message);
+  return false;
+});
+
 app.use(cors());
 app.use(express.json());
 
@@ -17,76 +114,275 @@ app.use((req, res, next) => {
   next();
 });
 
+app.get("/models", (req, res) => {
+  res.json({
+    default: getDefaultModelId(),
+    all: ALL_MODELS,
+    models: listModels()
+  });
+});
+
+app.get("/parameter-profiles", (req, res) => {
+  res.json({
+    default: getDefaultProfileId(),
+    profiles: listParameterProfiles()
+  });
+});
+
 app.get("/health", (req, res) => {
   res.json({
     status: "ok",
     service: "Kerala Landslide Prediction API",
+    providers: describeProviders(),
+    prediction_store: isPredictionStoreReady() ? "connected" : "off",
     timestamp: new Date().toISOString()
   });
 });
 
 /* ===================== WEATHER (REALTIME ONLY) ===================== */
-const fetchWeather = async (lat, lon) => {
-  try {
-    const url =
-      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
-      `&current=temperature_2m,relative_humidity_2m,precipitation` +
-      `&daily=precipitation_sum&past_days=7&forecast_days=1`;
+// Hours of hourly precipitation history kept for the rainfall threshold model
+const HOURLY_HISTORY_HOURS = 7 * 24;
+
+/**
+ * Rainfall history ending at currentTime (an hourly timestamp) from Open-Meteo style
+ * daily/hourly arrays. The last daily entry is the day containing currentTime.
+ * Returns { rain_7day, rain_hourly, rain_hourly_start, rain_daily }
+ */
+const summariseRainfall = ({ dailyDates, dailySums, hourlyTimes, hourlyPrecip, currentTime }) => {
+  // The seven days before the current day are the past week
+  const rain7 = dailySums
+    .slice(Math.max(0, dailySums.length - 8), dailySums.length - 1)
+    .reduce((a, b) => a + (b || 0), 0);
+
+  // Hourly series up to the current hour (later hours of the day are dropped)
+  let endIdx = hourlyTimes.length;
+  if (currentTime) {
+    endIdx = hourlyTimes.findIndex(t => t > currentTime);
+    if (endIdx < 0) endIdx = hourlyTimes.length;
+  }
+  const startIdx = Math.max(0, endIdx - HOURLY_HISTORY_HOURS);
+  const rainHourly = hourlyPrecip
+    .slice(startIdx, endIdx)
+    .map(v => v || 0);
+
+  // Daily history for the antecedent index: complete past days, then the current day so far
+  const today = currentTime ? currentTime.slice(0, 10) : dailyDates[dailyDates.length - 1];
+  let rainToday = 0;
+  for (let i = 0; i < endIdx; i++) {
+    if (hourlyTimes[i] && hourlyTimes[i].startsWith(today)) rainToday += hourlyPrecip[i] || 0;
+  }
+  const rainDaily = dailySums.slice(0, dailySums.length - 1).map((v, i) => ({
+    date: dailyDates[i] || null,
+    precipitation: v || 0
+  }));
+  rainDaily.push({ date: today || null, precipitation: rainToday });
 
-    const res = await axios.get(url, { timeout: 10000 });
+  return {
+    rain_7day: rain7,
+    rain_hourly: rainHourly,
+    rain_hourly_start: hourlyTimes[startIdx] || null,
+    rain_daily: rainDaily
+  };
+};
 
-    const rain7 = res.data.daily.precipitation_sum
-      .slice(0, 7)
-      .reduce((a, b) => a + (b || 0), 0);
+// Safe fallback when the forecast API is unreachable; humidity is filled in from the climate zone
+const fallbackWeather = () => ({
+  temperature: 25,
+  humidity: null,
+  rain_current: 0,
+  rain_7day: 0,
+  rain_hourly: [],
+  rain_hourly_start: null,
+  rain_daily: [],
+  weather_source: null,
+  weather_fetched_at: null
+});
 
-    return {
-      temperature: res.data.current.temperature_2m,
-      humidity: res.data.current.relative_humidity_2m,
-      rain_current: res.data.current.precipitation,
-      rain_7day: rain7
-    };
-  } catch (err) {
-    // Safe fallback
-    return {
-      temperature: 25,
-      humidity: 70,
-      rain_current: 0,
-      rain_7day: 0
-    };
+// Locations per forecast request when fetching many points at once
+const WEATHER_BATCH = 50;
+
+/**
+ * Current conditions plus rainfall history for many points, WEATHER_BATCH
+ * locations per request; a failed request falls back for its points
+ * options.pastDays sets the daily history length (at least 7) for the antecedent index
+ */
+const fetchWeatherMany = async (points, options = {}) => {
+  const pastDays = Math.max(7, Number(options.pastDays) || 7);
+  const results = [];
+
+  for (let i = 0; i < points.length; i += WEATHER_BATCH) {
+    const batch = points.slice(i, i + WEATHER_BATCH);
+    try {
+      const provider = getProvider("weather");
+      const locations = await provider.current(batch, { pastDays });
+
+      results.push(...locations.map((data) => {
+        const hourly = data.hourly || {};
+        return {
+          temperature: data.current.temperature_2m,
+          humidity: data.current.relative_humidity_2m,
+          rain_current: data.current.precipitation,
+          ...summariseRainfall({
+            dailyDates: data.daily.time || [],
+            dailySums: data.daily.precipitation_sum,
+            hourlyTimes: hourly.time || [],
+            hourlyPrecip: hourly.precipitation || [],
+            currentTime: data.current.time
+          }),
+          weather_source: provider.name,
+          weather_fetched_at: fetchedAt(data)
+        };
+      }));
+    } catch (err) {
+      results.push(...batch.map(fallbackWeather));
+    }
+  }
+  return results;
+};
+
+/**
+ * Current conditions plus rainfall history at one point (see fetchWeatherMany)
+ */
+const fetchWeather = async (lat, lon, options = {}) => (await fetchWeatherMany([{ lat, lon }], options))[0];
+
+/* ===================== WEATHER (HISTORICAL ARCHIVE) ===================== */
+// Earliest ERA5 date and the lag before reanalysis for a day is published
+const ARCHIVE_START_DATE = '1940-01-01';
+const ARCHIVE_LAG_DAYS = 5;
+const HISTORICAL_DISCLAIMER =
+  "Historical replay – what the model would have said at that time from reanalysis weather; not a record of an issued warning";
+
+const addDays = (dateStr, n) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a historical replay date ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", UTC)
+ * A bare date is evaluated at the end of that day (23:00 UTC)
+ * Returns null when no date was given; throws on invalid or unavailable dates
+ */
+const parseHistoricalDate = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const m = String(raw).match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2})(?::\d{2})?)?$/);
+  if (!m || Number.isNaN(Date.parse(`${m[1]}T00:00:00Z`)) || new Date(`${m[1]}T00:00:00Z`).toISOString().slice(0, 10) !== m[1]) {
+    throw new Error('date must be YYYY-MM-DD or YYYY-MM-DDTHH:mm (UTC)');
+  }
+  const hour = m[2] !== undefined ? Number(m[2]) : 23;
+  if (hour > 23) throw new Error('hour must be between 00 and 23');
+
+  const latest = addDays(new Date().toISOString().slice(0, 10), -ARCHIVE_LAG_DAYS);
+  if (m[1] < ARCHIVE_START_DATE || m[1] > latest) {
+    throw new Error(`date must be between ${ARCHIVE_START_DATE} and ${latest}`);
   }
+
+  return { date: m[1], time: `${m[1]}T${String(hour).padStart(2, '0')}:00` };
+};
+
+/**
+ * Weather as it was at a past time, from the reanalysis archive
+ * Same shape as fetchWeather. Throws when the archive cannot be reached:
+ * a replay with fabricated weather would be meaningless.
+ */
+const fetchHistoricalWeather = async (lat, lon, at, options = {}) => {
+  const pastDays = Math.max(7, Number(options.pastDays) || 7);
+  const provider = getProvider("weather");
+  const data = await provider.archive({ lat, lon }, { startDate: addDays(at.date, -pastDays), endDate: at.date });
+  const hourly = data.hourly;
+  const idx = hourly.time.indexOf(at.time);
+  if (idx < 0) throw new Error(`Archive has no data for ${at.time}`);
+
+  return {
+    temperature: hourly.temperature_2m[idx],
+    humidity: hourly.relative_humidity_2m[idx],
+    rain_current: hourly.precipitation[idx] || 0,
+    ...summariseRainfall({
+      dailyDates: data.daily.time,
+      dailySums: data.daily.precipitation_sum,
+      hourlyTimes: hourly.time,
+      hourlyPrecip: hourly.precipitation,
+      currentTime: at.time
+    }),
+    weather_source: provider.archiveName,
+    weather_fetched_at: fetchedAt(data)
+  };
+};
+
+/* ===================== WEATHER (FORECAST) ===================== */
+const MAX_FORECAST_DAYS = 16;
+
+/**
+ * Daily and hourly rainfall history plus forecast in local time
+ * Returns { daily: [{ date, precipitation, humidity, temperature, forecast }], hourly: { time, precipitation }, source, fetched_at }
+ * Throws when the forecast cannot be fetched (there is no meaningful fallback)
+ */
+const fetchForecast = async (lat, lon, { pastDays = 30, forecastDays = 7 } = {}) => {
+  const provider = getProvider("weather");
+  const data = await provider.forecast({ lat, lon }, { pastDays, forecastDays });
+  const d = data.daily;
+
+  // Today is the first forecast day
+  const daily = d.time.map((date, i) => ({
+    date,
+    precipitation: d.precipitation_sum[i] || 0,
+    humidity: d.relative_humidity_2m_mean ? d.relative_humidity_2m_mean[i] : null,
+    temperature: d.temperature_2m_mean ? d.temperature_2m_mean[i] : null,
+    forecast: i >= d.time.length - forecastDays
+  }));
+
+  return {
+    daily,
+    hourly: {
+      time: data.hourly.time,
+      precipitation: data.hourly.precipitation.map(v => v || 0)
+    },
+    source: provider.name,
+    fetched_at: fetchedAt(data)
+  };
 };
 
-/* ===================== FIXED CLIMATE (KERALA) ===================== */
-/* Climate is STATIC – no weather-based inference */
-const CLIMATE = {
-  zone: "Tropical Monsoon (Am)",
-  vegetation: "dense"
+/* ===================== CLIMATE ZONE ===================== */
+// Open the Köppen–Geiger grid (KOPPEN_PATH or the bundled koppen_geiger.tif)
+const climateReady = initClimate();
+
+/**
+ * Köppen–Geiger zone at a point (see climate.js)
+ */
+const resolveClimate = async (lat, lon) => {
+  await climateReady;
+  return getClimate(lat, lon);
 };
 
 /* ===================== SOIL STRENGTH (PDF-INSPIRED) ===================== */
-const STRENGTH_TABLE = [
-  { min: 0, max: 1.5, c: 35, phi: 28, gamma: 15.5 },
-  { min: 1.5, max: 3.0, c: 32, phi: 30, gamma: 16.2 },
-  { min: 3.0, max: 5.0, c: 28, phi: 31, gamma: 16.8 },
-  { min: 5.0, max: 10.0, c: 25, phi: 32, gamma: 17.5 }
-];
+// Load and validate the parameter profiles up front: a bad file stops the server here
+initParameterProfiles();
 
-const getStrengthFromDepth = (z) => {
+/**
+ * Base strength { c, phi, gamma } of the profile's depth band containing z
+ */
+const getStrengthFromDepth = (z, profile = getParameterProfile()) => {
+  const table = profile.strength_table;
+  const last = table[table.length - 1];
+  // the deepest band also covers its upper limit
+  if (z === last.max) return last;
   return (
-    STRENGTH_TABLE.find(r => z >= r.min && z < r.max) ||
-    STRENGTH_TABLE[1]
+    table.find(r => z >= r.min && z < r.max) ||
+    table[Math.min(1, table.length - 1)]
   );
 };
 
 /**
  * Compute effective cohesion (c) and friction angle (phi) using:
- * - base strength per depth (STRENGTH_TABLE)
+ * - base strength per depth (profile strength table)
  * - soil composition (clay, sand, silt percentages)
  * - depth compaction
  * - saturation (reduces effective cohesion)
+ * Coefficients come from the parameter profile (see profiles.js)
  * Returns { c, phi, gamma }
  */
-const computeSoilStrength = (base, soil = { clay: 30, sand: 30, silt: 40 }, z = 2.5, saturation = 0) => {
+const computeSoilStrength = (base, soil = { clay: 30, sand: 30, silt: 40 }, z = 2.5, saturation = 0, profile = getParameterProfile()) => {
   // copy base values
   let c = Number(base.c);
   let phi = Number(base.phi);
@@ -97,40 +393,36 @@ const computeSoilStrength = (base, soil = { clay: 30, sand: 30, silt: 40 }, z =
   const sand = Number((soil.sand || 0));
   const silt = Number((soil.silt || 0));
 
-  // Reference composition (typical balanced soil)
-  const refClay = 30;
-  const refSand = 30;
-  const refSilt = 40;
+  // Reference composition the strength table applies to
+  const { reference, kC_clay, kC_silt, kPhi_sand, kPhi_clay } = profile.composition;
 
   // Adjust cohesion: clays increase cohesion, silt moderately increases cohesion
-  // kC_clay: kPa per percent clay; kC_silt smaller
-  const kC_clay = 0.6; // kPa per % clay
-  const kC_silt = 0.2; // kPa per % silt
-  const clayEffect = (clay - refClay) * kC_clay;
-  const siltEffect = (silt - refSilt) * kC_silt;
+  // kC_clay / kC_silt: kPa per percent
+  const clayEffect = (clay - reference.clay) * kC_clay;
+  const siltEffect = (silt - reference.silt) * kC_silt;
   c = Math.max(0, c + clayEffect + siltEffect);
 
   // Round intermediate values for stability
   c = Number(c.toFixed(4));
   phi = Number(phi.toFixed(4));
 
-  // Adjust friction angle: sand increases phi, clay decreases it slightly
-  const kPhi_sand = 0.12; // degrees per % sand
-  const kPhi_clay = -0.06; // degrees per % clay
-  phi = phi + (sand - refSand) * kPhi_sand + (clay - refClay) * kPhi_clay;
+  // Adjust friction angle: kPhi_sand / kPhi_clay in degrees per percent
+  phi = phi + (sand - reference.sand) * kPhi_sand + (clay - reference.clay) * kPhi_clay;
 
-  // Depth compaction: small increase per metre below 0.5m
-  if (z > 0.5) {
-    c = c * (1 + 0.005 * (z - 0.5)); // 0.5% per additional metre
-    phi = phi + 0.2 * (z - 0.5); // 0.2 deg per additional metre
+  // Depth compaction: small increase per metre below from_depth
+  const compaction = profile.depth_compaction;
+  if (z > compaction.from_depth) {
+    c = c * (1 + compaction.cohesion_per_m * (z - compaction.from_depth));
+    phi = phi + compaction.friction_per_m * (z - compaction.from_depth);
   }
 
   // Saturation reduces effective cohesion (loss of matric suction)
-  // At full modelled saturation (saturation=1) reduce cohesion by up to 60%
-  const c_effective = c * Math.max(0, 1 - 0.6 * Math.min(1, saturation));
+  // At full modelled saturation (saturation=1) cohesion drops by suction_loss
+  const c_effective = c * Math.max(0, 1 - profile.suction_loss * Math.min(1, saturation));
 
   // Clamp reasonable bounds
-  phi = Math.min(45, Math.max(12, phi));
+  const [phiMin, phiMax] = profile.friction_bounds;
+  phi = Math.min(phiMax, Math.max(phiMin, phi));
 
   return {
     c: Number(c_effective),
@@ -139,56 +431,178 @@ const computeSoilStrength = (base, soil = { clay: 30, sand: 30, silt: 40 }, z =
   };
 };
 
-/* ===================== SOIL COMPOSITION (SOILGRID API + REGIONAL FALLBACK) ===================== */
+/* ===================== SOIL COMPOSITION (RASTERS + SOILGRID API + REGIONAL FALLBACK) ===================== */
+// Start loading the bundled soil rasters as soon as the module is required
+const soilRastersReady = initSoils();
+
+// SoilGrids standard depth intervals (cm)
+const SOILGRIDS_DEPTHS = [
+  { label: '0-5cm', top: 0, bottom: 5 },
+  { label: '5-15cm', top: 5, bottom: 15 },
+  { label: '15-30cm', top: 15, bottom: 30 },
+  { label: '30-60cm', top: 30, bottom: 60 },
+  { label: '60-100cm', top: 60, bottom: 100 },
+  { label: '100-200cm', top: 100, bottom: 200 }
+];
+
+// SoilGrids properties and the divisor from mapped units to the units we report
+// clay/sand/silt: g/kg -> %, bdod: cg/cm³ -> g/cm³, cfvo: cm³/dm³ -> vol %
+const SOILGRIDS_PROPERTIES = { clay: 10, sand: 10, silt: 10, bdod: 100, cfvo: 10 };
+
+// Deepest slip surface in the strength tables is 10 m; a uniform profile covers all of it
+const UNIFORM_PROFILE_BOTTOM_CM = 1000;
+
 /**
- * Fetch soil composition from ISRIC SoilGrids API (real soil data)
- * Falls back to regional patterns if API fails
+ * Fetch a layered soil profile from ISRIC SoilGrids (all standard depths)
+ * Returns { profile: [{ top_cm, bottom_cm, clay, sand, silt, bulk_density, coarse_fragments }], fetched_at } or null
  */
-const getSoilComposition = async (lat, lon) => {
+const fetchSoilProfile = async (lat, lon) => {
   try {
-    // Query SoilGrids API for clay and sand content at 0-5cm depth
-    const url = `https://rest.isric.org/soilgrids/v2.0/properties/query?` +
-      `lat=${lat}&lon=${lon}&` +
-      `property=clay&property=sand&` +
-      `depth=0-5cm`;
-
-    const response = await axios.get(url, { timeout: 10000 });
-    const properties = response.data.properties || [];
-
-    let clay = null;
-    let sand = null;
-
-    // Extract clay and sand mean values from the response
-    for (const prop of properties) {
-      if (prop.name === 'clay') {
-        const depths = prop.depths || [];
-        if (depths.length > 0 && depths[0].values) {
-          clay = Number(depths[0].values.mean || 0) / 10; // Convert from g/kg to %
-        }
-      }
-      if (prop.name === 'sand') {
-        const depths = prop.depths || [];
-        if (depths.length > 0 && depths[0].values) {
-          sand = Number(depths[0].values.mean || 0) / 10; // Convert from g/kg to %
+    const data = await getProvider("soil").properties({ lat, lon }, { properties: SOILGRIDS_PROPERTIES, depths: SOILGRIDS_DEPTHS });
+    const properties = data.properties || {};
+    const layers = Array.isArray(properties) ? properties : (properties.layers || []);
+
+    // values[property][depthLabel] in reporting units
+    const values = {};
+    for (const layer of layers) {
+      if (!(layer.name in SOILGRIDS_PROPERTIES)) continue;
+      const factor = Number(layer.unit_measure?.d_factor) || SOILGRIDS_PROPERTIES[layer.name];
+      values[layer.name] = {};
+      for (const d of layer.depths || []) {
+        const mean = d.values ? d.values.mean : null;
+        if (mean !== null && mean !== undefined) {
+          values[layer.name][d.label] = Number(mean) / factor;
         }
       }
     }
 
-    // If we got valid clay and sand values
-    if (clay !== null && sand !== null) {
-      clay = Math.min(100, Math.max(0, clay));
-      sand = Math.min(100, Math.max(0, sand));
-      const silt = Math.max(0, 100 - clay - sand);
-
-      return {
-        clay: Number(clay.toFixed(1)),
-        sand: Number(sand.toFixed(1)),
-        silt: Number(silt.toFixed(1)),
-        source: 'SoilGrids API'
-      };
+    const profile = [];
+    for (const d of SOILGRIDS_DEPTHS) {
+      const clay = values.clay?.[d.label];
+      const sand = values.sand?.[d.label];
+      if (clay === undefined || sand === undefined) continue;
+
+      const c = Math.min(100, Math.max(0, clay));
+      const sa = Math.min(100, Math.max(0, sand));
+      const si = values.silt?.[d.label] !== undefined
+        ? Math.min(100, Math.max(0, values.silt[d.label]))
+        : Math.max(0, 100 - c - sa);
+
+      const bd = values.bdod?.[d.label];
+      const cf = values.cfvo?.[d.label];
+
+      profile.push({
+        top_cm: d.top,
+        bottom_cm: d.bottom,
+        clay: Number(c.toFixed(1)),
+        sand: Number(sa.toFixed(1)),
+        silt: Number(si.toFixed(1)),
+        bulk_density: bd !== undefined ? Number(bd.toFixed(2)) : null,
+        coarse_fragments: cf !== undefined ? Number(cf.toFixed(1)) : null
+      });
     }
+
+    return profile.length > 0 ? { profile, fetched_at: fetchedAt(data) } : null;
   } catch (err) {
-    // API failed, fall back to regional patterns
+    return null;
+  }
+};
+
+// Single layer spanning every slip depth, used when no depth-resolved data exists
+const uniformProfile = (soil) => [{
+  top_cm: 0,
+  bottom_cm: UNIFORM_PROFILE_BOTTOM_CM,
+  clay: soil.clay,
+  sand: soil.sand,
+  silt: soil.silt,
+  bulk_density: null,
+  coarse_fragments: null
+}];
+
+/**
+ * SoilGrids profile shifted so its topsoil matches another composition: the
+ * layers keep SoilGrids' change of texture with depth around that texture
+ */
+const anchorProfile = (profile, soil) => {
+  const top = profile[0];
+  const clamp = v => Math.min(100, Math.max(0, v));
+  return profile.map((layer) => {
+    const clay = clamp(layer.clay + soil.clay - top.clay);
+    const sand = Math.min(clamp(layer.sand + soil.sand - top.sand), 100 - clay);
+    return {
+      ...layer,
+      clay: Number(clay.toFixed(1)),
+      sand: Number(sand.toFixed(1)),
+      silt: Number((100 - clay - sand).toFixed(1))
+    };
+  });
+};
+
+/**
+ * Pick the profile layer containing depth z (m)
+ * Depths below the deepest layer use that layer's texture
+ */
+const getSoilLayerAtDepth = (profile, z) => {
+  if (!Array.isArray(profile) || profile.length === 0) return null;
+  const zcm = Number(z) * 100;
+  return profile.find(l => zcm >= l.top_cm && zcm < l.bottom_cm) || profile[profile.length - 1];
+};
+
+/**
+ * Resolve soil composition for a location, in order of preference:
+ * - bundled soil class rasters (offline, dominant fraction class reported)
+ * - ISRIC SoilGrids API (real soil data)
+ * - regional patterns (India) or the climate zone's typical texture if both are unavailable
+ * The depth profile comes from SoilGrids whenever it is reachable, otherwise the
+ * chosen composition is applied uniformly with depth. Where the rasters cover the
+ * point they stay the texture source: the SoilGrids profile is shifted to the
+ * raster texture and only contributes how texture changes with depth.
+ * options.sampling selects "nearest" (default) or "bilinear" raster sampling;
+ * options.climate is the site's climate (or a promise of it) for the fallback;
+ * options.soilGrids = false skips the SoilGrids request (offline sources only)
+ */
+const getSoilComposition = async (lat, lon, options = {}) => {
+  const [, soilGrids] = await Promise.all([
+    soilRastersReady,
+    options.soilGrids === false ? null : fetchSoilProfile(lat, lon)
+  ]);
+  const soilGridsProfile = soilGrids ? soilGrids.profile : null;
+
+  const withProfile = (soil, anchored = false) => ({
+    ...soil,
+    // saturated conductivity (mm/h) for the infiltration model
+    permeability: getSoilProperties(lat, lon).permeability,
+    profile: soilGridsProfile
+      ? (anchored ? anchorProfile(soilGridsProfile, soil) : soilGridsProfile)
+      : uniformProfile(soil),
+    profile_source: soilGridsProfile
+      ? `${getProvider("soil").name}${anchored ? ` (shifted to ${soil.source})` : ''}`
+      : 'Uniform (no depth data)',
+    profile_fetched_at: soilGrids ? soilGrids.fetched_at : null
+  });
+
+  const rasterSoil = getRasterSoilComposition(lat, lon, { method: options.sampling });
+  if (rasterSoil) {
+    return withProfile({
+      clay: rasterSoil.clay,
+      sand: rasterSoil.sand,
+      silt: rasterSoil.silt,
+      fraction_class: rasterSoil.fraction_class,
+      fractions: rasterSoil.fractions,
+      sampling: rasterSoil.sampling,
+      source: 'Soil Class Rasters'
+    }, true);
+  }
+
+  // Topsoil composition from the first SoilGrids layer
+  if (soilGridsProfile) {
+    const top = soilGridsProfile[0];
+    return withProfile({
+      clay: top.clay,
+      sand: top.sand,
+      silt: top.silt,
+      source: getProvider("soil").name
+    });
   }
 
   // ===== FALLBACK: Regional soil patterns =====
@@ -198,6 +612,12 @@ const getSoilComposition = async (lat, lon) => {
   const intLon = Math.round(Math.abs(lon) * 10000);
   const seed = (intLat * 31 + intLon) % 100;
   let clay, sand, silt;
+  let source = 'Regional Pattern (Fallback)';
+  const climate = (await options.climate) || defaultClimate();
+  // With a looked-up zone the bands cover peninsular India and the Indo-Gangetic
+  // plains only and the Himalaya and Northeast use the zone; without one they apply everywhere
+  const zoned = climate.source === "Köppen-Geiger Grid";
+  const inIndianPlains = !zoned || (lon > 68 && lon < 89 && lat > 6 && lat < 30);
 
   // Kerala Western Ghats (9-13°N, 73-78°E) - Lateritic soils, high clay
   if (lat > 9 && lat < 13.5 && lon > 73 && lon < 78) {
@@ -212,20 +632,26 @@ const getSoilComposition = async (lat, lon) => {
     }
   } 
   // Southern Kerala (8-10°N) - Coastal alluvial
-  else if (lat > 8 && lat < 10) {
+  else if (inIndianPlains && lat > 8 && lat < 10) {
     clay = 28 + (seed % 8);
     sand = 42 + (seed % 6);
   }
   // Central India (18-24°N) - Black soil, high clay
-  else if (lat > 17 && lat < 25) {
+  else if (inIndianPlains && lat > 17 && lat < 25) {
     clay = 40 + (seed % 10);
     sand = 20 + (seed % 6);
   }
-  // Northern plains (25-32°N) - Alluvial soils
-  else if (lat > 24) {
+  // Northern plains (25-30°N) - Alluvial soils
+  else if (inIndianPlains && lat > 24) {
     clay = 30 + (seed % 8);
     sand = 40 + (seed % 6);
   }
+  // Elsewhere - typical topsoil texture of the climate zone
+  else if (zoned) {
+    clay = climate.texture.clay + (seed % 6);
+    sand = climate.texture.sand + (seed % 6);
+    source = `Climate Pattern (${climate.code}, Fallback)`;
+  }
   // Default tropical
   else {
     clay = 35 + (seed % 8);
@@ -234,36 +660,40 @@ const getSoilComposition = async (lat, lon) => {
 
   silt = Math.max(0, 100 - clay - sand);
 
-  return {
+  return withProfile({
     clay: Math.min(100, Math.max(0, clay)),
     sand: Math.min(100, Math.max(0, sand)),
     silt: Math.min(100, Math.max(0, silt)),
-    source: 'Regional Pattern (Fallback)'
-  };
+    source
+  });
 };
 
 /* ===================== TOPOGRAPHY ===================== */
-const calculateSlope = async (lat, lon) => {
+// Load the local DEM (DEM_PATH) if one is configured; otherwise the elevation provider is used
+const demReady = initDem();
+
+/**
+ * Terrain at a point from a DEM window (see terrain.js): slope and aspect by
+ * Horn's method, plan/profile curvature and upslope contributing area, plus
+ * water/ice detection. options: { window, resolution } (parseTerrainOptions)
+ */
+const calculateSlope = async (lat, lon, options = DEFAULT_TERRAIN) => {
   try {
-    // sample center, north, south, east, west
-    const d = 0.003;
-    const url =
-      `https://api.open-meteo.com/v1/elevation?` +
-      `latitude=${lat},${lat + d},${lat - d},${lat},${lat}` +
-      `&longitude=${lon},${lon},${lon},${lon + d},${lon - d}`;
-
-    const res = await axios.get(url, { timeout: 10000 });
-    const e = res.data.elevation;
-
-    // Expected order: center, north, south, east, west
-    const h0 = e[0];
-    const hN = e[1];
-    const hS = e[2];
-    const hE = e[3];
-    const hW = e[4];
+    await demReady;
+    const { grid, size, dx, dy, source, fetched_at } = await getElevationGrid(lat, lon, options);
+    const m = (size - 1) / 2;
+    const h0 = grid[m][m];
+
+    const terrainMeta = {
+      terrain_source: source,
+      terrain_fetched_at: fetched_at,
+      terrain_window: size,
+      terrain_resolution: options.resolution
+    };
+    const flat = { slope: 0, aspect: null, plan_curvature: 0, profile_curvature: 0, contributing_area: null };
 
     // If sampled elevations suggest water (majority of sampled points at or below sea level), treat as water (ocean/lake)
-    const elevations = [h0, hN, hS, hE, hW].filter(h => typeof h === 'number');
+    const elevations = grid.flat().filter(h => typeof h === 'number');
     const waterCount = elevations.filter(h => h <= 0).length;
     const isWaterByElev = elevations.length > 0 && (waterCount / elevations.length) >= 0.6; // majority rule (~60%)
     let placeName = null;
@@ -271,18 +701,12 @@ const calculateSlope = async (lat, lon) => {
     let placeType = null;
 
     if (isWaterByElev) {
-      return { elevation: h0, slope: 0, isWater: true, isIce: false, place: placeName, place_class: placeClass, place_type: placeType };
+      return { elevation: h0, ...flat, ...terrainMeta, isWater: true, isIce: false, place: placeName, place_class: placeClass, place_type: placeType };
     }
 
     // Try reverse-geocoding (Nominatim) to detect water bodies or glaciers/ice where elevation alone fails
     try {
-      const geoUrl = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}`;
-      const geoRes = await axios.get(geoUrl, {
-        timeout: 5000, // allow more time for reverse-geocoding over ocean/remote regions
-        headers: { 'User-Agent': 'KeralaLandslidePredictionAPI/1.0 (mailto:info@example.com)' }
-      });
-
-      const g = geoRes.data || {};
+      const g = (await getProvider("geocoding").reverse({ lat, lon })) || {};
       const cls = (g.class || '').toLowerCase();
       const type = (g.type || '').toLowerCase();
 
@@ -297,29 +721,16 @@ const calculateSlope = async (lat, lon) => {
       placeClass = cls || null;
       placeType = type || null;
 
-      if (isWaterByGeo) return { elevation: h0, slope: 0, isWater: true, isIce: false, place: placeName, place_class: placeClass, place_type: placeType };
-      if (isIceByGeo) return { elevation: h0, slope: 0, isWater: false, isIce: true, place: placeName, place_class: placeClass, place_type: placeType };
+      if (isWaterByGeo) return { elevation: h0, ...flat, ...terrainMeta, isWater: true, isIce: false, place: placeName, place_class: placeClass, place_type: placeType };
+      if (isIceByGeo) return { elevation: h0, ...flat, ...terrainMeta, isWater: false, isIce: true, place: placeName, place_class: placeClass, place_type: placeType };
     } catch (geoErr) {
       // reverse-geocode failed or timed out; continue with slope calculation
     }
 
-    // Convert degree offsets to meters at the given latitude
-    const latRad = (lat * Math.PI) / 180;
-    const metersPerDegLat = 111320; // approximate
-    const metersPerDegLon = 111320 * Math.cos(latRad);
-
-    const distY = d * metersPerDegLat; // north-south spacing (m)
-    const distX = d * metersPerDegLon; // east-west spacing (m)
-
-    // central difference derivatives (m/m)
-    const dzdx = (hE - hW) / (2 * distX);
-    const dzdy = (hN - hS) / (2 * distY);
-
-    const slopeDeg = Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy)) * (180 / Math.PI);
-
     return {
       elevation: h0,
-      slope: Number(slopeDeg.toFixed(2)),
+      ...analyseTerrain(grid, dx, dy),
+      ...terrainMeta,
       isWater: false,
       isIce: false,
       place: placeName,
@@ -327,53 +738,201 @@ const calculateSlope = async (lat, lon) => {
       place_type: placeType
     };
   } catch (err) {
-    return { elevation: 0, slope: 0, isWater: false, isIce: false, place: null, place_class: null, place_type: null };
+    return {
+      elevation: 0, slope: 0, aspect: null, plan_curvature: 0, profile_curvature: 0, contributing_area: null,
+      terrain_source: null, terrain_fetched_at: null, terrain_window: options.window, terrain_resolution: options.resolution,
+      isWater: false, isIce: false, place: null, place_class: null, place_type: null
+    };
   }
 };
 
+/* ===================== LAND COVER ===================== */
+// Open the local land-cover raster (LAND_COVER_PATH) if one is configured
+const landCoverReady = initLandCover();
+
+/**
+ * Land cover at a point (see landCover.js), using the OSM tags calculateSlope
+ * got from reverse geocoding and the climate zone's vegetation as the fallback.
+ * override: parseLandCoverOptions result
+ */
+const resolveLandCover = async (lat, lon, topo, climate, override = null) => {
+  await landCoverReady;
+  return getLandCover(lat, lon, {
+    osm: { place_class: topo.place_class, place_type: topo.place_type },
+    override,
+    fallbackClass: climate.vegetation
+  });
+};
+
 /* ===================== CORE PHYSICS ===================== */
-const calculateRisk = (f) => {
+/**
+ * Resolve the slip-surface state for a set of features:
+ * depth, slope angle, base strength, saturation and effective c / phi
+ * profile: parameter profile (see profiles.js), the default profile when omitted
+ */
+const resolveSlopeState = (f, profile = getParameterProfile()) => {
   const z = Number(f.depth || 2.5);
   const slopeDeg = Number(f.slope || 0);
   const beta = slopeDeg * Math.PI / 180;
 
-  const baseStrength = getStrengthFromDepth(z);
+  const baseStrength = getStrengthFromDepth(z, profile);
   const gamma = baseStrength.gamma;
 
-  // Normal and shear stress on an infinite slope (unit width)
-  const sigma = gamma * z * Math.cos(beta) * Math.cos(beta);
-  const tau = gamma * z * Math.sin(beta) * Math.cos(beta);
-
   // Saturation from humidity + recent rainfall (0..1)
   // More accurate: combines base moisture from humidity with additional rainfall contribution
-  const humidityFactor = Number(f.humidity || 70) / 100;
-  const baseMoisture = 0.12 + 0.15 * humidityFactor;
-  const rainMoisture = Math.min((f.rain_7day || 0) / 200, 0.6);
+  // The climate zone sets the base moisture and the humidity when none was observed
+  const climate = f.climate || defaultClimate();
+  const humidityFactor = Number(f.humidity || climate.humidity) / 100;
+  const baseMoisture = climate.base_moisture + 0.15 * humidityFactor;
+  // Rainfall term uses the antecedent precipitation index when available
+  const antecedentRain = f.antecedent_index !== undefined && f.antecedent_index !== null
+    ? f.antecedent_index
+    : f.rain_7day;
+  const rainMoisture = Math.min((antecedentRain || 0) / 200, 0.6);
   const saturation = Math.min(baseMoisture + rainMoisture, 1);
 
-  // Soil composition (percentages from features)
-  const soil = { clay: Number(f.clay || 0), sand: Number(f.sand || 0), silt: Number(f.silt || 0) };
+  // Soil composition (percentages) of the layer the slip surface lies in,
+  // falling back to the single composition in features
+  const layer = getSoilLayerAtDepth(f.profile, z);
+  const texture = layer || f;
+  const soil = { clay: Number(texture.clay || 0), sand: Number(texture.sand || 0), silt: Number(texture.silt || 0) };
 
   // Compute effective cohesion and friction angle using soil composition, depth and saturation
-  let { c, phi } = computeSoilStrength(baseStrength, soil, z, saturation);
+  let { c, phi } = computeSoilStrength(baseStrength, soil, z, saturation, profile);
 
-  // Root cohesion (shallow only) - added on top of effective cohesion
-  if (CLIMATE.vegetation === "dense" && z <= 1.5) {
-    c += 15;
-  }
+  // Root cohesion from the land cover, tapering with depth - added on top of effective cohesion
+  const landCover = f.land_cover || defaultLandCover();
+  const rootCohesion = rootCohesionAtDepth(landCover, z) * profile.root_cohesion_scale;
+  c += rootCohesion;
+  const surcharge = Number(landCover.surcharge || 0);
+
+  return { z, beta, baseStrength, gamma, saturation, layer, c, phi, rootCohesion, landCover, surcharge };
+};
+
+/**
+ * Infinite-slope factor of safety (unit width) for given strength and saturation
+ * porePressure (kPa) replaces the saturation-based estimate when given;
+ * surcharge (kPa) is a vertical surface load added to the soil column;
+ * kh / kv are pseudo-static seismic coefficients (kh out of the slope, kv upwards)
+ */
+const infiniteSlopeFoS = ({ c, phi, gamma, z, beta, saturation, porePressure = null, surcharge = 0, kh = 0, kv = 0 }) => {
+  // Normal and shear stress on an infinite slope (unit width)
+  const load = gamma * z + surcharge;
+  const sigma = load * ((1 - kv) * Math.cos(beta) * Math.cos(beta) - kh * Math.sin(beta) * Math.cos(beta));
+  const tau = load * ((1 - kv) * Math.sin(beta) * Math.cos(beta) + kh * Math.cos(beta) * Math.cos(beta));
 
-  const pore_pressure = sigma * Math.min(saturation * 0.6, 0.6);
+  // The heuristic pore pressure scales with the soil column only
+  const pore_pressure = porePressure !== null
+    ? porePressure
+    : gamma * z * Math.cos(beta) * Math.cos(beta) * Math.min(saturation * 0.6, 0.6);
 
   const shear_strength =
     c + (sigma - pore_pressure) * Math.tan(phi * Math.PI / 180);
 
   const FoS = shear_strength / (tau + 0.01);
 
+  return { sigma, tau, pore_pressure, shear_strength, FoS };
+};
+
+/**
+ * Newmark yield acceleration: the horizontal coefficient ky (in g) at which the
+ * pseudo-static FoS drops to 1, for the same strength and pore pressure
+ */
+const yieldAcceleration = ({ c, phi, gamma, z, beta, porePressure, surcharge = 0, kv = 0 }) => {
+  const load = gamma * z + surcharge;
+  const tanPhi = Math.tan(phi * Math.PI / 180);
+  const cos = Math.cos(beta);
+  const sin = Math.sin(beta);
+
+  const reserve = c + (load * (1 - kv) * cos * cos - porePressure) * tanPhi - load * (1 - kv) * sin * cos;
+  return Math.max(0, reserve / (load * cos * (cos + sin * tanPhi)));
+};
+
+/**
+ * Risk level from the FoS; thresholds are the upper FoS bound of each level
+ * (the profile's risk_thresholds, see validate.js for checking them against an inventory)
+ */
+const classifyRisk = (FoS, thresholds = getParameterProfile().risk_thresholds) => {
+  if (FoS < thresholds.Extreme) return "Extreme";
+  if (FoS < thresholds.High) return "High";
+  if (FoS < thresholds.Medium) return "Medium";
+  return "Low";
+};
+
+/**
+ * Pressure head at the slip surface from the infiltration model, or null when
+ * the heuristic (saturation-based) pore pressure is selected
+ */
+const computeInfiltration = (f, state, infiltration) => {
+  if (!infiltration || infiltration.model !== 'iverson') return null;
+
+  const permeability = infiltration.permeability || Number(f.permeability) || 5.0;
+  const head = iversonPressureHead({
+    depth: state.z,
+    slope: state.beta,
+    hourlyRain: f.rain_hourly,
+    permeability,
+    diffusivity: infiltration.diffusivity,
+    waterTableDepth: infiltration.water_table_depth
+  });
+
+  return {
+    ...head,
+    permeability,
+    diffusivity: infiltration.diffusivity,
+    water_table_depth: infiltration.water_table_depth,
+    rain_hours: Array.isArray(f.rain_hourly) ? f.rain_hourly.length : 0
+  };
+};
+
+/**
+ * options.infiltration selects the pore pressure model (see parseInfiltrationOptions);
+ * options.seismic ({ kh, kv, ... } from resolveSeismicCoefficients) adds a
+ * pseudo-static FoS and the yield acceleration alongside the static result;
+ * options.strength ({ cohesion, friction_angle }) replaces the estimated effective strength;
+ * options.parameters selects the parameter profile (default profile when omitted)
+ */
+const calculateRisk = (f, options = {}) => {
+  const profile = options.parameters || getParameterProfile();
+  const state = resolveSlopeState(f, profile);
+  if (options.strength) {
+    if (options.strength.cohesion !== undefined) state.c = Number(options.strength.cohesion);
+    if (options.strength.friction_angle !== undefined) state.phi = Number(options.strength.friction_angle);
+  }
+  const { z, beta, baseStrength, gamma, saturation, layer, c, phi, rootCohesion, landCover, surcharge } = state;
+  const infiltration = computeInfiltration(f, state, options.infiltration);
+  const { sigma, tau, pore_pressure, shear_strength, FoS } = infiniteSlopeFoS({
+    c, phi, gamma, z, beta, saturation, surcharge,
+    porePressure: infiltration ? infiltration.pore_pressure : null
+  });
+
+  // Keep the heuristic result alongside the infiltration model for comparison
+  if (infiltration) {
+    const heuristic = infiniteSlopeFoS({ c, phi, gamma, z, beta, saturation, surcharge });
+    infiltration.pore_pressure = Number(infiltration.pore_pressure.toFixed(3));
+    infiltration.heuristic_pore_pressure = Number(heuristic.pore_pressure.toFixed(3));
+    infiltration.heuristic_FoS = Number(heuristic.FoS.toFixed(2));
+  }
+
+  let seismic = null;
+  if (options.seismic) {
+    const { kh, kv } = options.seismic;
+    const shaken = infiniteSlopeFoS({ c, phi, gamma, z, beta, saturation, surcharge, porePressure: pore_pressure, kh, kv });
+    const ky = yieldAcceleration({ c, phi, gamma, z, beta, surcharge, kv, porePressure: pore_pressure });
+    seismic = {
+      ...options.seismic,
+      static_FoS: Number(FoS.toFixed(2)),
+      seismic_FoS: Number(shaken.FoS.toFixed(2)),
+      seismic_risk_level: classifyRisk(shaken.FoS, profile.risk_thresholds),
+      critical_acceleration: Number(ky.toFixed(3)), // g
+      critical_acceleration_ms2: Number((ky * 9.81).toFixed(2)),
+      // Newmark sliding is expected when the design acceleration exceeds the yield acceleration
+      yield_exceeded: kh > ky
+    };
+  }
+
   // Use computed FoS directly for both decision logic and display
-  let risk = "Low";
-  if (FoS < 1.0) risk = "Extreme";
-  else if (FoS < 1.3) risk = "High";
-  else if (FoS < 1.7) risk = "Medium";
+  const risk = classifyRisk(FoS, profile.risk_thresholds);
 
   const displayFoS = FoS;
 
@@ -391,16 +950,23 @@ const calculateRisk = (f) => {
     shear_stress: Number(tau.toFixed(2)),
     saturation_percent: Number((saturation * 100).toFixed(0)),
     friction_angle: roundedPhi,
+    seismic,
     // richer diagnostic details
     details: {
       base_cohesion: Number(baseC.toFixed(2)),
       base_friction_angle: Number(basePhi.toFixed(2)),
       computed_cohesion: Number(c.toFixed(2)),
       computed_friction_angle: roundedPhi,
-      root_cohesion_added: (CLIMATE.vegetation === "dense" && z <= 1.5) ? 15 : 0,
+      parameter_profile: profile.id,
+      root_cohesion_added: Number(rootCohesion.toFixed(2)),
+      land_cover: landCover.class,
+      surcharge: Number(surcharge.toFixed(2)),
+      soil_layer: layer ? { ...layer } : null,
       gamma: Number(gamma.toFixed(2)),
       normal_stress: Number(sigma.toFixed(3)),
       pore_pressure: Number(pore_pressure.toFixed(3)),
+      pore_pressure_model: infiltration ? 'iverson' : 'heuristic',
+      infiltration,
       shear_strength: Number(shear_strength.toFixed(2)),
       shear_stress: Number(tau.toFixed(2)),
       FoS: Number(displayFoS.toFixed(2)),
@@ -409,125 +975,1419 @@ const calculateRisk = (f) => {
   };
 };
 
+/**
+ * Probabilistic FoS: sample cohesion, friction angle, unit weight and saturation
+ * around the deterministic values and report P[FoS < 1], percentiles and the
+ * reliability index. options: { iterations, seed, distributions, infiltration, parameters }
+ * With the infiltration model the pore pressure is held at its computed value.
+ */
+const calculateFailureProbability = (f, options = {}) => {
+  const { infiltration: infiltrationOptions, parameters, ...mcOptions } = options;
+  const state = resolveSlopeState(f, parameters);
+  const infiltration = computeInfiltration(f, state, infiltrationOptions);
+
+  return runMonteCarlo({
+    means: {
+      cohesion: state.c,
+      friction_angle: state.phi,
+      unit_weight: state.gamma,
+      saturation: state.saturation
+    },
+    ...mcOptions,
+    evaluate: (s) => infiniteSlopeFoS({
+      c: s.cohesion,
+      phi: s.friction_angle,
+      gamma: s.unit_weight,
+      z: state.z,
+      beta: state.beta,
+      saturation: s.saturation,
+      surcharge: state.surcharge,
+      porePressure: infiltration ? infiltration.pore_pressure : null
+    }).FoS
+  });
+};
+
+/* ===================== MODEL REGISTRY ===================== */
+// The physics above is the default model; models.js registers the others
+registerModel("infinite-slope", {
+  name: "Infinite-slope FoS",
+  description:
+    "Depth-dependent strength adjusted for texture and saturation, layered soil profile, " +
+    "land-cover root cohesion and surcharge, heuristic or Iverson pore pressure and optional seismic loading",
+  inputs: [
+    { name: "slope", unit: "degrees", description: "Slope angle from the DEM window" },
+    { name: "depth", unit: "m", description: "Slip surface depth" },
+    { name: "clay / sand / silt", unit: "%", description: "Texture of the profile layer at the slip depth" },
+    { name: "humidity", unit: "%", description: "Relative humidity (climate default when unobserved)" },
+    { name: "antecedent_index", unit: "mm", description: "Antecedent precipitation index (rain_7day when absent)" },
+    { name: "rain_hourly", unit: "mm/h", description: "Hourly rainfall for the Iverson pore pressure model" },
+    { name: "permeability", unit: "mm/h", description: "Saturated conductivity for the Iverson model" },
+    { name: "climate", unit: null, description: "Köppen zone setting base moisture" },
+    { name: "land_cover", unit: null, description: "Root cohesion and surcharge parameters" }
+  ],
+  outputs: [
+    { name: "risk_level", description: "Low, Medium, High or Extreme" },
+    { name: "FoS", description: "Static factor of safety" },
+    { name: "shear_strength / shear_stress", description: "Resisting and driving stress on the slip surface (kPa)" },
+    { name: "saturation_percent", description: "Estimated saturation" },
+    { name: "friction_angle", description: "Effective friction angle (°)" },
+    { name: "seismic", description: "Pseudo-static FoS and yield acceleration when seismic is requested" },
+    { name: "probabilistic", description: "Monte Carlo failure probability when probabilistic is requested" },
+    { name: "details", description: "Strength, stress and pore pressure diagnostics" }
+  ],
+  options: ["infiltration", "seismic", "probabilistic", "parameters", "antecedent"],
+  run: (f, options) => calculateRisk(f, options)
+}, true);
+
 /* ===================== API ===================== */
-app.post("/predict", async (req, res) => {
+/**
+ * Fetch weather, topography and soil for a site once, applying the manual
+ * rainfall override used by simulation mode and computing the antecedent
+ * precipitation index (body.antecedent, body.date, body.terrain and body.landCover must
+ * already be validated).
+ * With body.date the weather comes from the historical archive instead of "now".
+ * Each input's source, fetch time and fallback state is kept in `provenance`.
+ */
+const collectSiteInputs = async (lat, lng, body = {}) => {
+  const antecedentOptions = parseAntecedentOptions(body.antecedent);
+  const historical = parseHistoricalDate(body.date);
+  const topoPromise = calculateSlope(lat, lng, parseTerrainOptions(body.terrain));
+  const climatePromise = resolveClimate(lat, lng);
+  const [weatherOrig, topo, climate, soil] = await Promise.all([
+    historical
+      ? fetchHistoricalWeather(lat, lng, historical, { pastDays: antecedentOptions.days })
+      : fetchWeather(lat, lng, { pastDays: antecedentOptions.days }),
+    topoPromise,
+    climatePromise,
+    getSoilComposition(lat, lng, { sampling: body.soilSampling, climate: climatePromise })
+  ]);
+
+  const landCover = await resolveLandCover(lat, lng, topo, climate, parseLandCoverOptions(body.landCover));
+  const { weather, isSimulated } = prepareWeatherInputs(weatherOrig, climate, body.manualRain, antecedentOptions);
+
+  return {
+    weather,
+    topo,
+    soil,
+    climate,
+    landCover,
+    isSimulated,
+    provenance: describeProvenance({ weather: weatherOrig, topo, soil, climate, landCover, isSimulated }),
+    historical: historical
+      ? { date: historical.date, evaluated_at: `${historical.time}Z`, provider: getProvider("weather").archiveName }
+      : null
+  };
+};
+
+/**
+ * Fill in the climate humidity, apply the manual rainfall override used by
+ * simulation mode and replace the daily series with the antecedent index
+ * Returns { weather, isSimulated }
+ */
+const prepareWeatherInputs = (weatherOrig, climate, manualRain, antecedentOptions) => {
+  // Allow manual rainfall override for simulation
+  const weather = { ...weatherOrig };
+  if (weather.humidity === null || weather.humidity === undefined) weather.humidity = climate.humidity;
+  let isSimulated = false;
+  if (manualRain !== null && manualRain !== undefined && Number.isFinite(Number(manualRain))) {
+    const mr = Number(manualRain);
+    weather.rain_current = mr;
+    // approximate 7-day cumulative as 7 × current (simple simulation)
+    weather.rain_7day = mr * 7;
+    // spread the same daily amount evenly over the hourly history
+    weather.rain_hourly = new Array(HOURLY_HISTORY_HOURS).fill(mr / 24);
+    weather.rain_hourly_start = null;
+    // and repeat it for every day of the antecedent window
+    weather.rain_daily = new Array(antecedentOptions.days).fill(null).map(() => ({ date: null, precipitation: mr }));
+    isSimulated = true;
+  }
+
+  // The daily series is summarised by the index and its contributing days
+  const { rain_daily: rainDaily, ...weatherInputs } = weather;
+  const antecedent = computeAntecedentIndex(rainDaily, antecedentOptions);
+
+  return {
+    weather: { ...weatherInputs, antecedent_index: antecedent.index, antecedent },
+    isSimulated
+  };
+};
+
+/**
+ * Data quality of collected site inputs and whether the data policy withholds
+ * the verdict (water and ice sites are never withheld)
+ * Returns { provenance, data_quality, withheld } with withheld the reason or null
+ */
+const assessSiteData = (site, policy) => {
+  const data_quality = gradeDataQuality(site.provenance);
+  const onLand = !(site.topo.isWater || site.topo.isIce);
+  return {
+    provenance: site.provenance,
+    data_quality,
+    withheld: onLand ? withheldVerdictReason(data_quality, policy) : null
+  };
+};
+
+// 422 body for a withheld verdict: the reason plus what was defaulted
+const insufficientData = ({ withheld, provenance, data_quality }) => ({
+  error: "Insufficient data",
+  message: withheld,
+  data_quality,
+  provenance
+});
+
+// Validation failure carrying the error label of the 400 response
+const invalidRequest = (error, message) => Object.assign(new Error(message), { error });
+
+// Parser result, or an invalidRequest carrying the label
+const parseLabelled = (label, parser) => {
   try {
-    const lat = Number(req.body.lat);
-    const lng = Number(req.body.lng);
-    const depth = Number(req.body.depth || 2.5);
+    return parser();
+  } catch (err) {
+    throw invalidRequest(label, err.message);
+  }
+};
 
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      return res.status(400).json({ error: "Invalid coordinates" });
-    }
+/**
+ * Validate the point, slip depth, site-input and slope-model options shared by
+ * the single-point endpoints (/predict, depth profiles, sensitivity, forecasts)
+ * Returns the parsed options; throws an Error whose `error` field is the
+ * label for the 400 response
+ */
+const parsePointRequest = (body) => {
+  const lat = Number(body.lat);
+  const lng = Number(body.lng);
+  const depth = Number(body.depth || 2.5);
 
-    const [weatherOrig, topo, soil] = await Promise.all([
-      fetchWeather(lat, lng),
-      calculateSlope(lat, lng),
-      getSoilComposition(lat, lng)
-    ]);
+  if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+    throw invalidRequest("Invalid coordinates", "lat and lng must be numbers within -90..90 and -180..180");
+  }
 
-    // Allow manual rainfall override for simulation
-    const manualRain = req.body.manualRain;
-    const weather = { ...weatherOrig };
-    let isSimulated = false;
-    if (manualRain !== null && manualRain !== undefined && Number.isFinite(Number(manualRain))) {
-      const mr = Number(manualRain);
-      weather.rain_current = mr;
-      // approximate 7-day cumulative as 7 × current (simple simulation)
-      weather.rain_7day = mr * 7;
-      isSimulated = true;
-    }
+  const parameters = parseLabelled("Invalid parameter profile", () => parseProfileSelection(body.parameterProfile));
+  const infiltration = parseLabelled("Invalid infiltration options", () => parseInfiltrationOptions(body.infiltration));
+  const seismicOptions = parseLabelled("Invalid seismic options", () => parseSeismicOptions(body.seismic));
+  const antecedent = parseLabelled("Invalid antecedent rainfall options", () => parseAntecedentOptions(body.antecedent));
+  parseLabelled("Invalid date", () => parseHistoricalDate(body.date));
+  const terrain = parseLabelled("Invalid terrain options", () => parseTerrainOptions(body.terrain));
+  const landCoverOverride = parseLabelled("Invalid land cover options", () => parseLandCoverOptions(body.landCover));
+  const dataPolicy = parseLabelled("Invalid data policy", () => parseDataPolicy(body.dataPolicy));
 
-    // If the sampled points are over water (e.g., ocean/lake) or ice (glacier/ice-shelf), report zeroed inputs and a maximum FoS
-    if (topo && (topo.isWater || topo.isIce)) {
-      const why = topo.isWater ? "water body" : "ice-covered area";
+  return { lat, lng, depth, parameters, infiltration, seismicOptions, antecedent, terrain, landCoverOverride, dataPolicy };
+};
 
-      // Zero out environmental inputs to make it explicit that landslide model is not applicable
-      const features = {
-        temperature: 0,
-        humidity: 0,
-        rain_current: 0,
-        rain_7day: 0,
-        elevation: 0,
-        slope: 0,
-        isWater: !!topo.isWater,
-        isIce: !!topo.isIce,
-        soil: null,
-        depth: 0
-      };
+// Request field, 400 label and description of each model option (a model's `options`)
+const MODEL_OPTION_FIELDS = {
+  parameters: { field: "parameterProfile", label: "Invalid parameter profile", what: "parameter profiles are" },
+  probabilistic: { field: "probabilistic", label: "Invalid probabilistic options", what: "probabilistic analysis is" },
+  infiltration: { field: "infiltration", label: "Invalid infiltration options", what: "infiltration is" },
+  seismic: { field: "seismic", label: "Invalid seismic options", what: "seismic loading is" },
+  antecedent: { field: "antecedent", label: "Invalid antecedent rainfall options", what: "the antecedent rainfall index is" }
+};
 
-      const maxFoS = 1000.0;
-      const prediction = {
-        risk_level: `N/A (${why})`,
-        FoS: maxFoS,
-        message: `Location appears to be over ${why}; landslide risk not applicable`,
-        details: {
-          cohesion: 0,
-          friction_angle: 0,
-          shear_strength: 0,
-          shear_stress: 0,
-          FoS: maxFoS,
-          saturation_percent: 0
-        }
-      };
+/**
+ * Validate a /predict request body (also each point of /predict/batch):
+ * parsePointRequest plus the model selection; options the primary model does
+ * not honour are rejected rather than ignored
+ */
+const parsePredictionRequest = (body) => {
+  const point = parsePointRequest(body);
 
-      return res.json({
-        location: { lat, lng },
-        location_type: topo.isWater ? 'water' : 'ice',
-        location_info: {
-          place: topo.place || null,
-          place_class: topo.place_class || null,
-          place_type: topo.place_type || null
-        },
-        climate: CLIMATE,
-        input: features,
-        prediction,
-        isSimulated,
-        disclaimer: "Prediction model – not a deterministic guarantee",
-        timestamp: new Date().toISOString()
-      });
+  const modelIds = parseLabelled("Invalid model", () => parseModelSelection(body.model));
+  const primaryModel = getModel(modelIds[0]);
+
+  for (const [option, { field, label, what }] of Object.entries(MODEL_OPTION_FIELDS)) {
+    if (body[field] && !primaryModel.options.includes(option)) {
+      throw invalidRequest(label, `${what} not available for the ${primaryModel.id} model`);
     }
+  }
+
+  const probabilistic = body.probabilistic
+    ? parseLabelled("Invalid probabilistic options", () => parseProbabilisticOptions(body.probabilistic))
+    : null;
+
+  const thresholds = parseLabelled("Invalid rainfall thresholds", () => parseThresholdOptions(body.thresholds));
+
+  return { ...point, modelIds, primaryModel, probabilistic, thresholds };
+};
+
+/**
+ * Run the requested models on the collected site inputs and build the /predict response
+ * request: parsePredictionRequest result; site: collectSiteInputs result
+ */
+const buildPrediction = (request, site, body) => {
+  const { lat, lng, depth, modelIds, primaryModel, parameters, probabilistic, thresholds, infiltration, seismicOptions } = request;
+  const { weather, topo, soil, climate, landCover, isSimulated, historical, provenance } = site;
+  const data_quality = gradeDataQuality(provenance);
 
+  // If the sampled points are over water (e.g., ocean/lake) or ice (glacier/ice-shelf), report zeroed inputs and a maximum FoS
+  if (topo && (topo.isWater || topo.isIce)) {
+    const why = topo.isWater ? "water body" : "ice-covered area";
+
+    // Zero out environmental inputs to make it explicit that landslide model is not applicable
     const features = {
-      ...weather,
-      ...topo,
-      ...soil,
-      depth
+      temperature: 0,
+      humidity: 0,
+      rain_current: 0,
+      rain_7day: 0,
+      elevation: 0,
+      slope: 0,
+      isWater: !!topo.isWater,
+      isIce: !!topo.isIce,
+      soil: null,
+      depth: 0
     };
 
-    const prediction = calculateRisk(features);
+    const maxFoS = 1000.0;
+    const prediction = {
+      risk_level: `N/A (${why})`,
+      FoS: maxFoS,
+      message: `Location appears to be over ${why}; landslide risk not applicable`,
+      details: {
+        cohesion: 0,
+        friction_angle: 0,
+        shear_strength: 0,
+        shear_stress: 0,
+        FoS: maxFoS,
+        saturation_percent: 0
+      }
+    };
 
-    res.json({
+    return {
       location: { lat, lng },
-      location_type: 'land',
+      location_type: topo.isWater ? 'water' : 'ice',
       location_info: {
         place: topo.place || null,
         place_class: topo.place_class || null,
         place_type: topo.place_type || null
       },
-      climate: CLIMATE,
+      climate,
       input: features,
       prediction,
+      provenance,
+      data_quality,
       isSimulated,
-      disclaimer: "Prediction model – not a deterministic guarantee",
+      mode: historical ? 'historical' : 'realtime',
+      historical,
+      disclaimer: historical ? HISTORICAL_DISCLAIMER : "Prediction model – not a deterministic guarantee",
       timestamp: new Date().toISOString()
-    });
-  } catch (err) {
-    res.status(500).json({
-      error: "Prediction failed",
-      message: err.message
-    });
+    };
   }
-});
 
-/* ===================== SERVER ===================== */
-const PORT = process.env.PORT || 5000;
+  const features = {
+    ...weather,
+    ...topo,
+    ...soil,
+    climate,
+    land_cover: landCover,
+    depth
+  };
 
-if (require.main === module) {
-  app.listen(PORT, () => {
-    console.log("✅ Kerala Landslide Prediction API");
-    console.log("🌧️ Climate fixed: Tropical Monsoon (Am)");
-    console.log(`🚀 Server running on port ${PORT}`);
+  const seismic = seismicOptions ? resolveSeismicCoefficients(lat, lng, seismicOptions) : null;
+  const predictions = {};
+  for (const id of modelIds) {
+    predictions[id] = getModel(id).run(features, { infiltration, seismic, parameters });
+  }
+  const prediction = predictions[primaryModel.id];
+  if (probabilistic) {
+    prediction.probabilistic = calculateFailureProbability(features, { ...probabilistic, infiltration, parameters });
+  }
+
+  const rainfall_threshold = evaluateRainfallThresholds(weather.rain_hourly, thresholds);
+
+  return {
+    location: { lat, lng },
+    location_type: 'land',
+    location_info: {
+      place: topo.place || null,
+      place_class: topo.place_class || null,
+      place_type: topo.place_type || null
+    },
+    climate,
+    input: features,
+    model: body.model === ALL_MODELS ? ALL_MODELS : primaryModel.id,
+    // The exact parameter values behind the prediction
+    parameters: primaryModel.options.includes('parameters') ? parameters : null,
+    prediction,
+    // Every model's result side by side when model is "all"
+    ...(body.model === ALL_MODELS ? { predictions } : {}),
+    rainfall_threshold,
+    warning: combineWarningLevels(prediction.risk_level, rainfall_threshold),
+    provenance,
+    data_quality,
+    isSimulated,
+    mode: historical ? 'historical' : 'realtime',
+    historical,
+    disclaimer: historical ? HISTORICAL_DISCLAIMER : "Prediction model – not a deterministic guarantee",
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Save predictions for the history (GET /predictions); a storage failure is
+ * logged and does not fail the prediction
+ * records: [{ status, body, response }]
+ * Returns the stored ids in record order, or null when nothing was stored
+ */
+const storePredictions = async (endpoint, records) => {
+  await predictionStoreReady;
+  if (records.length === 0) return null;
+  try {
+    return await recordPredictions(records.map(record => ({ endpoint, ...record })));
+  } catch (err) {
+    console.warn("Predictions not stored:", err.message);
+    return null;
+  }
+};
+
+app.post("/predict", async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parsePredictionRequest(req.body);
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(400).json({ error: err.error, message: err.message });
+    }
+
+    let site;
+    try {
+      site = await collectSiteInputs(request.lat, request.lng, req.body);
+    } catch (err) {
+      // The historical archive is the expected failure; live weather falls back instead
+      if (!req.body.date) throw err;
+      return res.status(502).json({ error: "Historical weather unavailable", message: err.message });
+    }
+
+    const assessment = assessSiteData(site, request.dataPolicy);
+    const status = assessment.withheld ? 422 : 200;
+    const response = assessment.withheld ? insufficientData(assessment) : buildPrediction(request, site, req.body);
+
+    const [prediction_id = null] = (await storePredictions("/predict", [{ status, body: req.body, response }])) || [];
+    res.status(status).json({ ...response, prediction_id });
+  } catch (err) {
+    res.status(500).json({
+      error: "Prediction failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== BATCH PREDICTION ===================== */
+/**
+ * /predict for many points: shared options with per-point overrides. Points with
+ * identical site inputs share one set of upstream fetches, fetches are spaced
+ * out and at most `concurrency` points run at once. A failing point is reported
+ * in its result instead of failing the batch.
+ */
+app.post("/predict/batch", async (req, res) => {
+  try {
+    let batch;
+    try {
+      batch = parseBatchRequest(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid batch", message: err.message });
+    }
+
+    const throttle = createThrottle();
+    const sites = new Map();
+    const siteInputs = (lat, lng, body) => {
+      const key = siteKey(lat, lng, body);
+      if (!sites.has(key)) sites.set(key, throttle().then(() => collectSiteInputs(lat, lng, body)));
+      return sites.get(key);
+    };
+
+    const results = await mapWithConcurrency(batch.points, batch.concurrency, async ({ index, id, body }) => {
+      const point = { index, id, lat: Number(body.lat), lng: Number(body.lng) };
+      let request;
+      try {
+        request = parsePredictionRequest(body);
+      } catch (err) {
+        return { ...point, ok: false, status: err.error ? 400 : 500, error: err.error || "Prediction failed", message: err.message };
+      }
+
+      let site;
+      try {
+        site = await siteInputs(request.lat, request.lng, body);
+      } catch (err) {
+        // The historical archive is the expected failure; live weather falls back instead
+        return body.date
+          ? { ...point, ok: false, status: 502, error: "Historical weather unavailable", message: err.message }
+          : { ...point, ok: false, status: 500, error: "Prediction failed", message: err.message };
+      }
+
+      const assessment = assessSiteData(site, request.dataPolicy);
+      if (assessment.withheld) return { ...point, ok: false, status: 422, ...insufficientData(assessment) };
+
+      try {
+        return { ...point, ok: true, result: buildPrediction(request, site, body) };
+      } catch (err) {
+        return { ...point, ok: false, status: 500, error: "Prediction failed", message: err.message };
+      }
+    });
+
+    const risk_levels = {};
+    for (const r of results) {
+      if (r.ok) risk_levels[r.result.prediction.risk_level] = (risk_levels[r.result.prediction.risk_level] || 0) + 1;
+    }
+
+    // Verdicts and withheld verdicts go to the history like single predictions
+    const told = results.filter(r => r.ok || r.status === 422);
+    const ids = await storePredictions("/predict/batch", told.map(r => {
+      const { index, id, lat, lng, ok, status, ...withheld } = r;
+      return {
+        status: ok ? 200 : status,
+        body: batch.points[index].body,
+        response: ok ? r.result : withheld
+      };
+    }));
+    told.forEach((r, i) => {
+      const prediction_id = ids ? ids[i] : null;
+      if (r.ok) r.result = { ...r.result, prediction_id };
+      else r.prediction_id = prediction_id;
+    });
+
+    res.json({
+      summary: {
+        points: results.length,
+        succeeded: results.filter(r => r.ok).length,
+        failed: results.filter(r => !r.ok).length,
+        unique_sites: sites.size,
+        risk_levels
+      },
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Batch prediction failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== PREDICTION HISTORY ===================== */
+/**
+ * Stored predictions (see predictionStore.js), newest first, filtered by
+ * bbox, time range and risk level, one page at a time
+ */
+app.get("/predictions", async (req, res) => {
+  try {
+    let history;
+    try {
+      history = parseHistoryQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid history query", message: err.message });
+    }
+
+    await predictionStoreReady;
+    if (!isPredictionStoreReady()) {
+      return res.status(503).json({
+        error: "Prediction history unavailable",
+        message: "No prediction store is connected (set MONGODB_URI)"
+      });
+    }
+
+    res.json({ ...(await findPredictions(history)), timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({
+      error: "Prediction history failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== MONITORED SITES ===================== */
+/**
+ * Run the /predict pipeline for a monitored site
+ * Returns the time series fields (see monitoredSites.js); failures are
+ * recorded with their status instead of thrown
+ */
+const evaluateSite = async (site) => {
+  const body = { lat: site.lat, lng: site.lng, depth: site.depth };
+  if (site.parameter_profile) body.parameterProfile = site.parameter_profile;
+
+  let request;
+  try {
+    request = parsePredictionRequest(body);
+  } catch (err) {
+    // e.g. the site's parameter profile was removed since
+    return { status: 400, parameter_profile: site.parameter_profile, message: err.message };
+  }
+
+  const inputs = await collectSiteInputs(request.lat, request.lng, body);
+  const assessment = assessSiteData(inputs, request.dataPolicy);
+  if (assessment.withheld) {
+    return {
+      status: 422,
+      data_grade: assessment.data_quality.grade,
+      parameter_profile: request.parameters.id,
+      message: insufficientData(assessment).message
+    };
+  }
+
+  const result = buildPrediction(request, inputs, body);
+  return {
+    status: 200,
+    FoS: Number.isFinite(result.prediction.FoS) ? result.prediction.FoS : null,
+    risk_level: result.prediction.risk_level,
+    warning: result.warning ? result.warning.level : null,
+    saturation_percent: result.prediction.saturation_percent ?? null,
+    rain_7day: result.input.rain_7day ?? null,
+    data_grade: result.data_quality.grade,
+    parameter_profile: request.parameters.id
+  };
+};
+
+// Evaluates due sites, checks their alert rules and retries failed alert
+// deliveries while the server runs (started with the server, see SERVER)
+const siteScheduler = createSiteScheduler({ evaluate: evaluateSite, onRecorded: checkAlertRules, afterRun: retryDeliveries });
+
+/**
+ * Reply 503 and return false when sites and their alert rules cannot be stored
+ */
+const requireSiteStore = async (res) => {
+  await predictionStoreReady;
+  if (isPredictionStoreReady()) return true;
+  res.status(503).json({
+    error: "Site monitoring unavailable",
+    message: "No prediction store is connected (set MONGODB_URI)"
+  });
+  return false;
+};
+
+app.post("/sites", async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = parseSiteRequest(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid site", message: err.message });
+    }
+    if (!(await requireSiteStore(res))) return;
+
+    try {
+      res.status(201).json(await createSite(fields));
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      res.status(409).json({ error: "Site exists", message: `A site named "${fields.name}" already exists` });
+    }
+  } catch (err) {
+    res.status(500).json({ error: "Site creation failed", message: err.message });
+  }
+});
+
+app.get("/sites", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    res.json({ sites: await listSites(), timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({ error: "Site listing failed", message: err.message });
+  }
+});
+
+app.get("/sites/:id", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    const site = await getSite(req.params.id);
+    if (!site) return res.status(404).json({ error: "Site not found", message: `No site with id ${req.params.id}` });
+    res.json(site);
+  } catch (err) {
+    res.status(500).json({ error: "Site lookup failed", message: err.message });
+  }
+});
+
+app.delete("/sites/:id", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    if (!(await deleteSite(req.params.id))) {
+      return res.status(404).json({ error: "Site not found", message: `No site with id ${req.params.id}` });
+    }
+    // Rules scoped to the site go with it; bbox rules forget its state
+    await forgetSite(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: "Site deletion failed", message: err.message });
+  }
+});
+
+/**
+ * FoS and risk time series of a site, oldest first (from, to, limit)
+ */
+app.get("/sites/:id/series", async (req, res) => {
+  try {
+    let query;
+    try {
+      query = parseSeriesQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid series query", message: err.message });
+    }
+    if (!(await requireSiteStore(res))) return;
+
+    const site = await getSite(req.params.id);
+    if (!site) return res.status(404).json({ error: "Site not found", message: `No site with id ${req.params.id}` });
+    res.json({ site, series: await getSeries(site, query), timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({ error: "Site series failed", message: err.message });
+  }
+});
+
+/**
+ * Evaluate a site now, outside its schedule
+ */
+app.post("/sites/:id/evaluate", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    const site = await getSite(req.params.id);
+    if (!site) return res.status(404).json({ error: "Site not found", message: `No site with id ${req.params.id}` });
+    res.json({ site, evaluation: await evaluateAndRecord(site, evaluateSite, checkAlertRules) });
+  } catch (err) {
+    res.status(500).json({ error: "Site evaluation failed", message: err.message });
+  }
+});
+
+/* ===================== ALERTS ===================== */
+/**
+ * Alert rules on monitored sites (see alerts.js) and their delivery log
+ */
+app.post("/alerts/rules", async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = parseAlertRule(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid alert rule", message: err.message });
+    }
+    if (!(await requireSiteStore(res))) return;
+
+    if (fields.scope.site && !(await getSite(fields.scope.site))) {
+      return res.status(400).json({ error: "Invalid alert rule", message: `No site with id ${fields.scope.site}` });
+    }
+    res.status(201).json(await createRule(fields));
+  } catch (err) {
+    res.status(500).json({ error: "Alert rule creation failed", message: err.message });
+  }
+});
+
+app.get("/alerts/rules", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    res.json({ rules: await listRules(), timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({ error: "Alert rule listing failed", message: err.message });
+  }
+});
+
+app.get("/alerts/rules/:id", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    const rule = await getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found", message: `No alert rule with id ${req.params.id}` });
+    res.json(rule);
+  } catch (err) {
+    res.status(500).json({ error: "Alert rule lookup failed", message: err.message });
+  }
+});
+
+app.delete("/alerts/rules/:id", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    if (!(await deleteRule(req.params.id))) {
+      return res.status(404).json({ error: "Alert rule not found", message: `No alert rule with id ${req.params.id}` });
+    }
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: "Alert rule deletion failed", message: err.message });
+  }
+});
+
+/**
+ * Send a test notification to every channel of a rule; failed deliveries are
+ * retried like real alerts
+ */
+app.post("/alerts/rules/:id/test", async (req, res) => {
+  try {
+    if (!(await requireSiteStore(res))) return;
+    const rule = await findRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found", message: `No alert rule with id ${req.params.id}` });
+
+    const deliveries = await dispatchAlert(rule, "test");
+    res.json({
+      delivered: deliveries.filter(d => d.status === "delivered").length,
+      failed: deliveries.filter(d => d.status !== "delivered").length,
+      deliveries
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Alert test failed", message: err.message });
+  }
+});
+
+/**
+ * Delivery log, newest first (rule, status, limit)
+ */
+app.get("/alerts/deliveries", async (req, res) => {
+  try {
+    let query;
+    try {
+      query = parseDeliveryQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid delivery query", message: err.message });
+    }
+    if (!(await requireSiteStore(res))) return;
+    res.json({ deliveries: await listDeliveries(query), timestamp: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({ error: "Delivery log failed", message: err.message });
+  }
+});
+
+/* ===================== AREA HAZARD GRID ===================== */
+// Cells evaluated at once (soil, climate and land cover lookups)
+const AREA_CONCURRENCY = 4;
+
+/**
+ * Parse the model options shared by area grids and hazard tiles
+ * @throws {Error} When an option is invalid
+ */
+const parseAreaModelOptions = (body) => {
+  const depth = Number(body.depth ?? 2.5);
+  if (!(depth > 0 && depth <= MAX_SLIP_DEPTH)) throw new Error(`depth must be above 0 and at most ${MAX_SLIP_DEPTH} m`);
+
+  return {
+    depth,
+    antecedent: parseAntecedentOptions(body.antecedent),
+    infiltration: parseInfiltrationOptions(body.infiltration),
+    parameters: parseProfileSelection(body.parameterProfile),
+    landCoverOverride: parseLandCoverOptions(body.landCover),
+    historical: parseHistoricalDate(body.date),
+    soilSampling: body.soilSampling,
+    manualRain: body.manualRain,
+    dataPolicy: parseDataPolicy(body.dataPolicy)
+  };
+};
+
+/**
+ * Run the calculateRisk pipeline on every grid cell inside the area. Terrain
+ * comes from one bulk elevation query over the grid, weather from a coarse
+ * sample lattice and soil from the offline sources only (a SoilGrids request
+ * per cell would be far too slow).
+ * @param {object} grid - From buildAreaGrid
+ * @param {object} options - From parseAreaModelOptions
+ * Each land cell is graded from its own provenance; the area takes the worst grade.
+ * @returns {Promise<object>} { results (per grid cell, null outside), cells, elevation, samples,
+ *   weather_samples (source and fallback per sample), data_quality (null without land), isSimulated }
+ * @throws {Error} With status 502 and an error label when elevation or historical weather is unavailable
+ */
+const evaluateAreaCells = async (grid, options) => {
+  const { depth, antecedent, infiltration, parameters, landCoverOverride, historical } = options;
+  const upstream = (error, err) => Object.assign(new Error(err.message), { error, status: 502 });
+
+  let elevation;
+  try {
+    await demReady;
+    elevation = await getElevations(elevationLattice(grid));
+  } catch (err) {
+    throw upstream("Elevation unavailable", err);
+  }
+
+  const cells = grid.cells.filter(c => c.inside);
+  const { samples, sampleOf } = weatherSamples(cells);
+  let sampleWeather;
+  try {
+    sampleWeather = historical
+      ? await mapWithConcurrency(samples, 2, s => fetchHistoricalWeather(s.lat, s.lon, historical, { pastDays: antecedent.days }))
+      : await fetchWeatherMany(samples, { pastDays: antecedent.days });
+  } catch (err) {
+    throw upstream("Historical weather unavailable", err);
+  }
+
+  let isSimulated = false;
+  const results = new Array(grid.cells.length).fill(null);
+  const qualities = [];
+  await mapWithConcurrency(cells, AREA_CONCURRENCY, async (cell, i) => {
+    const { window, dx, dy } = cellWindow(grid, elevation.values, cell);
+    const h0 = window[1][1];
+
+    // Same majority rule as calculateSlope; there is no reverse geocoding per cell
+    const heights = window.flat();
+    if (heights.filter(h => h <= 0).length / heights.length >= 0.6) {
+      results[cell.row * grid.cols + cell.col] = { water: true, elevation: h0, FoS: null, risk_level: "N/A (water body)" };
+      return;
+    }
+
+    const topo = {
+      elevation: h0,
+      ...analyseTerrain(window, dx, dy),
+      terrain_source: elevation.source,
+      terrain_fetched_at: elevation.fetched_at,
+      terrain_window: 3,
+      terrain_resolution: grid.cellSize,
+      isWater: false,
+      isIce: false,
+      place: null,
+      place_class: null,
+      place_type: null
+    };
+    const climate = await resolveClimate(cell.lat, cell.lon);
+    const soil = await getSoilComposition(cell.lat, cell.lon, { sampling: options.soilSampling, climate, soilGrids: false });
+    const landCover = await resolveLandCover(cell.lat, cell.lon, topo, climate, landCoverOverride);
+    const weather = sampleWeather[sampleOf[i]];
+    const prepared = prepareWeatherInputs(weather, climate, options.manualRain, antecedent);
+    isSimulated = prepared.isSimulated;
+    const quality = gradeDataQuality(describeProvenance({ weather, topo, soil, climate, landCover, isSimulated }));
+    qualities.push(quality);
+
+    const features = { ...prepared.weather, ...topo, ...soil, climate, land_cover: landCover, depth };
+    const prediction = calculateRisk(features, { infiltration, parameters });
+    results[cell.row * grid.cols + cell.col] = {
+      water: false,
+      elevation: Number(h0.toFixed(1)),
+      slope: topo.slope,
+      aspect: topo.aspect,
+      FoS: prediction.FoS,
+      risk_level: prediction.risk_level,
+      saturation_percent: prediction.saturation_percent,
+      climate: climate.code,
+      land_cover: landCover.class,
+      soil_source: soil.source,
+      data_quality: quality.grade
+    };
+  });
+
+  const weather_samples = samples.map((s, k) => ({
+    lat: s.lat,
+    lon: s.lon,
+    source: sampleWeather[k].weather_source,
+    fetched_at: sampleWeather[k].weather_fetched_at,
+    fallback: !sampleWeather[k].weather_source
+  }));
+  return { results, cells, elevation, samples, weather_samples, data_quality: worstDataQuality(qualities), isSimulated };
+};
+
+/**
+ * Susceptibility map over a bbox or polygon (see evaluateAreaCells)
+ */
+app.post("/predict/area", async (req, res) => {
+  try {
+    let area, grid;
+    try {
+      area = parseAreaOptions(req.body);
+      grid = buildAreaGrid(area);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid area", message: err.message });
+    }
+
+    let options;
+    try {
+      options = parseAreaModelOptions(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid options", message: err.message });
+    }
+
+    let evaluation;
+    try {
+      evaluation = await evaluateAreaCells(grid, options);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ error: err.error, message: err.message });
+    }
+    const { results, cells, elevation, samples, weather_samples, data_quality, isSimulated } = evaluation;
+
+    // Strict policy: no map when any land cell defaulted a critical input
+    const withheld = data_quality ? withheldVerdictReason(data_quality, options.dataPolicy) : null;
+    if (withheld) return res.status(422).json(insufficientData({ withheld, provenance: { weather_samples }, data_quality }));
+
+    if (area.format === "geotiff") {
+      res.set("Content-Type", "image/tiff");
+      res.set("Content-Disposition", 'attachment; filename="hazard.tif"');
+      return res.send(toGeoTiff(grid, results));
+    }
+
+    const land = results.filter(r => r && !r.water);
+    const risk_levels = {};
+    for (const r of land) risk_levels[r.risk_level] = (risk_levels[r.risk_level] || 0) + 1;
+
+    res.json({
+      area: { bbox: area.bbox, polygon: area.polygon },
+      grid: {
+        rows: grid.rows,
+        cols: grid.cols,
+        cellSize: grid.cellSize,
+        cell_degrees: [Number(grid.dLon.toFixed(8)), Number(grid.dLat.toFixed(8))]
+      },
+      depth: options.depth,
+      parameters: options.parameters,
+      summary: {
+        cells: cells.length,
+        land: land.length,
+        water: results.filter(r => r && r.water).length,
+        risk_levels,
+        min_FoS: land.length ? Math.min(...land.map(r => r.FoS)) : null
+      },
+      sources: {
+        terrain: elevation.source,
+        weather_samples: samples.length,
+        soil: "Offline sources (soil rasters, regional or climate patterns)"
+      },
+      provenance: { weather_samples },
+      data_quality,
+      geojson: toGeoJson(grid, results),
+      isSimulated,
+      mode: options.historical ? 'historical' : 'realtime',
+      disclaimer: "Susceptibility screening – cell values are indicative, not site-specific assessments",
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Area prediction failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== HAZARD TILES ===================== */
+const hazardRasterReady = loadHazardRaster();
+const tileCache = createTileCache();
+
+/**
+ * XYZ PNG tiles of the risk_level bands for map overlays. Tiles come from the
+ * precomputed HAZARD_RASTER_PATH raster when one is loaded, otherwise from an
+ * evaluateAreaCells grid over the tile (on-demand zooms only; other zooms get
+ * a transparent tile). Rendered tiles are cached on disk, except those built
+ * from fallback weather: they carry X-Weather-Fallback and are refused (422)
+ * under the strict data policy.
+ */
+app.get("/tiles/:z/:x/:y.png", async (req, res) => {
+  try {
+    let tile, ramp, options;
+    try {
+      tile = parseTileRequest(req.params);
+      ramp = parseColorRamp(req.query.ramp);
+      options = parseAreaModelOptions({ parameterProfile: req.query.parameterProfile, dataPolicy: req.query.dataPolicy });
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid tile request", message: err.message });
+    }
+
+    const raster = await hazardRasterReady;
+    const bounds = tileBounds(tile);
+    const source = raster ? "raster" : options.parameters.id;
+    const key = path.join(source, ramp.id, String(tile.z), String(tile.x), String(tile.y));
+
+    const { png, cached, weatherFallback, grade } = await tileCache.get(key, async () => {
+      if (raster) {
+        return tileIntersects(bounds, raster.bbox) ? renderTile(tile, rasterClassAt(raster), ramp) : emptyTile();
+      }
+      if (!isOnDemandZoom(tile.z)) return emptyTile();
+
+      const grid = buildAreaGrid({
+        bbox: [bounds.west, bounds.south, bounds.east, bounds.north],
+        polygon: null,
+        cellSize: tileCellSize(bounds)
+      });
+      const { results, weather_samples, data_quality } = await evaluateAreaCells(grid, options);
+      const withheld = data_quality ? withheldVerdictReason(data_quality, options.dataPolicy) : null;
+      if (withheld) throw Object.assign(new Error(withheld), { error: "Insufficient data", status: 422 });
+
+      const png = renderTile(tile, gridClassAt(grid, results.map(riskClassCode)), ramp);
+      const fallbacks = weather_samples.filter(s => s.fallback).length;
+      return fallbacks
+        ? { png, transient: true, weatherFallback: `${fallbacks}/${weather_samples.length}`, grade: data_quality && data_quality.grade }
+        : { png, grade: data_quality && data_quality.grade };
+    });
+
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", `public, max-age=${Math.floor(tileCache.ttlMs / 1000)}`);
+    res.set("X-Tile-Cache", cached ? "hit" : "miss");
+    if (grade) res.set("X-Data-Quality", grade);
+    if (weatherFallback) {
+      // Rebuilt once live weather is back
+      res.set("Cache-Control", "no-store");
+      res.set("X-Weather-Fallback", weatherFallback);
+    }
+    res.send(png);
+  } catch (err) {
+    res.status(err.status || 500).json({
+      error: err.error || "Tile rendering failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== CRITICAL SLIP DEPTH ===================== */
+const MIN_DEPTH_STEP = 0.1;
+
+/**
+ * Evaluate calculateRisk over a range of slip depths for one set of site features
+ * Returns the FoS-versus-depth curve and the critical (minimum FoS) depth
+ * options are passed through to calculateRisk
+ */
+const sweepSlipDepth = (features, { minDepth = 0.5, maxDepth = MAX_SLIP_DEPTH, step = 0.5 } = {}, options = {}) => {
+  const curve = [];
+  let critical = null;
+
+  // Integer step count avoids floating point drift in the depth values
+  const steps = Math.floor((maxDepth - minDepth) / step + 1e-9);
+  for (let i = 0; i <= steps; i++) {
+    const depth = Number((minDepth + i * step).toFixed(3));
+    const prediction = calculateRisk({ ...features, depth }, options);
+    curve.push({
+      depth,
+      FoS: prediction.FoS,
+      risk_level: prediction.risk_level,
+      saturation_percent: prediction.saturation_percent,
+      ...(prediction.seismic ? { seismic_FoS: prediction.seismic.seismic_FoS } : {})
+    });
+    if (!critical || prediction.FoS < critical.prediction.FoS) {
+      critical = { depth, prediction };
+    }
+  }
+
+  return { curve, critical };
+};
+
+app.post("/predict/depth-profile", async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parsePointRequest(req.body);
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(400).json({ error: err.error, message: err.message });
+    }
+    const { lat, lng, infiltration, seismicOptions, parameters, dataPolicy } = request;
+
+    const minDepth = Number(req.body.minDepth ?? 0.5);
+    const maxDepth = Number(req.body.maxDepth ?? MAX_SLIP_DEPTH);
+    const step = Number(req.body.step ?? 0.5);
+    if (
+      !Number.isFinite(minDepth) || !Number.isFinite(maxDepth) || !Number.isFinite(step) ||
+      minDepth <= 0 || maxDepth > MAX_SLIP_DEPTH || minDepth > maxDepth || step < MIN_DEPTH_STEP
+    ) {
+      return res.status(400).json({
+        error: "Invalid depth range",
+        message: `Depths must satisfy 0 < minDepth <= maxDepth <= ${MAX_SLIP_DEPTH} m with step >= ${MIN_DEPTH_STEP} m`
+      });
+    }
+
+    let site;
+    try {
+      site = await collectSiteInputs(lat, lng, req.body);
+    } catch (err) {
+      if (!req.body.date) throw err;
+      return res.status(502).json({ error: "Historical weather unavailable", message: err.message });
+    }
+    const { weather, topo, soil, climate, landCover, isSimulated, historical } = site;
+    const assessment = assessSiteData(site, dataPolicy);
+    if (assessment.withheld) return res.status(422).json(insufficientData(assessment));
+    const { provenance, data_quality } = assessment;
+
+    const location_info = {
+      place: topo.place || null,
+      place_class: topo.place_class || null,
+      place_type: topo.place_type || null
+    };
+
+    if (topo && (topo.isWater || topo.isIce)) {
+      const why = topo.isWater ? "water body" : "ice-covered area";
+      return res.json({
+        location: { lat, lng },
+        location_type: topo.isWater ? 'water' : 'ice',
+        location_info,
+        message: `Location appears to be over ${why}; landslide risk not applicable`,
+        curve: [],
+        critical: null,
+        provenance,
+        data_quality,
+        isSimulated,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const features = { ...weather, ...topo, ...soil, climate, land_cover: landCover };
+    const seismic = seismicOptions ? resolveSeismicCoefficients(lat, lng, seismicOptions) : null;
+    const { curve, critical } = sweepSlipDepth(features, { minDepth, maxDepth, step }, { infiltration, seismic, parameters });
+
+    res.json({
+      location: { lat, lng },
+      location_type: 'land',
+      location_info,
+      climate,
+      input: features,
+      parameters,
+      range: { minDepth, maxDepth, step },
+      curve,
+      critical: {
+        depth: critical.depth,
+        FoS: critical.prediction.FoS,
+        risk_level: critical.prediction.risk_level,
+        prediction: critical.prediction
+      },
+      provenance,
+      data_quality,
+      isSimulated,
+      mode: historical ? 'historical' : 'realtime',
+      historical,
+      disclaimer: historical ? HISTORICAL_DISCLAIMER : "Prediction model – not a deterministic guarantee",
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Depth profile failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== SENSITIVITY ANALYSIS ===================== */
+app.post("/predict/sensitivity", async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parsePointRequest(req.body);
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(400).json({ error: err.error, message: err.message });
+    }
+    const { lat, lng, depth, infiltration, parameters, dataPolicy } = request;
+    if (request.seismicOptions) {
+      return res.status(400).json({ error: "Invalid seismic options", message: "seismic loading is not available for sensitivity analysis" });
+    }
+
+    let sensitivity;
+    try {
+      sensitivity = parseSensitivityOptions(req.body.sensitivity);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid sensitivity options", message: err.message });
+    }
+
+    let site;
+    try {
+      site = await collectSiteInputs(lat, lng, req.body);
+    } catch (err) {
+      if (!req.body.date) throw err;
+      return res.status(502).json({ error: "Historical weather unavailable", message: err.message });
+    }
+    const { weather, topo, soil, climate, landCover, isSimulated, historical } = site;
+    const assessment = assessSiteData(site, dataPolicy);
+    if (assessment.withheld) return res.status(422).json(insufficientData(assessment));
+    const { provenance, data_quality } = assessment;
+
+    const location_info = {
+      place: topo.place || null,
+      place_class: topo.place_class || null,
+      place_type: topo.place_type || null
+    };
+
+    if (topo.isWater || topo.isIce) {
+      const why = topo.isWater ? "water body" : "ice-covered area";
+      return res.json({
+        location: { lat, lng },
+        location_type: topo.isWater ? 'water' : 'ice',
+        location_info,
+        message: `Location appears to be over ${why}; landslide risk not applicable`,
+        parameters: [],
+        ranking: [],
+        provenance,
+        data_quality,
+        isSimulated,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const features = { ...weather, ...topo, ...soil, climate, land_cover: landCover, depth };
+    const analysis = runSensitivity(
+      features,
+      (f, strength) => calculateRisk(f, { infiltration, strength, parameters }),
+      sensitivity
+    );
+
+    res.json({
+      location: { lat, lng },
+      location_type: 'land',
+      location_info,
+      climate,
+      input: features,
+      parameters,
+      steps: sensitivity.steps,
+      ...analysis,
+      provenance,
+      data_quality,
+      isSimulated,
+      mode: historical ? 'historical' : 'realtime',
+      historical,
+      disclaimer: "One-at-a-time sensitivity – interactions between inputs are not captured",
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Sensitivity analysis failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== MULTI-DAY FORECAST ===================== */
+/**
+ * Day-by-day FoS for the forecast days, carrying the antecedent rainfall forward:
+ * each day sees the observed history plus the forecast days before it
+ */
+const buildForecastTimeline = (forecast, site, options = {}) => {
+  const { antecedent, infiltration, thresholds, parameters } = options;
+  const { daily, hourly } = forecast;
+  const timeline = [];
+
+  daily.forEach((day, i) => {
+    if (!day.forecast) return;
+
+    const history = daily.slice(0, i + 1);
+    const antecedentIndex = computeAntecedentIndex(history, antecedent);
+    const rain7 = daily.slice(Math.max(0, i - 7), i).reduce((a, b) => a + b.precipitation, 0);
+
+    // Hourly rainfall up to the end of this day
+    const nextDay = daily[i + 1] ? daily[i + 1].date : null;
+    const endIdx = nextDay ? hourly.time.findIndex(t => t >= nextDay) : hourly.time.length;
+    const end = endIdx < 0 ? hourly.time.length : endIdx;
+    const rainHourly = hourly.precipitation.slice(Math.max(0, end - HOURLY_HISTORY_HOURS), end);
+
+    const features = {
+      ...site,
+      temperature: day.temperature,
+      humidity: day.humidity,
+      rain_current: day.precipitation,
+      rain_7day: Number(rain7.toFixed(1)),
+      rain_hourly: rainHourly,
+      antecedent_index: antecedentIndex.index
+    };
+
+    const prediction = calculateRisk(features, { infiltration, parameters });
+    const rainfall = evaluateRainfallThresholds(rainHourly, thresholds);
+
+    timeline.push({
+      date: day.date,
+      rain_mm: Number(day.precipitation.toFixed(1)),
+      humidity: day.humidity,
+      antecedent_index: antecedentIndex.index,
+      saturation_percent: prediction.saturation_percent,
+      FoS: prediction.FoS,
+      risk_level: prediction.risk_level,
+      rainfall_threshold: rainfall.level,
+      warning: combineWarningLevels(prediction.risk_level, rainfall).level
+    });
+  });
+
+  return timeline;
+};
+
+app.post("/predict/forecast", async (req, res) => {
+  try {
+    let request, thresholds;
+    try {
+      request = parsePointRequest(req.body);
+      thresholds = parseLabelled("Invalid rainfall thresholds", () => parseThresholdOptions(req.body.thresholds));
+    } catch (err) {
+      if (!err.error) throw err;
+      return res.status(400).json({ error: err.error, message: err.message });
+    }
+    const { lat, lng, depth, antecedent, infiltration, terrain, landCoverOverride, parameters, dataPolicy } = request;
+
+    // Forecasts run forward from now without seismic loading
+    if (req.body.date) {
+      return res.status(400).json({ error: "Invalid date", message: "forecasts start from the current conditions; use /predict for a historical replay" });
+    }
+    if (request.seismicOptions) {
+      return res.status(400).json({ error: "Invalid seismic options", message: "seismic loading is not available for forecasts" });
+    }
+
+    const days = Number(req.body.days ?? 7);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+      return res.status(400).json({ error: "Invalid forecast length", message: `days must be an integer between 1 and ${MAX_FORECAST_DAYS}` });
+    }
+
+    const topoPromise = calculateSlope(lat, lng, terrain);
+    const climatePromise = resolveClimate(lat, lng);
+    const [forecast, topo, climate, soil] = await Promise.all([
+      fetchForecast(lat, lng, { pastDays: Math.max(7, antecedent.days), forecastDays: days }).catch(() => null),
+      topoPromise,
+      climatePromise,
+      getSoilComposition(lat, lng, { sampling: req.body.soilSampling, climate: climatePromise })
+    ]);
+
+    if (!forecast) {
+      return res.status(502).json({ error: "Forecast unavailable", message: "Could not fetch the rainfall forecast" });
+    }
+
+    const location_info = {
+      place: topo.place || null,
+      place_class: topo.place_class || null,
+      place_type: topo.place_type || null
+    };
+
+    const landCover = await resolveLandCover(lat, lng, topo, climate, landCoverOverride);
+    // The forecast is never defaulted: without one the request already failed above
+    const provenance = describeProvenance({
+      weather: { weather_source: forecast.source, weather_fetched_at: forecast.fetched_at },
+      topo,
+      soil,
+      climate,
+      landCover
+    });
+    const assessment = assessSiteData({ topo, provenance }, dataPolicy);
+    if (assessment.withheld) return res.status(422).json(insufficientData(assessment));
+    const { data_quality } = assessment;
+
+    if (topo.isWater || topo.isIce) {
+      const why = topo.isWater ? "water body" : "ice-covered area";
+      return res.json({
+        location: { lat, lng },
+        location_type: topo.isWater ? 'water' : 'ice',
+        location_info,
+        message: `Location appears to be over ${why}; landslide risk not applicable`,
+        timeline: [],
+        provenance,
+        data_quality,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const site = { ...topo, ...soil, climate, land_cover: landCover, depth };
+    const timeline = buildForecastTimeline(forecast, site, { antecedent, infiltration, thresholds, parameters });
+    const worst = timeline.reduce((a, b) => (!a || b.FoS < a.FoS ? b : a), null);
+
+    res.json({
+      location: { lat, lng },
+      location_type: 'land',
+      location_info,
+      climate,
+      input: { ...site, antecedent: { decay: antecedent.decay, days: antecedent.days } },
+      parameters,
+      days,
+      timeline,
+      worst_day: worst,
+      provenance,
+      data_quality,
+      disclaimer: "Forecast-driven prediction – uncertainty grows with lead time",
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Forecast prediction failed",
+      message: err.message
+    });
+  }
+});
+
+/* ===================== SERVER ===================== */
+const PORT = process.env.PORT || 5000;
+
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log("✅ Kerala Landslide Prediction API");
+    console.log(await climateReady
+      ? "🌧️ Climate zones: Köppen–Geiger lookup"
+      : "🌧️ Climate fixed: Tropical Monsoon (Am) - no Köppen grid loaded");
+    console.log(`🚀 Server running on port ${PORT}`);
+  });
+
+  // Serverless instances do not live long enough for a schedule; SITE_SCHEDULER=off disables it
+  predictionStoreReady.then((connected) => {
+    if (connected && process.env.SITE_SCHEDULER !== "off") siteScheduler.start();
   });
 } else {
   // Export helpers for unit testing without starting the server
@@ -535,6 +2395,19 @@ if (require.main === module) {
     app,
     computeSoilStrength,
     getStrengthFromDepth,
-    calculateRisk
+    classifyRisk,
+    getSoilComposition,
+    anchorProfile,
+    getSoilLayerAtDepth,
+    calculateRisk,
+    calculateFailureProbability,
+    sweepSlipDepth,
+    buildForecastTimeline,
+    summariseRainfall,
+    parseHistoricalDate,
+    fetchHistoricalWeather,
+    collectSiteInputs,
+    evaluateSite,
+    siteScheduler
   };
 }
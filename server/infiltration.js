@@ -0,0 +1,121 @@
+/**
+ * Infiltration Module
+ * Transient pressure head at the slip depth from a rainfall time series,
+ * following Iverson's (2000) linearised solution of Richards' equation for
+ * an infinite slope, with hourly rainfall pulses superposed
+ */
+
+const GAMMA_WATER = 9.81; // kN/m³
+const SECONDS_PER_HOUR = 3600;
+
+const PORE_PRESSURE_MODELS = ["heuristic", "iverson"];
+
+// Defaults when the request does not say otherwise
+const DEFAULT_INFILTRATION = {
+  model: "heuristic",
+  water_table_depth: 5.0, // initial water table below ground (m)
+  diffusivity: 5e-5, // hydraulic diffusivity D0 (m²/s)
+  permeability: null // saturated vertical conductivity Kz (mm/h); null = use the site soil
+};
+
+/**
+ * Complementary error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ * @param {number} x - Argument
+ * @returns {number} erfc(x)
+ */
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const r = poly * Math.exp(-z * z);
+  return x >= 0 ? r : 2 - r;
+};
+
+// Iverson's response function R(t*); zero before the pulse starts
+const responseFunction = (tStar) => {
+  if (tStar <= 0) return 0;
+  return Math.sqrt(tStar / Math.PI) * Math.exp(-1 / tStar) - erfc(1 / Math.sqrt(tStar));
+};
+
+/**
+ * Validate the per-request infiltration options
+ * @param {object} raw - { model, water_table_depth, diffusivity, permeability }
+ * @returns {object} Options merged with DEFAULT_INFILTRATION
+ * @throws {Error} When a value is out of range
+ */
+const parseInfiltrationOptions = (raw) => {
+  if (raw === undefined || raw === null) return DEFAULT_INFILTRATION;
+  if (typeof raw !== "object") throw new Error("infiltration must be an object");
+
+  const opts = { ...DEFAULT_INFILTRATION, ...raw };
+  if (!PORE_PRESSURE_MODELS.includes(opts.model)) {
+    throw new Error(`model must be one of ${PORE_PRESSURE_MODELS.join(", ")}`);
+  }
+  opts.water_table_depth = Number(opts.water_table_depth);
+  if (!(opts.water_table_depth >= 0)) throw new Error("water_table_depth must be non-negative");
+  opts.diffusivity = Number(opts.diffusivity);
+  if (!(opts.diffusivity > 0)) throw new Error("diffusivity must be positive");
+  if (opts.permeability !== null) {
+    opts.permeability = Number(opts.permeability);
+    if (!(opts.permeability > 0)) throw new Error("permeability must be positive");
+  }
+  return opts;
+};
+
+/**
+ * Pressure head at depth Z after the given hourly rainfall
+ * @param {object} params
+ * @param {number} params.depth - Slip depth Z (m)
+ * @param {number} params.slope - Slope angle (radians)
+ * @param {number[]} params.hourlyRain - Hourly rainfall (mm/h), oldest first, ending now
+ * @param {number} params.permeability - Saturated vertical conductivity Kz (mm/h)
+ * @param {number} params.diffusivity - Hydraulic diffusivity D0 (m²/s)
+ * @param {number} params.waterTableDepth - Initial water table depth d (m)
+ * @returns {object} { pressure_head, steady_head, transient_head, pore_pressure, capped }
+ */
+const iversonPressureHead = ({ depth, slope, hourlyRain, permeability, diffusivity, waterTableDepth }) => {
+  const Z = Math.max(0.01, depth);
+  const cos2 = Math.cos(slope) * Math.cos(slope);
+  const rain = Array.isArray(hourlyRain) ? hourlyRain : [];
+
+  // Steady (pre-storm) head from slope-parallel seepage above the initial water table
+  const steadyHead = cos2 * (Z - waterTableDepth);
+
+  // Time scale for pressure diffusion to depth Z
+  const effectiveDiffusivity = 4 * diffusivity * cos2;
+  const tau = (Z * Z) / effectiveDiffusivity;
+
+  const now = rain.length * SECONDS_PER_HOUR;
+  let transient = 0;
+  for (let i = 0; i < rain.length; i++) {
+    // Infiltration cannot exceed the saturated conductivity
+    const iz = Math.min(Math.max(0, rain[i] || 0), permeability);
+    if (iz === 0) continue;
+    const tStart = now - i * SECONDS_PER_HOUR;
+    const tEnd = tStart - SECONDS_PER_HOUR;
+    transient += (iz / permeability) * (responseFunction(tStart / tau) - responseFunction(tEnd / tau));
+  }
+  transient *= Z;
+
+  // Pressure head cannot exceed hydrostatic with the water table at the surface
+  const maxHead = Z * cos2;
+  const rawHead = steadyHead + transient;
+  const head = Math.min(rawHead, maxHead);
+
+  return {
+    pressure_head: Number(head.toFixed(3)),
+    steady_head: Number(steadyHead.toFixed(3)),
+    transient_head: Number(transient.toFixed(3)),
+    // Suction (negative head) is handled by the cohesion model, so pore pressure is not negative
+    pore_pressure: Math.max(0, head) * GAMMA_WATER,
+    capped: rawHead > maxHead
+  };
+};
+
+module.exports = {
+  GAMMA_WATER,
+  DEFAULT_INFILTRATION,
+  erfc,
+  parseInfiltrationOptions,
+  iversonPressureHead,
+};
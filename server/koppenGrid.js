@@ -0,0 +1,131 @@
+/**
+ * Köppen Grid CLI
+ * Builds the Köppen–Geiger class grid read by climate.js (koppen_geiger.tif,
+ * Beck et al. 2018 legend codes) for the Indian subcontinent:
+ *
+ *   node koppenGrid.js rasterize [zones.geojson] [out.tif] [--res 0.1]
+ *     Paints zone outlines (default: the bundled koppen_india.geojson, a
+ *     coarse approximation) onto the grid, later features over earlier ones
+ *
+ *   node koppenGrid.js clip <Beck_KG_V1_present_0p0083.tif> [out.tif]
+ *     Cuts the region out of the published global 1 km map, which replaces
+ *     the approximation with the real zone boundaries
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fromFile, writeArrayBuffer } = require("geotiff");
+const { KOPPEN_ZONES } = require("./climate");
+const { containsPoint } = require("./geometry");
+
+// Region covered by the bundled grid
+const GRID_BOUNDS = { west: 68, south: 6, east: 98, north: 37 };
+const DEFAULT_RES = 0.1;
+
+const DEFAULT_ZONES_PATH = path.join(__dirname, "koppen_india.geojson");
+const DEFAULT_GRID_PATH = path.join(__dirname, "koppen_geiger.tif");
+
+const legendCode = (code) => {
+  const index = KOPPEN_ZONES.findIndex(z => z && z.code === code);
+  if (index < 0) throw new Error(`Unknown Köppen-Geiger zone ${code}`);
+  return index;
+};
+
+/**
+ * Paint zone outlines onto a class grid by cell centre
+ * @param {object} collection - GeoJSON FeatureCollection with properties.code per feature
+ * @param {object} options - { bounds, res (degrees) }
+ * @returns {object} { codes, width, height, west, north, res }
+ */
+const rasterizeZones = (collection, { bounds = GRID_BOUNDS, res = DEFAULT_RES } = {}) => {
+  const width = Math.round((bounds.east - bounds.west) / res);
+  const height = Math.round((bounds.north - bounds.south) / res);
+  const zones = collection.features.map(f => ({ geometry: f.geometry, code: legendCode(f.properties.code) }));
+
+  const codes = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const lat = bounds.north - (row + 0.5) * res;
+    for (let col = 0; col < width; col++) {
+      const lon = bounds.west + (col + 0.5) * res;
+      for (const zone of zones) {
+        if (containsPoint(zone.geometry, lon, lat)) codes[row * width + col] = zone.code;
+      }
+    }
+  }
+  return { codes, width, height, west: bounds.west, north: bounds.north, res };
+};
+
+/**
+ * Cut a region out of a global class grid (geographic WGS84 GeoTIFF)
+ * @param {string} filePath - e.g. Beck_KG_V1_present_0p0083.tif
+ * @param {object} bounds - { west, south, east, north }
+ * @returns {Promise<object>} { codes, width, height, west, north, res }
+ */
+const clipZoneGrid = async (filePath, bounds = GRID_BOUNDS) => {
+  const image = await (await fromFile(filePath)).getImage();
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  const left = Math.max(0, Math.floor((bounds.west - originX) / resX));
+  const top = Math.max(0, Math.floor((bounds.north - originY) / resY));
+  const right = Math.min(image.getWidth(), Math.ceil((bounds.east - originX) / resX));
+  const bottom = Math.min(image.getHeight(), Math.ceil((bounds.south - originY) / resY));
+  if (right <= left || bottom <= top) throw new Error(`${filePath} does not cover the region`);
+
+  const [band] = await image.readRasters({ window: [left, top, right, bottom] });
+  return {
+    codes: Uint8Array.from(band),
+    width: right - left,
+    height: bottom - top,
+    west: originX + left * resX,
+    north: originY + top * resY,
+    res: resX
+  };
+};
+
+/**
+ * Write a class grid as an 8-bit GeoTIFF
+ */
+const writeZoneGrid = (filePath, { codes, width, height, west, north, res }) => {
+  const buf = writeArrayBuffer(codes, {
+    width, height, ModelPixelScale: [res, res, 0], ModelTiepoint: [0, 0, 0, west, north, 0],
+    GeographicTypeGeoKey: 4326, BitsPerSample: [8], SampleFormat: [1]
+  });
+  fs.writeFileSync(filePath, Buffer.from(buf));
+};
+
+const main = async (argv) => {
+  const [command, ...rest] = argv;
+  const resIdx = rest.indexOf("--res");
+  const res = resIdx >= 0 ? Number(rest.splice(resIdx, 2)[1]) : DEFAULT_RES;
+
+  let grid;
+  let out;
+  if (command === "rasterize") {
+    const [zonesPath = DEFAULT_ZONES_PATH, outPath = DEFAULT_GRID_PATH] = rest;
+    if (!(res > 0)) throw new Error("--res must be a positive number of degrees");
+    grid = rasterizeZones(JSON.parse(fs.readFileSync(zonesPath, "utf8")), { res });
+    out = outPath;
+  } else if (command === "clip" && rest[0]) {
+    grid = await clipZoneGrid(rest[0]);
+    out = rest[1] || DEFAULT_GRID_PATH;
+  } else {
+    throw new Error("usage: node koppenGrid.js rasterize [zones.geojson] [out.tif] [--res 0.1] | clip <global.tif> [out.tif]");
+  }
+
+  writeZoneGrid(out, grid);
+  console.log(`Wrote ${out} (${grid.width}x${grid.height}, ${grid.res}°)`);
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  GRID_BOUNDS,
+  rasterizeZones,
+  clipZoneGrid,
+  writeZoneGrid,
+};
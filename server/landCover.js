@@ -0,0 +1,240 @@
+/**
+ * Land Cover Module
+ * Land-cover class at a point (local land-cover raster, OpenStreetMap tags or a
+ * default) and its root reinforcement and surcharge parameters
+ */
+
+const fs = require("fs");
+const { fromFile } = require("geotiff");
+
+/**
+ * Parameters per class; codes follow the ESA WorldCover legend
+ * - root_cohesion: apparent root cohesion at the surface (kPa)
+ * - root_decay: e-folding depth of the root reinforcement (m)
+ * - root_depth: maximum rooting depth, no reinforcement below it (m)
+ * - surcharge: vertical load from vegetation or structures (kPa)
+ */
+const LAND_COVER_CLASSES = {
+  tree_cover: { code: 10, label: "Tree cover", root_cohesion: 20, root_decay: 1.0, root_depth: 3.0, surcharge: 1.0 },
+  shrubland: { code: 20, label: "Shrubland", root_cohesion: 10, root_decay: 0.5, root_depth: 1.5, surcharge: 0.3 },
+  grassland: { code: 30, label: "Grassland", root_cohesion: 5, root_decay: 0.2, root_depth: 0.6, surcharge: 0 },
+  cropland: { code: 40, label: "Cropland", root_cohesion: 2, root_decay: 0.2, root_depth: 0.5, surcharge: 0 },
+  built_up: { code: 50, label: "Built-up", root_cohesion: 0, root_decay: 0.1, root_depth: 0, surcharge: 10 },
+  bare: { code: 60, label: "Bare / sparse vegetation", root_cohesion: 0, root_decay: 0.1, root_depth: 0, surcharge: 0 },
+  snow_ice: { code: 70, label: "Snow and ice", root_cohesion: 0, root_decay: 0.1, root_depth: 0, surcharge: 0 },
+  water: { code: 80, label: "Permanent water", root_cohesion: 0, root_decay: 0.1, root_depth: 0, surcharge: 0 },
+  wetland: { code: 90, label: "Herbaceous wetland", root_cohesion: 3, root_decay: 0.3, root_depth: 0.6, surcharge: 0 },
+  mangroves: { code: 95, label: "Mangroves", root_cohesion: 12, root_decay: 0.5, root_depth: 1.5, surcharge: 0.5 },
+  moss_lichen: { code: 100, label: "Moss and lichen", root_cohesion: 1, root_decay: 0.1, root_depth: 0.2, surcharge: 0 }
+};
+
+// Used when neither the raster nor OSM identifies the land cover and no
+// climate-based default is given
+const DEFAULT_LAND_COVER = "tree_cover";
+
+// OpenStreetMap class/type (as returned by Nominatim reverse geocoding) to land cover
+const OSM_LAND_COVER = {
+  "landuse/forest": "tree_cover",
+  "natural/wood": "tree_cover",
+  "landuse/orchard": "tree_cover",
+  "landuse/plantation": "tree_cover",
+  "natural/scrub": "shrubland",
+  "natural/heath": "shrubland",
+  "natural/grassland": "grassland",
+  "landuse/meadow": "grassland",
+  "landuse/grass": "grassland",
+  "landuse/farmland": "cropland",
+  "landuse/paddy": "cropland",
+  "landuse/vineyard": "cropland",
+  "landuse/residential": "built_up",
+  "landuse/commercial": "built_up",
+  "landuse/industrial": "built_up",
+  "landuse/retail": "built_up",
+  "place/city": "built_up",
+  "place/town": "built_up",
+  "landuse/quarry": "bare",
+  "natural/bare_rock": "bare",
+  "natural/scree": "bare",
+  "natural/sand": "bare",
+  "natural/glacier": "snow_ice",
+  "natural/water": "water",
+  "natural/wetland": "wetland",
+  "natural/mangrove": "mangroves"
+};
+
+const PARAMETER_KEYS = ["root_cohesion", "root_decay", "root_depth", "surcharge"];
+
+/**
+ * Validate land-cover parameters (partial objects allowed)
+ * @throws {Error} When a value is not a non-negative number
+ */
+const validateParameters = (params, where) => {
+  for (const key of PARAMETER_KEYS) {
+    if (params[key] === undefined) continue;
+    const v = Number(params[key]);
+    if (!(v >= 0)) throw new Error(`${where}: ${key} must be non-negative`);
+    params[key] = v;
+  }
+  if (params.root_decay !== undefined && !(params.root_decay > 0)) {
+    throw new Error(`${where}: root_decay must be positive`);
+  }
+  return params;
+};
+
+/**
+ * Class table with overrides from a JSON file (LAND_COVER_TABLE) merged in;
+ * entries may change parameters, remap raster codes or add classes
+ */
+const loadClassTable = (filePath = process.env.LAND_COVER_TABLE) => {
+  const table = {};
+  for (const [key, params] of Object.entries(LAND_COVER_CLASSES)) table[key] = { ...params };
+  if (!filePath) return table;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    for (const [key, params] of Object.entries(overrides)) {
+      const base = table[key] || { ...LAND_COVER_CLASSES.bare, code: null, label: key };
+      table[key] = validateParameters({ ...base, ...params }, key);
+    }
+    console.log(`Loaded land cover table ${filePath}`);
+  } catch (err) {
+    console.warn("Land cover table ignored:", err.message);
+  }
+  return table;
+};
+
+const classTable = loadClassTable();
+
+let raster = null;
+
+/**
+ * Open a local land-cover GeoTIFF (geographic WGS84 grid of class codes)
+ * Pixels are read on demand, so large tiles are not loaded into memory
+ * @param {string} filePath - Defaults to the LAND_COVER_PATH environment variable
+ * @returns {Promise<boolean>} Whether a raster is available
+ */
+const initLandCover = async (filePath = process.env.LAND_COVER_PATH) => {
+  if (!filePath) return false;
+  try {
+    const tiff = await fromFile(filePath);
+    const image = await tiff.getImage();
+    const [originX, originY] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    raster = { path: filePath, image, width: image.getWidth(), height: image.getHeight(), originX, originY, resX, resY };
+    console.log(`Opened land cover raster ${filePath} (${raster.width}x${raster.height})`);
+  } catch (err) {
+    raster = null;
+    console.warn("Land cover raster unavailable:", err.message);
+  }
+  return raster !== null;
+};
+
+const isLandCoverLoaded = () => raster !== null;
+
+// Nearest class code from the raster, or null outside it
+const sampleLandCoverCode = async (lat, lon) => {
+  if (!raster) return null;
+  const col = Math.floor((lon - raster.originX) / raster.resX);
+  const row = Math.floor((lat - raster.originY) / raster.resY);
+  if (col < 0 || row < 0 || col >= raster.width || row >= raster.height) return null;
+  const [band] = await raster.image.readRasters({ window: [col, row, col + 1, row + 1] });
+  return Number.isFinite(band[0]) ? band[0] : null;
+};
+
+const classForCode = (code) =>
+  Object.keys(classTable).find(key => classTable[key].code === code) || null;
+
+const describe = (key, source) => ({ class: key, ...classTable[key], source });
+
+/**
+ * Validate the per-request land-cover override
+ * @param {object} raw - { class } to force a class and/or parameter overrides
+ * @returns {object|null} Override, or null to look the land cover up
+ * @throws {Error} When the class is unknown or a parameter is invalid
+ */
+const parseLandCoverOptions = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object") throw new Error("landCover must be an object");
+
+  const opts = { ...raw };
+  if (opts.class !== undefined && !classTable[opts.class]) {
+    throw new Error(`class must be one of ${Object.keys(classTable).join(", ")}`);
+  }
+  return validateParameters(opts, "landCover");
+};
+
+/**
+ * Land cover at a point: the request override, then the raster, then the OSM
+ * tags, then the fallback class
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} options
+ * @param {object} options.osm - { place_class, place_type } from reverse geocoding
+ * @param {object|null} options.override - parseLandCoverOptions result
+ * @param {string} options.fallbackClass - Class when nothing identifies one (e.g. the climate's vegetation)
+ * @returns {Promise<object>} { class, code, label, root_cohesion, root_decay, root_depth, surcharge, source }
+ */
+const getLandCover = async (lat, lon, { osm = {}, override = null, fallbackClass = DEFAULT_LAND_COVER } = {}) => {
+  let result = null;
+
+  if (override && override.class) {
+    result = describe(override.class, "Request");
+  }
+
+  if (!result) {
+    try {
+      const key = classForCode(await sampleLandCoverCode(lat, lon));
+      if (key) result = describe(key, "Land Cover Raster");
+    } catch (err) {
+      // unreadable pixel; fall through to the OSM tags
+    }
+  }
+
+  if (!result) {
+    const key = OSM_LAND_COVER[`${osm.place_class}/${osm.place_type}`];
+    if (key && classTable[key]) result = describe(key, "OpenStreetMap");
+  }
+
+  if (!result) {
+    result = classTable[fallbackClass]
+      ? describe(fallbackClass, fallbackClass === DEFAULT_LAND_COVER ? "Default" : "Climate Default")
+      : describe(DEFAULT_LAND_COVER, "Default");
+  }
+
+  if (override) {
+    const { class: _cls, ...params } = override;
+    if (Object.keys(params).length > 0) {
+      const source = result.source === "Request" ? result.source : `${result.source} (overridden)`;
+      result = { ...result, ...params, source };
+    }
+  }
+  return result;
+};
+
+/**
+ * Root cohesion at depth z, decaying exponentially from the surface value and
+ * vanishing below the rooting depth
+ * @param {object} landCover - { root_cohesion, root_decay, root_depth }
+ * @param {number} z - Depth (m)
+ * @returns {number} Root cohesion (kPa)
+ */
+const rootCohesionAtDepth = (landCover, z) => {
+  if (!landCover || z > landCover.root_depth) return 0;
+  return landCover.root_cohesion * Math.exp(-z / landCover.root_decay);
+};
+
+/**
+ * Land cover assumed when a caller supplies none (e.g. direct calculateRisk calls)
+ */
+const defaultLandCover = () => describe(DEFAULT_LAND_COVER, "Default");
+
+module.exports = {
+  LAND_COVER_CLASSES,
+  DEFAULT_LAND_COVER,
+  initLandCover,
+  isLandCoverLoaded,
+  parseLandCoverOptions,
+  getLandCover,
+  rootCohesionAtDepth,
+  defaultLandCover,
+};
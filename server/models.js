@@ -0,0 +1,109 @@
+/**
+ * Model Registry
+ * Prediction models selectable by id. Each model maps the collected site
+ * features to a prediction with at least { risk_level, FoS }.
+ */
+
+const { SLIP_DEPTH, DEFAULT_BULK_DENSITY, runScreeningModel } = require("./screeningModel");
+
+// Runs every registered model side by side
+const ALL_MODELS = "all";
+
+const registry = new Map();
+let defaultModelId = null;
+
+/**
+ * Register a model
+ * @param {string} id - Identifier used in the request's model field
+ * @param {object} model
+ * @param {string} model.name
+ * @param {string} model.description
+ * @param {object[]} model.inputs - [{ name, unit, description }] features the model reads
+ * @param {object[]} model.outputs - [{ name, description }] fields of the prediction
+ * @param {string[]} model.options - Request options the model honours (e.g. "infiltration")
+ * @param {Function} model.run - (features, options) => prediction
+ * @param {boolean} isDefault - Use this model when the request names none
+ */
+const registerModel = (id, model, isDefault = false) => {
+  if (id === ALL_MODELS) throw new Error(`"${ALL_MODELS}" is reserved`);
+  if (typeof model.run !== "function") throw new Error(`model ${id} must have a run function`);
+  registry.set(id, { options: [], ...model, id });
+  if (isDefault || defaultModelId === null) defaultModelId = id;
+};
+
+const getModel = (id) => registry.get(id) || null;
+
+const getDefaultModelId = () => defaultModelId;
+
+/**
+ * Describe the registered models (without their run functions), default first
+ */
+const listModels = () =>
+  [...registry.values()]
+    .map(({ run, ...meta }) => ({ ...meta, default: meta.id === defaultModelId }))
+    .sort((a, b) => Number(b.default) - Number(a.default));
+
+/**
+ * Validate the request's model field
+ * @param {string} raw - Model id, "all", or undefined for the default model
+ * @returns {string[]} Ids of the models to run, the primary model first
+ * @throws {Error} When the id is unknown
+ */
+const parseModelSelection = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return [defaultModelId];
+  if (raw === ALL_MODELS) {
+    return [defaultModelId, ...[...registry.keys()].filter(id => id !== defaultModelId)];
+  }
+  if (!registry.has(raw)) {
+    throw new Error(`model must be one of ${[...registry.keys(), ALL_MODELS].join(", ")}`);
+  }
+  return [raw];
+};
+
+// Bulk density (g/cm³) of the profile layer containing the screening slip depth
+const bulkDensityAtSlipDepth = (profile) => {
+  if (!Array.isArray(profile)) return null;
+  const zcm = SLIP_DEPTH * 100;
+  const layer = profile.find(l => zcm >= l.top_cm && zcm < l.bottom_cm) || profile[profile.length - 1];
+  return layer && Number.isFinite(layer.bulk_density) ? layer.bulk_density : null;
+};
+
+registerModel("screening", {
+  name: "Screening model (MATLAB port)",
+  description:
+    "Port of predict_landslide.m: texture-class strength, unit weight from bulk density, " +
+    "stepped pore pressure from rainfall and a fixed 2 m slip surface; terrain under 5° is reported as safe",
+  inputs: [
+    { name: "rain_7day", unit: "mm", description: "Rainfall driving the pore pressure step (>20 mm moderate, >50 mm heavy)" },
+    { name: "slope", unit: "degrees", description: "Slope angle" },
+    { name: "clay", unit: "%", description: "Clay content (>40% = clayey strength)" },
+    { name: "sand", unit: "%", description: "Sand content (>60% = sandy strength)" },
+    { name: "profile[].bulk_density", unit: "g/cm³", description: `Bulk density at 2 m, ${DEFAULT_BULK_DENSITY} when unknown` }
+  ],
+  outputs: [
+    { name: "risk_level", description: "Low, Medium or High" },
+    { name: "FoS", description: "Factor of safety (10 on flat terrain)" },
+    { name: "reason", description: "Short explanation of the risk level" },
+    { name: "probability", description: "min(1 / FoS, 0.99), a heuristic failure likelihood" },
+    { name: "details", description: "Stresses, strength parameters and pore pressure" }
+  ],
+  run: (f) => {
+    const bulkDensity = bulkDensityAtSlipDepth(f.profile);
+    return runScreeningModel({
+      rain: Number(f.rain_7day || 0),
+      slope: Number(f.slope || 0),
+      clay: Number(f.clay || 0),
+      sand: Number(f.sand || 0),
+      bulk_density: bulkDensity !== null ? bulkDensity : DEFAULT_BULK_DENSITY
+    });
+  }
+});
+
+module.exports = {
+  ALL_MODELS,
+  registerModel,
+  getModel,
+  getDefaultModelId,
+  listModels,
+  parseModelSelection,
+};
@@ -0,0 +1,288 @@
+/**
+ * Monitored Sites Module
+ * Named slopes re-evaluated on a schedule: each site keeps its depth,
+ * parameter profile and interval, and every run appends FoS, risk level and
+ * warning to the site's time series. Sites and runs live in MongoDB next to
+ * the prediction history (predictionStore.js). A run is claimed by moving the
+ * site's next_run_at forward first, so several server instances never
+ * evaluate the same site twice.
+ */
+
+const mongoose = require("mongoose");
+const { MAX_SLIP_DEPTH, parseProfileSelection } = require("./profiles");
+const { getStoreConnection, parseTimeRange, parseCount } = require("./predictionStore");
+
+const DEFAULT_DEPTH = 2.5;
+const MAX_NAME_LENGTH = 100;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+const DEFAULT_INTERVAL_MINUTES = Number(process.env.SITE_INTERVAL_MINUTES) || 60;
+
+// How often the scheduler looks for due sites
+const DEFAULT_TICK_MS = Number(process.env.SITE_SCHEDULER_TICK_MS) || 60 * 1000;
+
+const DEFAULT_SERIES_LENGTH = 500;
+const MAX_SERIES_LENGTH = 5000;
+
+const siteSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true },
+  depth: { type: Number, required: true },
+  // null: whichever profile is the default when the site is evaluated
+  parameter_profile: { type: String, default: null },
+  interval_minutes: { type: Number, required: true },
+  created_at: { type: Date, required: true, default: Date.now },
+  next_run_at: { type: Date, required: true, index: true },
+  last_evaluated_at: { type: Date, default: null }
+}, { versionKey: false, collection: "monitored_sites" });
+
+const evaluationSchema = new mongoose.Schema({
+  site: { type: mongoose.Schema.Types.ObjectId, required: true },
+  evaluated_at: { type: Date, required: true },
+  // 200 evaluated, 422 verdict withheld by the data policy, 4xx/5xx failed
+  status: { type: Number, required: true },
+  FoS: { type: Number, default: null },
+  risk_level: { type: String, default: null },
+  warning: { type: String, default: null },
+  saturation_percent: { type: Number, default: null },
+  rain_7day: { type: Number, default: null },
+  data_grade: { type: String, default: null },
+  parameter_profile: { type: String, default: null },
+  message: { type: String, default: null }
+}, { versionKey: false, collection: "site_evaluations" });
+
+evaluationSchema.index({ site: 1, evaluated_at: -1 });
+
+/**
+ * Site and evaluation models on the store connection, or null when it is not connected
+ */
+const siteModels = () => {
+  const connection = getStoreConnection();
+  if (!connection) return null;
+  return {
+    Site: connection.models.MonitoredSite || connection.model("MonitoredSite", siteSchema),
+    SiteEvaluation: connection.models.SiteEvaluation || connection.model("SiteEvaluation", evaluationSchema)
+  };
+};
+
+/**
+ * Validate a new site
+ * @param {object} body - { name, lat, lng, depth, parameterProfile, intervalMinutes }
+ * @returns {object} Site fields
+ * @throws {Error} When a field is invalid
+ */
+const parseSiteRequest = (body) => {
+  const raw = body || {};
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+
+  const lat = Number(raw.lat);
+  const lng = Number(raw.lng);
+  if (raw.lat === undefined || raw.lng === undefined || !(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+    throw new Error("lat and lng must be numbers within -90..90 and -180..180");
+  }
+
+  const depth = raw.depth === undefined ? DEFAULT_DEPTH : Number(raw.depth);
+  if (!(depth > 0 && depth <= MAX_SLIP_DEPTH)) throw new Error(`depth must be above 0 and at most ${MAX_SLIP_DEPTH} m`);
+
+  const profile = raw.parameterProfile === undefined || raw.parameterProfile === null || raw.parameterProfile === ""
+    ? null
+    : parseProfileSelection(raw.parameterProfile).id;
+
+  const interval = raw.intervalMinutes === undefined ? DEFAULT_INTERVAL_MINUTES : Number(raw.intervalMinutes);
+  if (!Number.isInteger(interval) || interval < MIN_INTERVAL_MINUTES || interval > MAX_INTERVAL_MINUTES) {
+    throw new Error(`intervalMinutes must be an integer between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`);
+  }
+
+  return { name, lat, lng, depth, parameter_profile: profile, interval_minutes: interval };
+};
+
+const toSite = ({ _id, ...site }) => ({ id: _id.toString(), ...site });
+const toEvaluation = ({ _id, site, ...evaluation }) => evaluation;
+
+/**
+ * Create a site, due for its first evaluation straight away
+ * @param {object} fields - parseSiteRequest result
+ * @returns {Promise<object>} The site
+ * @throws {Error} With code 11000 when the name is taken
+ */
+const createSite = async (fields) => {
+  const { Site } = siteModels();
+  // The unique name index has to exist before the first insert
+  await Site.init();
+  const site = await Site.create({ ...fields, next_run_at: new Date() });
+  return toSite(site.toObject());
+};
+
+/**
+ * All sites by name, each with its latest evaluation (null before the first run)
+ */
+const listSites = async () => {
+  const { Site, SiteEvaluation } = siteModels();
+  const sites = await Site.find().sort({ name: 1 }).lean();
+  const latest = await Promise.all(sites.map(site =>
+    SiteEvaluation.findOne({ site: site._id }).sort({ evaluated_at: -1 }).lean()
+  ));
+  return sites.map((site, i) => ({ ...toSite(site), latest: latest[i] ? toEvaluation(latest[i]) : null }));
+};
+
+/**
+ * A site, or null when the id is unknown
+ */
+const getSite = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const site = await siteModels().Site.findById(id).lean();
+  return site ? toSite(site) : null;
+};
+
+/**
+ * Delete a site and its time series
+ * @returns {Promise<boolean>} Whether the site existed
+ */
+const deleteSite = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return false;
+  const { Site, SiteEvaluation } = siteModels();
+  const deleted = await Site.findByIdAndDelete(id);
+  if (!deleted) return false;
+  await SiteEvaluation.deleteMany({ site: deleted._id });
+  return true;
+};
+
+/**
+ * Validate a time series query
+ * @param {object} query - from and to (ISO dates, inclusive) and limit (latest entries kept)
+ * @returns {object} { range, limit }
+ * @throws {Error} When an option is invalid
+ */
+const parseSeriesQuery = (query = {}) => ({
+  range: parseTimeRange(query),
+  limit: parseCount("limit", query.limit, DEFAULT_SERIES_LENGTH, MAX_SERIES_LENGTH)
+});
+
+/**
+ * A site's evaluations, oldest first
+ * @param {object} site - getSite result
+ * @param {object} series - parseSeriesQuery result
+ */
+const getSeries = async (site, { range, limit }) => {
+  const filter = { site: site.id, ...(range ? { evaluated_at: range } : {}) };
+  const latest = await siteModels().SiteEvaluation.find(filter).sort({ evaluated_at: -1 }).limit(limit).lean();
+  return latest.reverse().map(toEvaluation);
+};
+
+/**
+ * Evaluate a site and append the result to its series
+ * @param {object} site - getSite result
+ * @param {Function} evaluate - async (site) => evaluation fields (status, FoS, risk_level, ...)
+ * @param {Function} onRecorded - Optional async (site, evaluation) => void run after storing; its failures are logged
+ * @returns {Promise<object>} The stored evaluation
+ */
+const evaluateAndRecord = async (site, evaluate, onRecorded) => {
+  let evaluation;
+  try {
+    evaluation = await evaluate(site);
+  } catch (err) {
+    evaluation = { status: 500, message: err.message };
+  }
+
+  const evaluatedAt = new Date();
+  const { Site, SiteEvaluation } = siteModels();
+  const stored = await SiteEvaluation.create({ ...evaluation, site: site.id, evaluated_at: evaluatedAt });
+  await Site.updateOne({ _id: site.id }, { $set: { last_evaluated_at: evaluatedAt } });
+
+  const recorded = toEvaluation(stored.toObject());
+  if (onRecorded) {
+    try {
+      await onRecorded(site, recorded);
+    } catch (err) {
+      console.warn(`After-evaluation hook failed for site ${site.name}:`, err.message);
+    }
+  }
+  return recorded;
+};
+
+/**
+ * Scheduler that evaluates due sites one at a time
+ * @param {object} options
+ * @param {Function} options.evaluate - See evaluateAndRecord
+ * @param {Function} options.onRecorded - See evaluateAndRecord
+ * @param {Function} options.afterRun - Optional async () => void run at the end of every look for due sites
+ * @param {number} options.tickMs - Gap between looks for due sites (SITE_SCHEDULER_TICK_MS)
+ * @returns {object} { start(), stop(), runDue() }; runDue resolves to the number of sites evaluated
+ */
+const createSiteScheduler = ({ evaluate, onRecorded, afterRun, tickMs = DEFAULT_TICK_MS }) => {
+  let timer = null;
+  let running = null;
+
+  const claimNext = async () => {
+    const { Site } = siteModels();
+    const now = new Date();
+    for (const site of await Site.find({ next_run_at: { $lte: now } }).sort({ next_run_at: 1 }).limit(10).lean()) {
+      // Only the instance that moves next_run_at runs the site
+      const nextRun = new Date(now.getTime() + site.interval_minutes * 60 * 1000);
+      const claimed = await Site.updateOne(
+        { _id: site._id, next_run_at: site.next_run_at },
+        { $set: { next_run_at: nextRun } }
+      );
+      if (claimed.modifiedCount === 1) return toSite({ ...site, next_run_at: nextRun });
+    }
+    return null;
+  };
+
+  const runDue = () => {
+    // A tick that finds the previous one still running waits for it instead
+    if (running) return running;
+    // Without a store there is nothing to run; returning here also keeps a body
+    // that would finish synchronously from clearing `running` before it is set
+    if (!siteModels()) return Promise.resolve(0);
+    running = (async () => {
+      let evaluated = 0;
+      try {
+        while (siteModels()) {
+          const site = await claimNext();
+          if (!site) break;
+          await evaluateAndRecord(site, evaluate, onRecorded);
+          evaluated++;
+        }
+        if (afterRun && siteModels()) await afterRun();
+      } catch (err) {
+        console.warn("Site scheduler run failed:", err.message);
+      } finally {
+        running = null;
+      }
+      return evaluated;
+    })();
+    return running;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(runDue, tickMs);
+    timer.unref();
+    runDue();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    return running || Promise.resolve(0);
+  };
+
+  return { start, stop, runDue };
+};
+
+module.exports = {
+  DEFAULT_INTERVAL_MINUTES,
+  siteModels,
+  parseSiteRequest,
+  createSite,
+  listSites,
+  getSite,
+  deleteSite,
+  parseSeriesQuery,
+  getSeries,
+  evaluateAndRecord,
+  createSiteScheduler,
+};
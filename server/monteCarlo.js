@@ -0,0 +1,200 @@
+/**
+ * Monte Carlo Module
+ * Seedable sampling of uncertain slope parameters and summary statistics
+ * (probability of failure, FoS percentiles, reliability index)
+ */
+
+const DEFAULT_ITERATIONS = 2000;
+const MAX_ITERATIONS = 50000;
+
+// Default input distributions around the deterministic values.
+// cov = coefficient of variation (standard deviation / mean)
+const DEFAULT_DISTRIBUTIONS = {
+  cohesion: { type: "lognormal", cov: 0.3 },
+  friction_angle: { type: "normal", cov: 0.1 },
+  unit_weight: { type: "normal", cov: 0.05 },
+  saturation: { type: "normal", cov: 0.2 }
+};
+
+// Physical bounds applied to every sample
+const BOUNDS = {
+  cohesion: [0, Infinity],
+  friction_angle: [0, 60],
+  unit_weight: [1, Infinity],
+  saturation: [0, 1]
+};
+
+const DISTRIBUTION_TYPES = ["normal", "lognormal", "uniform", "fixed"];
+
+const PERCENTILES = [5, 10, 50, 90, 95];
+
+/**
+ * Mulberry32 pseudo-random generator: same seed -> same sequence
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} Generator returning floats in [0, 1)
+ */
+const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal deviate (Box-Muller)
+const standardNormal = (rng) => {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Draw one value from a distribution centred on mean
+ * @param {function} rng - Random generator
+ * @param {number} mean - Deterministic value
+ * @param {object} dist - { type, cov } or { type, sd }
+ * @returns {number} Sample
+ */
+const sampleDistribution = (rng, mean, dist) => {
+  const sd = dist.sd !== undefined ? dist.sd : Math.abs(mean) * dist.cov;
+
+  switch (dist.type) {
+    case "fixed":
+      return mean;
+    case "uniform": {
+      // same mean and standard deviation as the normal case
+      const half = sd * Math.sqrt(3);
+      return mean - half + 2 * half * rng();
+    }
+    case "lognormal": {
+      if (mean <= 0) return mean;
+      const cov = sd / mean;
+      const sigma2 = Math.log(1 + cov * cov);
+      const mu = Math.log(mean) - sigma2 / 2;
+      return Math.exp(mu + Math.sqrt(sigma2) * standardNormal(rng));
+    }
+    case "normal":
+    default:
+      return mean + sd * standardNormal(rng);
+  }
+};
+
+/**
+ * Validate request options for probabilistic mode
+ * @param {boolean|object} raw - true for defaults, or { iterations, seed, distributions }
+ * @returns {object} { iterations, seed, distributions }
+ * @throws {Error} When an option is out of range
+ */
+const parseProbabilisticOptions = (raw) => {
+  const opts = raw === true ? {} : raw;
+  if (typeof opts !== "object" || opts === null) {
+    throw new Error("probabilistic must be true or an options object");
+  }
+
+  const iterations = opts.iterations === undefined ? DEFAULT_ITERATIONS : Number(opts.iterations);
+  if (!Number.isInteger(iterations) || iterations < 100 || iterations > MAX_ITERATIONS) {
+    throw new Error(`iterations must be an integer between 100 and ${MAX_ITERATIONS}`);
+  }
+
+  let seed;
+  if (opts.seed === undefined || opts.seed === null) {
+    // Report a generated seed so the run can be reproduced
+    seed = Math.floor(Math.random() * 4294967296);
+  } else {
+    seed = Number(opts.seed);
+    if (!Number.isInteger(seed)) throw new Error("seed must be an integer");
+  }
+
+  const distributions = {};
+  for (const name of Object.keys(DEFAULT_DISTRIBUTIONS)) {
+    const override = (opts.distributions || {})[name];
+    const dist = { ...DEFAULT_DISTRIBUTIONS[name], ...(override || {}) };
+    if (!DISTRIBUTION_TYPES.includes(dist.type)) {
+      throw new Error(`${name}: distribution type must be one of ${DISTRIBUTION_TYPES.join(", ")}`);
+    }
+    if (override && override.sd !== undefined) {
+      if (!(Number(override.sd) >= 0)) throw new Error(`${name}: sd must be a non-negative number`);
+      dist.sd = Number(override.sd);
+      delete dist.cov;
+    } else if (!(Number(dist.cov) >= 0)) {
+      throw new Error(`${name}: cov must be a non-negative number`);
+    }
+    distributions[name] = dist;
+  }
+
+  for (const name of Object.keys(opts.distributions || {})) {
+    if (!(name in DEFAULT_DISTRIBUTIONS)) {
+      throw new Error(`Unknown parameter "${name}" (expected ${Object.keys(DEFAULT_DISTRIBUTIONS).join(", ")})`);
+    }
+  }
+
+  return { iterations, seed, distributions };
+};
+
+const percentile = (sorted, p) => {
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+/**
+ * Run a Monte Carlo simulation of the factor of safety
+ * @param {object} params - { means, evaluate, iterations, seed, distributions }
+ *   means: deterministic value per parameter; evaluate: (sample) => FoS
+ * @returns {object} Probability of failure, FoS statistics and the settings used
+ */
+const runMonteCarlo = ({ means, evaluate, iterations = DEFAULT_ITERATIONS, seed = 1, distributions = DEFAULT_DISTRIBUTIONS }) => {
+  const rng = createRng(seed);
+  const results = new Float64Array(iterations);
+  let failures = 0;
+  let sum = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    const sample = {};
+    for (const name of Object.keys(means)) {
+      const [lo, hi] = BOUNDS[name] || [-Infinity, Infinity];
+      const value = sampleDistribution(rng, means[name], distributions[name] || { type: "fixed" });
+      sample[name] = Math.min(hi, Math.max(lo, value));
+    }
+    const FoS = evaluate(sample);
+    results[i] = FoS;
+    sum += FoS;
+    if (FoS < 1) failures++;
+  }
+
+  const mean = sum / iterations;
+  let sq = 0;
+  for (let i = 0; i < iterations; i++) sq += (results[i] - mean) ** 2;
+  const std = Math.sqrt(sq / Math.max(1, iterations - 1));
+
+  const sorted = Array.from(results).sort((a, b) => a - b);
+  const percentiles = {};
+  for (const p of PERCENTILES) {
+    percentiles[`p${p}`] = Number(percentile(sorted, p).toFixed(3));
+  }
+
+  return {
+    iterations,
+    seed,
+    probability_of_failure: Number((failures / iterations).toFixed(4)),
+    mean_FoS: Number(mean.toFixed(3)),
+    std_FoS: Number(std.toFixed(3)),
+    FoS_percentiles: percentiles,
+    // First-order reliability index assuming a normally distributed FoS
+    reliability_index: std > 0 ? Number(((mean - 1) / std).toFixed(3)) : null,
+    distributions
+  };
+};
+
+module.exports = {
+  DEFAULT_DISTRIBUTIONS,
+  createRng,
+  sampleDistribution,
+  parseProbabilisticOptions,
+  runMonteCarlo,
+};
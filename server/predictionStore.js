@@ -0,0 +1,243 @@
+/**
+ * Prediction Store
+ * Every prediction the API hands out, saved to MongoDB (MONGODB_URI) with the
+ * request, the inputs, parameters, outputs and provenance, so what the system
+ * told people and when can be audited; plus the history query behind
+ * GET /predictions. Without MONGODB_URI nothing is stored. Other stored
+ * collections (monitored sites) share the connection.
+ */
+
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Values accepted by the risk filter; "N/A" matches water and ice locations
+const RISK_FILTERS = ["Low", "Medium", "High", "Extreme", "N/A"];
+
+const predictionSchema = new mongoose.Schema({
+  // GeoJSON point: [lng, lat]
+  location: {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true }
+  },
+  endpoint: { type: String, required: true },
+  // 200 for a verdict, 422 when the data policy withheld it
+  status: { type: Number, required: true },
+  location_type: { type: String, default: null },
+  risk_level: { type: String, default: null },
+  FoS: { type: Number, default: null },
+  data_grade: { type: String, default: null },
+  request: { type: mongoose.Schema.Types.Mixed, required: true },
+  response: { type: mongoose.Schema.Types.Mixed, required: true },
+  created_at: { type: Date, required: true, default: Date.now }
+}, { minimize: false, versionKey: false, collection: "predictions" });
+
+predictionSchema.index({ location: "2dsphere" });
+predictionSchema.index({ created_at: -1 });
+predictionSchema.index({ risk_level: 1, created_at: -1 });
+
+let connection = null;
+let Prediction = null;
+
+/**
+ * Connect to MongoDB and build the indexes
+ * @param {string} uri - Connection string (MONGODB_URI); nothing is stored when unset
+ * @returns {Promise<boolean>} Whether predictions will be stored
+ */
+const connectPredictionStore = async (uri = process.env.MONGODB_URI) => {
+  if (!uri) return false;
+  connection = mongoose.createConnection(uri, { serverSelectionTimeoutMS: 5000 });
+  try {
+    await connection.asPromise();
+    Prediction = connection.model("Prediction", predictionSchema);
+    await Prediction.init();
+  } catch (err) {
+    await connection.close().catch(() => {});
+    connection = null;
+    Prediction = null;
+    throw err;
+  }
+  return true;
+};
+
+const disconnectPredictionStore = async () => {
+  if (connection) await connection.close();
+  connection = null;
+  Prediction = null;
+};
+
+const isPredictionStoreReady = () => !!Prediction && connection.readyState === 1;
+
+/**
+ * The MongoDB connection, or null when the store is not connected
+ */
+const getStoreConnection = () => (isPredictionStoreReady() ? connection : null);
+
+/**
+ * Document for one prediction
+ * @param {object} record - { endpoint, status, body (the request, batch points with the shared options merged in), response }
+ */
+const toDocument = ({ endpoint, status, body, response }) => {
+  const prediction = response.prediction || null;
+  return {
+    location: { type: "Point", coordinates: [Number(body.lng), Number(body.lat)] },
+    endpoint,
+    status,
+    location_type: response.location_type || null,
+    risk_level: prediction ? prediction.risk_level : null,
+    FoS: prediction && Number.isFinite(prediction.FoS) ? prediction.FoS : null,
+    data_grade: response.data_quality ? response.data_quality.grade : null,
+    request: body,
+    response
+  };
+};
+
+/**
+ * Save predictions
+ * Inserted unordered, so a record the server rejects (e.g. a location the
+ * 2dsphere index refuses) does not keep the rest of a batch from being stored
+ * @param {object[]} records - See toDocument
+ * @returns {Promise<(string|null)[]|null>} Ids in record order (null for records not stored), or null when the store is not connected
+ */
+const recordPredictions = async (records) => {
+  if (!isPredictionStoreReady()) return null;
+  const docs = records.map(record => new Prediction(toDocument(record)));
+  let inserted;
+  try {
+    inserted = await Prediction.insertMany(docs, { ordered: false });
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    console.warn(`${err.writeErrors.length} of ${docs.length} predictions not stored:`, err.message);
+    inserted = err.insertedDocs;
+  }
+  const stored = new Set(inserted);
+  return docs.map(doc => (stored.has(doc) ? doc._id.toString() : null));
+};
+
+const parseDate = (name, raw) => {
+  const time = Date.parse(raw);
+  if (Number.isNaN(time)) throw new Error(`${name} must be an ISO date or date-time`);
+  return new Date(time);
+};
+
+// Positive integer option (max: upper bound, if any)
+const parseCount = (name, raw, fallback, max) => {
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || (max && value > max)) {
+    throw new Error(max ? `${name} must be an integer between 1 and ${max}` : `${name} must be a positive integer`);
+  }
+  return value;
+};
+
+/**
+ * Validate a from/to time range (ISO dates, inclusive; a bare "to" date includes the whole day)
+ * @param {object} query - { from, to }
+ * @returns {object|null} MongoDB range condition, or null when neither is given
+ * @throws {Error} When a date is invalid or from is after to
+ */
+const parseTimeRange = ({ from, to }) => {
+  if (from === undefined && to === undefined) return null;
+  const range = {};
+  if (from !== undefined) range.$gte = parseDate("from", from);
+  if (to !== undefined) {
+    range.$lte = parseDate("to", to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+  }
+  if (range.$gte && range.$lte && range.$gte > range.$lte) throw new Error("from must not be after to");
+  return range;
+};
+
+/**
+ * Validate the GET /predictions query
+ * @param {object} query - bbox (west,south,east,north), from and to (ISO dates, inclusive),
+ *   risk (comma-separated RISK_FILTERS), page (from 1) and limit
+ * @returns {object} { filter (MongoDB), page, limit }
+ * @throws {Error} When a filter is invalid
+ */
+const parseHistoryQuery = (query = {}) => {
+  const filter = {};
+
+  if (query.bbox !== undefined) {
+    const bbox = String(query.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)) throw new Error("bbox must be west,south,east,north");
+    const [west, south, east, north] = bbox;
+    if (!(west >= -180 && east <= 180 && west < east)) throw new Error("west must be below east within -180..180");
+    if (!(south >= -90 && north <= 90 && south < north)) throw new Error("south must be below north within -90..90");
+    // A polygon query uses the 2dsphere index; it must stay within a hemisphere
+    if (east - west >= 180) throw new Error("bbox must span less than 180° of longitude");
+    // Edges are great circles, which bow away from the parallels only on very large boxes
+    filter.location = {
+      $geoWithin: {
+        $geometry: {
+          type: "Polygon",
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        }
+      }
+    };
+  }
+
+  const createdAt = parseTimeRange(query);
+  if (createdAt) filter.created_at = createdAt;
+
+  if (query.risk !== undefined) {
+    const levels = String(query.risk).split(",").map(s => s.trim()).filter(Boolean);
+    const unknown = levels.filter(level => !RISK_FILTERS.includes(level));
+    if (levels.length === 0 || unknown.length) throw new Error(`risk must be a comma-separated list of ${RISK_FILTERS.join(", ")}`);
+    const exact = levels.filter(level => level !== "N/A");
+    filter.risk_level = levels.includes("N/A")
+      ? { $in: [...exact, /^N\/A/] }
+      : { $in: exact };
+  }
+
+  const page = parseCount("page", query.page, 1);
+  const limit = parseCount("limit", query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  return { filter, page, limit };
+};
+
+/**
+ * Stored predictions matching a history query, newest first
+ * @param {object} history - parseHistoryQuery result
+ * @returns {Promise<object>} { total, page, limit, pages, predictions: [{ id, created_at, endpoint, status, location, risk_level, FoS, data_grade, request, response }] }
+ */
+const findPredictions = async ({ filter, page, limit }) => {
+  const [total, docs] = await Promise.all([
+    Prediction.countDocuments(filter),
+    Prediction.find(filter).sort({ created_at: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean()
+  ]);
+
+  return {
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    predictions: docs.map(({ _id, location, ...doc }) => ({
+      id: _id.toString(),
+      created_at: doc.created_at,
+      endpoint: doc.endpoint,
+      status: doc.status,
+      location: { lat: location.coordinates[1], lng: location.coordinates[0] },
+      location_type: doc.location_type,
+      risk_level: doc.risk_level,
+      FoS: doc.FoS,
+      data_grade: doc.data_grade,
+      request: doc.request,
+      response: doc.response
+    }))
+  };
+};
+
+module.exports = {
+  RISK_FILTERS,
+  connectPredictionStore,
+  disconnectPredictionStore,
+  isPredictionStoreReady,
+  getStoreConnection,
+  recordPredictions,
+  parseTimeRange,
+  parseCount,
+  parseHistoryQuery,
+  findPredictions,
+};
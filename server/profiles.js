@@ -0,0 +1,215 @@
+/**
+ * Parameter Profiles
+ * Named sets of model parameters (depth strength table, texture coefficients,
+ * suction loss, root cohesion scale and risk thresholds) loaded from JSON and
+ * validated against a fixed schema, so each prediction can record exactly
+ * which parameters produced it
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Bundled profiles; PARAMETER_PROFILES_PATH replaces them with a site-specific file
+const DEFAULT_PROFILES_PATH = path.join(__dirname, "parameter_profiles.json");
+
+// Strength tables must cover slip depths from the surface to this depth (m)
+const MAX_SLIP_DEPTH = 10;
+
+const PROFILE_ID = /^[a-z0-9][a-z0-9-]*$/;
+const TEXTURE = ["clay", "sand", "silt"];
+const RISK_LEVELS = ["Extreme", "High", "Medium"];
+
+// undefined until first loaded
+let profileSet;
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * Check that obj is an object with exactly the given keys
+ * Pushes messages onto errors and returns whether obj is an object at all
+ */
+const checkKeys = (obj, keys, where, errors) => {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    errors.push(`${where} must be an object`);
+    return false;
+  }
+  for (const key of keys) {
+    if (!(key in obj)) errors.push(`${where}.${key} is required`);
+  }
+  for (const key of Object.keys(obj)) {
+    if (!keys.includes(key)) errors.push(`${where}.${key} is not a known parameter`);
+  }
+  return true;
+};
+
+const checkNumber = (value, where, errors, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) => {
+  if (!isNumber(value)) {
+    errors.push(`${where} must be a number`);
+  } else if (exclusiveMin ? value <= min : value < min) {
+    errors.push(`${where} must be ${exclusiveMin ? "greater than" : "at least"} ${min}`);
+  } else if (value > max) {
+    errors.push(`${where} must be at most ${max}`);
+  }
+};
+
+/**
+ * Validate one profile
+ * @param {object} profile
+ * @param {string} where - Prefix for error messages
+ * @returns {string[]} Schema violations (empty when valid)
+ */
+const profileErrors = (profile, where = "profile") => {
+  const errors = [];
+  const keys = [
+    "name", "description", "strength_table", "composition", "depth_compaction",
+    "suction_loss", "friction_bounds", "root_cohesion_scale", "risk_thresholds"
+  ];
+  if (!checkKeys(profile, keys, where, errors)) return errors;
+
+  if (typeof profile.name !== "string" || !profile.name.trim()) errors.push(`${where}.name must be a non-empty string`);
+  if (typeof profile.description !== "string") errors.push(`${where}.description must be a string`);
+
+  // Contiguous depth bands from the surface down to MAX_SLIP_DEPTH
+  const table = profile.strength_table;
+  if (!Array.isArray(table) || table.length === 0) {
+    errors.push(`${where}.strength_table must be a non-empty array`);
+  } else {
+    table.forEach((row, i) => {
+      const at = `${where}.strength_table[${i}]`;
+      if (!checkKeys(row, ["min", "max", "c", "phi", "gamma"], at, errors)) return;
+      checkNumber(row.c, `${at}.c`, errors, { min: 0 });
+      checkNumber(row.phi, `${at}.phi`, errors, { min: 0, max: 90, exclusiveMin: true });
+      checkNumber(row.gamma, `${at}.gamma`, errors, { min: 0, exclusiveMin: true });
+      checkNumber(row.min, `${at}.min`, errors, { min: 0 });
+      checkNumber(row.max, `${at}.max`, errors, { min: 0 });
+      if (isNumber(row.min) && isNumber(row.max) && row.max <= row.min) errors.push(`${at}.max must be greater than min`);
+      const expectedMin = i === 0 ? 0 : table[i - 1] && table[i - 1].max;
+      if (isNumber(row.min) && row.min !== expectedMin) errors.push(`${at}.min must be ${expectedMin} (bands must be contiguous from 0 m)`);
+    });
+    const last = table[table.length - 1];
+    if (last && last.max !== MAX_SLIP_DEPTH) errors.push(`${where}.strength_table must end at ${MAX_SLIP_DEPTH} m`);
+  }
+
+  const comp = profile.composition;
+  if (checkKeys(comp, ["reference", "kC_clay", "kC_silt", "kPhi_sand", "kPhi_clay"], `${where}.composition`, errors)) {
+    const ref = comp.reference;
+    if (checkKeys(ref, TEXTURE, `${where}.composition.reference`, errors)) {
+      TEXTURE.forEach(t => checkNumber(ref[t], `${where}.composition.reference.${t}`, errors, { min: 0, max: 100 }));
+      const sum = TEXTURE.reduce((s, t) => s + (isNumber(ref[t]) ? ref[t] : 0), 0);
+      if (Math.abs(sum - 100) > 0.5) errors.push(`${where}.composition.reference must sum to 100%`);
+    }
+    ["kC_clay", "kC_silt", "kPhi_sand", "kPhi_clay"].forEach(k => checkNumber(comp[k], `${where}.composition.${k}`, errors));
+  }
+
+  const compaction = profile.depth_compaction;
+  if (checkKeys(compaction, ["from_depth", "cohesion_per_m", "friction_per_m"], `${where}.depth_compaction`, errors)) {
+    checkNumber(compaction.from_depth, `${where}.depth_compaction.from_depth`, errors, { min: 0, max: MAX_SLIP_DEPTH });
+    checkNumber(compaction.cohesion_per_m, `${where}.depth_compaction.cohesion_per_m`, errors, { min: 0, max: 1 });
+    checkNumber(compaction.friction_per_m, `${where}.depth_compaction.friction_per_m`, errors, { min: 0, max: 5 });
+  }
+
+  checkNumber(profile.suction_loss, `${where}.suction_loss`, errors, { min: 0, max: 1 });
+  checkNumber(profile.root_cohesion_scale, `${where}.root_cohesion_scale`, errors, { min: 0, max: 10 });
+
+  const bounds = profile.friction_bounds;
+  if (!Array.isArray(bounds) || bounds.length !== 2 || !bounds.every(isNumber) || !(bounds[0] > 0 && bounds[0] < bounds[1] && bounds[1] < 90)) {
+    errors.push(`${where}.friction_bounds must be [min, max] with 0 < min < max < 90`);
+  }
+
+  const thresholds = profile.risk_thresholds;
+  if (checkKeys(thresholds, RISK_LEVELS, `${where}.risk_thresholds`, errors)) {
+    RISK_LEVELS.forEach(level => checkNumber(thresholds[level], `${where}.risk_thresholds.${level}`, errors, { min: 0, exclusiveMin: true }));
+    if (!(thresholds.Extreme < thresholds.High && thresholds.High < thresholds.Medium)) {
+      errors.push(`${where}.risk_thresholds must increase from Extreme to High to Medium`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a profile, throwing every schema violation at once
+ * @throws {Error}
+ */
+const validateParameterProfile = (profile, where = "profile") => {
+  const errors = profileErrors(profile, where);
+  if (errors.length) throw new Error(`Invalid parameter profile: ${errors.join("; ")}`);
+  return profile;
+};
+
+/**
+ * Load and validate the profiles file: { default: id, profiles: { id: profile } }
+ * An invalid file throws so the server never runs on parameters it could not check
+ * @param {string} filePath - Defaults to PARAMETER_PROFILES_PATH, then the bundled file
+ * @returns {string[]} Loaded profile ids
+ */
+const initParameterProfiles = (filePath = process.env.PARAMETER_PROFILES_PATH || DEFAULT_PROFILES_PATH) => {
+  const doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const errors = [];
+  if (checkKeys(doc, ["default", "profiles"], path.basename(filePath), errors)) {
+    const ids = doc.profiles && typeof doc.profiles === "object" ? Object.keys(doc.profiles) : [];
+    if (ids.length === 0) errors.push("profiles must contain at least one profile");
+    for (const id of ids) {
+      if (!PROFILE_ID.test(id)) errors.push(`profile id "${id}" must be lowercase letters, digits and dashes`);
+      errors.push(...profileErrors(doc.profiles[id], id));
+    }
+    if (!ids.includes(doc.default)) errors.push(`default "${doc.default}" is not one of the profiles`);
+  }
+  if (errors.length) throw new Error(`Invalid parameter profiles in ${filePath}: ${errors.join("; ")}`);
+
+  profileSet = {
+    path: filePath,
+    defaultId: doc.default,
+    profiles: new Map(Object.entries(doc.profiles).map(([id, p]) => [id, Object.freeze({ id, ...p })]))
+  };
+  return [...profileSet.profiles.keys()];
+};
+
+const loaded = () => {
+  if (profileSet === undefined) initParameterProfiles();
+  return profileSet;
+};
+
+/**
+ * Profile by id; the default profile when id is omitted
+ * @returns {object|null}
+ */
+const getParameterProfile = (id) => {
+  const set = loaded();
+  return set.profiles.get(id === undefined ? set.defaultId : id) || null;
+};
+
+const getDefaultProfileId = () => loaded().defaultId;
+
+/**
+ * All profiles, default first
+ */
+const listParameterProfiles = () => {
+  const set = loaded();
+  return [...set.profiles.values()]
+    .map(p => ({ ...p, default: p.id === set.defaultId }))
+    .sort((a, b) => Number(b.default) - Number(a.default));
+};
+
+/**
+ * Validate the request's parameterProfile field
+ * @param {string} raw - Profile id, or undefined for the default profile
+ * @returns {object} The profile
+ * @throws {Error} When the id is unknown
+ */
+const parseProfileSelection = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return getParameterProfile();
+  const profile = typeof raw === "string" ? getParameterProfile(raw) : null;
+  if (!profile) throw new Error(`parameterProfile must be one of ${[...loaded().profiles.keys()].join(", ")}`);
+  return profile;
+};
+
+module.exports = {
+  MAX_SLIP_DEPTH,
+  validateParameterProfile,
+  initParameterProfiles,
+  getParameterProfile,
+  getDefaultProfileId,
+  listParameterProfiles,
+  parseProfileSelection,
+};
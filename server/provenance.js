@@ -0,0 +1,159 @@
+/**
+ * Data Provenance Module
+ * Where each prediction input came from (source, fetch time, and whether a
+ * default stood in for unavailable data), an overall data-quality grade, and
+ * the data policy that withholds the risk verdict when critical inputs were
+ * defaulted
+ */
+
+const DATA_POLICIES = ["permissive", "strict"];
+
+// Share of the data-quality score per input. Weather and terrain drive the
+// factor of safety directly, so a defaulted one makes the verdict meaningless.
+const INPUT_WEIGHTS = { weather: 0.3, terrain: 0.3, soil: 0.2, soil_profile: 0.05, climate: 0.1, land_cover: 0.05 };
+const CRITICAL_INPUTS = ["weather", "terrain"];
+
+// Lowest score per grade, best first; any defaulted critical input means grade D
+const GRADES = [
+  { grade: "A", min: 0.9, confidence: "high" },
+  { grade: "B", min: 0.75, confidence: "medium" },
+  { grade: "C", min: 0.5, confidence: "low" },
+  { grade: "D", min: 0, confidence: "low" }
+];
+
+/**
+ * Validate the request's data policy
+ * @param {string} raw - "permissive" (always give a verdict) or "strict";
+ *   defaults to the DATA_POLICY environment variable, then "permissive"
+ * @returns {string}
+ * @throws {Error} When the policy is unknown
+ */
+const parseDataPolicy = (raw) => {
+  const policy = raw === undefined || raw === null || raw === "" ? process.env.DATA_POLICY || "permissive" : raw;
+  if (!DATA_POLICIES.includes(policy)) throw new Error(`dataPolicy must be one of ${DATA_POLICIES.join(", ")}`);
+  return policy;
+};
+
+const record = (input, { source, fetchedAt = null, fallback, reason = null, ...extra }) => ({
+  source: source || null,
+  fetched_at: fetchedAt,
+  fallback,
+  critical: CRITICAL_INPUTS.includes(input),
+  ...(fallback && reason ? { reason } : {}),
+  ...extra
+});
+
+/**
+ * Provenance of each input of a site
+ * @param {object} site
+ * @param {object} site.weather - Weather as fetched (before the climate humidity and manual rainfall are applied),
+ *   with weather_source (null when defaulted) and weather_fetched_at
+ * @param {object} site.topo - calculateSlope result (terrain_source is null when defaulted)
+ * @param {object} site.soil - getSoilComposition result
+ * @param {object} site.climate
+ * @param {object} site.landCover
+ * @param {boolean} site.isSimulated - Rainfall came from the request's manualRain
+ * @returns {object} { input: { source, fetched_at, fallback, critical, reason? } } per input
+ */
+const describeProvenance = ({ weather, topo, soil, climate, landCover, isSimulated = false }) => {
+  const defaultedFields = weather.weather_source && weather.humidity === null ? ["humidity"] : [];
+  return {
+    weather: record("weather", {
+      source: weather.weather_source,
+      fetchedAt: weather.weather_fetched_at,
+      fallback: !weather.weather_source,
+      reason: "Weather service unavailable; 25 °C and no rainfall assumed, humidity from the climate zone",
+      ...(defaultedFields.length ? { defaulted_fields: defaultedFields } : {}),
+      ...(isSimulated ? { overridden: ["rainfall"] } : {})
+    }),
+    terrain: record("terrain", {
+      source: topo.terrain_source,
+      fetchedAt: topo.terrain_fetched_at,
+      fallback: !topo.terrain_source,
+      reason: "Elevation data unavailable; flat ground (slope 0°) assumed"
+    }),
+    soil: record("soil", {
+      source: soil.source,
+      // Only SoilGrids compositions are fetched; the rasters and patterns are local
+      fetchedAt: soil.source === soil.profile_source ? soil.profile_fetched_at : null,
+      fallback: /Fallback/.test(soil.source),
+      reason: "No soil data for this location; texture estimated from regional or climate patterns"
+    }),
+    soil_profile: record("soil_profile", {
+      source: soil.profile_source,
+      fetchedAt: soil.profile_fetched_at,
+      fallback: !soil.profile_fetched_at,
+      reason: "No depth-resolved soil data; the surface composition is applied at every depth"
+    }),
+    climate: record("climate", {
+      source: climate.source,
+      fallback: /^Default/.test(climate.source),
+      reason: "No Köppen-Geiger grid value for this location; the default Tropical Monsoon (Am) zone is assumed"
+    }),
+    land_cover: record("land_cover", {
+      source: landCover.source,
+      fallback: /^(Climate Default|Default)/.test(landCover.source),
+      reason: "Land cover unknown; the climate zone's typical vegetation (or the default class) is assumed"
+    })
+  };
+};
+
+/**
+ * Overall data quality: the weighted share of inputs that were not defaulted
+ * (an input with some defaulted fields counts half)
+ * @param {object} provenance - describeProvenance result
+ * @returns {object} { grade, score, confidence, defaulted, critical_defaulted }
+ */
+const gradeDataQuality = (provenance) => {
+  let score = 0;
+  for (const [input, weight] of Object.entries(INPUT_WEIGHTS)) {
+    const entry = provenance[input];
+    if (!entry || entry.fallback) continue;
+    score += entry.defaulted_fields ? weight / 2 : weight;
+  }
+  score = Number(score.toFixed(3));
+
+  const defaulted = Object.keys(provenance).filter(input => provenance[input].fallback);
+  const criticalDefaulted = defaulted.filter(input => CRITICAL_INPUTS.includes(input));
+  const { grade, confidence } = criticalDefaulted.length
+    ? GRADES[GRADES.length - 1]
+    : GRADES.find(g => score >= g.min);
+
+  return { grade, score, confidence, defaulted, critical_defaulted: criticalDefaulted };
+};
+
+/**
+ * Lowest data quality among several graded sites (e.g. the cells of an area):
+ * defaulted critical inputs first, then the lowest score
+ * @param {object[]} qualities - gradeDataQuality results
+ * @returns {object|null} That result, or null when there are none
+ */
+const worstDataQuality = (qualities) => qualities.reduce((worst, q) => {
+  if (!worst) return q;
+  if (q.critical_defaulted.length !== worst.critical_defaulted.length) {
+    return q.critical_defaulted.length > worst.critical_defaulted.length ? q : worst;
+  }
+  return q.score < worst.score ? q : worst;
+}, null);
+
+/**
+ * Why the verdict is withheld under the policy, or null when it may be given
+ * @param {object} quality - gradeDataQuality result
+ * @param {string} policy - parseDataPolicy result
+ * @returns {string|null}
+ */
+const withheldVerdictReason = (quality, policy) => {
+  if (policy !== "strict" || quality.critical_defaulted.length === 0) return null;
+  return `Critical inputs were defaulted (${quality.critical_defaulted.join(", ")}); ` +
+    "no risk verdict is given under the strict data policy";
+};
+
+module.exports = {
+  DATA_POLICIES,
+  CRITICAL_INPUTS,
+  parseDataPolicy,
+  describeProvenance,
+  gradeDataQuality,
+  worstDataQuality,
+  withheldVerdictReason,
+};
@@ -0,0 +1,252 @@
+/**
+ * Data Provider Registry
+ * External data behind swappable providers, one per kind:
+ * - weather: current(points, { pastDays }), archive(point, { startDate, endDate }),
+ *   forecast(point, { pastDays, forecastDays }) - Open-Meteo response format
+ * - elevation: elevations(points) - metres per point
+ * - soil: properties(point, { properties, depths }) - SoilGrids response format
+ * - geocoding: reverse(point) - Nominatim response format
+ * Points are { lat, lon }. DATA_PROVIDER picks the implementation for every
+ * kind ("live" or "fixture"); WEATHER_PROVIDER, ELEVATION_PROVIDER,
+ * SOIL_PROVIDER and GEOCODING_PROVIDER override it per kind. Responses are
+ * cached by rounded coordinates and request options for a per-method lifetime;
+ * fetchedAt(response) tells when a response was actually fetched.
+ */
+
+const axios = require("axios");
+const { createResponseCache } = require("./responseCache");
+const { fixtureProviders } = require("./fixtureProviders");
+
+const PROVIDER_KINDS = ["weather", "elevation", "soil", "geocoding"];
+const DEFAULT_PROVIDER = "live";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Cache lifetime and coordinate rounding (decimal places) per provider method.
+// perPoint methods take a list of points and are cached point by point, so only
+// the points not yet cached are requested.
+const CACHE_POLICIES = {
+  weather: {
+    current: { ttlMs: 15 * MINUTE, precision: 2, perPoint: true }, // ~1 km, finer than the weather model
+    archive: { ttlMs: Infinity, precision: 2 }, // reanalysis does not change
+    forecast: { ttlMs: HOUR, precision: 2 }
+  },
+  elevation: { elevations: { ttlMs: 30 * DAY, precision: 6, perPoint: true } },
+  soil: { properties: { ttlMs: 30 * DAY, precision: 3 } }, // SoilGrids cells are 250 m
+  geocoding: { reverse: { ttlMs: 7 * DAY, precision: 4 } }
+};
+
+const registry = Object.fromEntries(PROVIDER_KINDS.map(kind => [kind, new Map()]));
+let active = null;
+
+// Fetch time (ms) of each response object handed out, cached or not
+const fetchTimes = new WeakMap();
+
+const tag = (value, storedAt) => {
+  if (value && typeof value === "object") fetchTimes.set(value, storedAt);
+  return value;
+};
+
+/**
+ * When a provider response was fetched from its upstream
+ * @param {object} response - A value returned by a provider method (perPoint methods: the returned list, dated by its oldest point)
+ * @returns {string|null} ISO timestamp, null for values not returned by a provider
+ */
+const fetchedAt = (response) => {
+  const time = response && typeof response === "object" ? fetchTimes.get(response) : undefined;
+  return time === undefined ? null : new Date(time).toISOString();
+};
+
+/**
+ * Register a provider implementation
+ * @param {string} kind - One of PROVIDER_KINDS
+ * @param {string} id - Identifier used in DATA_PROVIDER / <KIND>_PROVIDER
+ * @param {object} provider - { name, ...methods of the kind }
+ */
+const registerProvider = (kind, id, provider) => {
+  if (!registry[kind]) throw new Error(`provider kind must be one of ${PROVIDER_KINDS.join(", ")}`);
+  for (const method of Object.keys(CACHE_POLICIES[kind])) {
+    if (typeof provider[method] !== "function") throw new Error(`${kind} provider ${id} needs a ${method}() method`);
+  }
+  registry[kind].set(id, { ...provider, id });
+};
+
+// Wrap a provider's methods with the response cache (null = no caching) and record fetch times
+const withCache = (kind, provider, cache) => {
+  const wrapped = { ...provider };
+  for (const [method, policy] of Object.entries(CACHE_POLICIES[kind])) {
+    const fetch = provider[method];
+    const namespace = `${kind}.${provider.id}.${method}`;
+    const keyOf = (p, options) =>
+      `${Number(p.lat).toFixed(policy.precision)},${Number(p.lon).toFixed(policy.precision)}|${JSON.stringify(options || {})}`;
+
+    wrapped[method] = policy.perPoint
+      ? async (points, options) => {
+        const keys = points.map(p => keyOf(p, options));
+        const entries = cache ? await Promise.all(keys.map(key => cache.get(namespace, key, policy.ttlMs))) : keys.map(() => undefined);
+        const missing = entries.map((e, i) => (e === undefined ? i : -1)).filter(i => i >= 0);
+        if (missing.length) {
+          const fetched = await fetch(missing.map(i => points[i]), options);
+          const now = Date.now();
+          await Promise.all(missing.map(async (i, j) => {
+            entries[i] = cache ? await cache.set(namespace, keys[i], fetched[j]) : { value: fetched[j], storedAt: now };
+          }));
+        }
+        const values = entries.map(e => tag(e.value, e.storedAt));
+        return tag(values, Math.min(...entries.map(e => e.storedAt)));
+      }
+      : async (point, options) => {
+        const key = keyOf(point, options);
+        let entry = cache ? await cache.get(namespace, key, policy.ttlMs) : undefined;
+        if (entry === undefined) {
+          const value = await fetch(point, options);
+          entry = cache ? await cache.set(namespace, key, value) : { value, storedAt: Date.now() };
+        }
+        return tag(entry.value, entry.storedAt);
+      };
+  }
+  return wrapped;
+};
+
+/**
+ * Select the providers and set up the response cache
+ * @param {object} options
+ * @param {string} options.mode - Provider id for every kind (DATA_PROVIDER, default "live")
+ * @param {object} options.overrides - { kind: id } (defaults to the <KIND>_PROVIDER variables)
+ * @param {boolean} options.cache - Cache responses (false when PROVIDER_CACHE is "off")
+ * @param {string|null} options.cacheDir - Disk tier directory (PROVIDER_CACHE_DIR; memory only when unset)
+ * @param {number} options.maxEntries - Memory entries (PROVIDER_CACHE_MAX_ENTRIES)
+ * @returns {object} describeProviders()
+ * @throws {Error} When a selected provider is not registered
+ */
+const initProviders = ({
+  mode = process.env.DATA_PROVIDER || DEFAULT_PROVIDER,
+  overrides = Object.fromEntries(PROVIDER_KINDS.map(kind => [kind, process.env[`${kind.toUpperCase()}_PROVIDER`]])),
+  cache = process.env.PROVIDER_CACHE !== "off",
+  cacheDir = process.env.PROVIDER_CACHE_DIR || null,
+  maxEntries = Number(process.env.PROVIDER_CACHE_MAX_ENTRIES) || undefined
+} = {}) => {
+  const responseCache = cache ? createResponseCache({ dir: cacheDir, maxEntries }) : null;
+  const selected = {};
+  for (const kind of PROVIDER_KINDS) {
+    const id = overrides[kind] || mode;
+    const provider = registry[kind].get(id);
+    if (!provider) throw new Error(`${kind} provider must be one of ${[...registry[kind].keys()].join(", ")} (got "${id}")`);
+    selected[kind] = withCache(kind, provider, responseCache);
+  }
+  active = { providers: selected, cache: responseCache };
+  return describeProviders();
+};
+
+/**
+ * The selected provider of a kind (initialising the defaults on first use)
+ */
+const getProvider = (kind) => {
+  if (!active) initProviders();
+  return active.providers[kind];
+};
+
+/**
+ * Selected provider per kind plus the cache counters, for /health
+ */
+const describeProviders = () => {
+  if (!active) initProviders();
+  const described = {};
+  for (const kind of PROVIDER_KINDS) described[kind] = { id: active.providers[kind].id, name: active.providers[kind].name };
+  return { ...described, cache: active.cache ? active.cache.stats() : null };
+};
+
+/* ===================== LIVE PROVIDERS ===================== */
+registerProvider("weather", "live", {
+  name: "Open-Meteo",
+  archiveName: "Open-Meteo Historical Weather API (ERA5)",
+
+  current: async (points, { pastDays = 7 } = {}) => {
+    const url =
+      `https://api.open-meteo.com/v1/forecast?latitude=${points.map(p => p.lat).join(",")}` +
+      `&longitude=${points.map(p => p.lon).join(",")}` +
+      `&current=temperature_2m,relative_humidity_2m,precipitation` +
+      `&hourly=precipitation` +
+      `&daily=precipitation_sum&past_days=${pastDays}&forecast_days=1`;
+    const res = await axios.get(url, { timeout: 10000 });
+    // One location returns an object, several return an array
+    return Array.isArray(res.data) ? res.data : [res.data];
+  },
+
+  archive: async ({ lat, lon }, { startDate, endDate }) => {
+    const url =
+      `https://archive-api.open-meteo.com/v1/archive?latitude=${lat}&longitude=${lon}` +
+      `&start_date=${startDate}&end_date=${endDate}` +
+      `&hourly=temperature_2m,relative_humidity_2m,precipitation` +
+      `&daily=precipitation_sum`;
+    const res = await axios.get(url, { timeout: 15000 });
+    return res.data;
+  },
+
+  forecast: async ({ lat, lon }, { pastDays = 30, forecastDays = 7 } = {}) => {
+    const url =
+      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
+      `&hourly=precipitation` +
+      `&daily=precipitation_sum,relative_humidity_2m_mean,temperature_2m_mean` +
+      `&past_days=${pastDays}&forecast_days=${forecastDays}&timezone=auto`;
+    const res = await axios.get(url, { timeout: 10000 });
+    return res.data;
+  }
+});
+
+registerProvider("elevation", "live", {
+  name: "Open-Meteo Elevation API",
+
+  // Up to 100 points per request
+  elevations: async (points) => {
+    const url =
+      `https://api.open-meteo.com/v1/elevation?` +
+      `latitude=${points.map(p => Number(p.lat.toFixed(6))).join(",")}` +
+      `&longitude=${points.map(p => Number(p.lon.toFixed(6))).join(",")}`;
+    const res = await axios.get(url, { timeout: 10000 });
+    return res.data.elevation;
+  }
+});
+
+registerProvider("soil", "live", {
+  name: "SoilGrids API",
+
+  // properties: { name: divisor to reporting units }, depths: [{ label }]
+  properties: async ({ lat, lon }, { properties, depths }) => {
+    const url = `https://rest.isric.org/soilgrids/v2.0/properties/query?` +
+      `lat=${lat}&lon=${lon}&` +
+      Object.keys(properties).map(p => `property=${p}`).join('&') + '&' +
+      depths.map(d => `depth=${d.label}`).join('&') +
+      `&value=mean`;
+    const res = await axios.get(url, { timeout: 10000 });
+    return res.data;
+  }
+});
+
+registerProvider("geocoding", "live", {
+  name: "Nominatim (OpenStreetMap)",
+
+  reverse: async ({ lat, lon }) => {
+    const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}`;
+    const res = await axios.get(url, {
+      timeout: 5000, // allow more time for reverse-geocoding over ocean/remote regions
+      headers: { 'User-Agent': 'KeralaLandslidePredictionAPI/1.0 (mailto:info@example.com)' }
+    });
+    return res.data;
+  }
+});
+
+/* ===================== FIXTURE PROVIDERS ===================== */
+for (const kind of PROVIDER_KINDS) registerProvider(kind, "fixture", fixtureProviders[kind]);
+
+module.exports = {
+  PROVIDER_KINDS,
+  CACHE_POLICIES,
+  registerProvider,
+  initProviders,
+  getProvider,
+  describeProviders,
+  fetchedAt,
+};
@@ -0,0 +1,221 @@
+/**
+ * Rainfall Threshold Module
+ * Empirical landslide predictor from hourly rainfall: intensity–duration (ID)
+ * curves for the current rainfall event plus cumulative rainfall tiers
+ */
+
+// Warning scale shared with the FoS risk levels (index = rank)
+const WARNING_LEVELS = ["Green", "Yellow", "Orange", "Red"];
+
+const RISK_LEVEL_RANK = { Low: 0, Medium: 1, High: 2, Extreme: 3 };
+
+/**
+ * Default thresholds
+ * - ID curves I = a * D^-b (I in mm/h, D in h): Guzzetti et al. (2008) global
+ *   minimum and Caine (1980) global threshold
+ * - cumulative tiers follow the IMD 24 h rainfall categories
+ *   (heavy, very heavy, extremely heavy)
+ */
+const DEFAULT_THRESHOLDS = {
+  minDryHours: 24, // dry spell that separates two rainfall events
+  wetHourMm: 0.2, // an hour with at least this much rain counts as wet
+  idCurves: [
+    { name: "Guzzetti 2008 (global minimum)", a: 2.2, b: 0.44, minDuration: 0.1, maxDuration: 1000, level: "Yellow" },
+    { name: "Caine 1980 (global)", a: 14.82, b: 0.39, minDuration: 0.167, maxDuration: 500, level: "Orange" }
+  ],
+  cumulative: [
+    { name: "IMD heavy", hours: 24, mm: 64.5, level: "Yellow" },
+    { name: "IMD very heavy", hours: 24, mm: 115.6, level: "Orange" },
+    { name: "IMD extremely heavy", hours: 24, mm: 204.5, level: "Red" },
+    { name: "72 h antecedent", hours: 72, mm: 250, level: "Orange" }
+  ]
+};
+
+const levelRank = (level) => {
+  const rank = WARNING_LEVELS.indexOf(level);
+  if (rank < 0) throw new Error(`level must be one of ${WARNING_LEVELS.join(", ")}`);
+  return rank;
+};
+
+/**
+ * Validate request threshold overrides and merge them with the defaults
+ * @param {object} raw - { minDryHours, wetHourMm, idCurves, cumulative }
+ * @returns {object} Threshold configuration
+ * @throws {Error} When a curve or tier is malformed
+ */
+const parseThresholdOptions = (raw) => {
+  if (raw === undefined || raw === null) return DEFAULT_THRESHOLDS;
+  if (typeof raw !== "object") throw new Error("thresholds must be an object");
+
+  const config = { ...DEFAULT_THRESHOLDS, ...raw };
+
+  config.minDryHours = Number(config.minDryHours);
+  config.wetHourMm = Number(config.wetHourMm);
+  if (!(config.minDryHours >= 1)) throw new Error("minDryHours must be at least 1");
+  if (!(config.wetHourMm >= 0)) throw new Error("wetHourMm must be non-negative");
+
+  if (!Array.isArray(config.idCurves)) throw new Error("idCurves must be an array");
+  config.idCurves = config.idCurves.map((c, i) => {
+    const curve = { level: "Orange", name: `curve ${i + 1}`, ...c };
+    curve.a = Number(curve.a);
+    curve.b = Number(curve.b);
+    curve.minDuration = curve.minDuration === undefined ? 0 : Number(curve.minDuration);
+    // Open-ended unless a maximum duration is given
+    const openEnded = curve.maxDuration === undefined;
+    curve.maxDuration = openEnded ? Infinity : Number(curve.maxDuration);
+    if (!(Number.isFinite(curve.a) && curve.a > 0) || !(Number.isFinite(curve.b) && curve.b >= 0)) {
+      throw new Error(`idCurves[${i}]: a must be positive and b non-negative`);
+    }
+    if (!(Number.isFinite(curve.minDuration) && curve.minDuration >= 0) || !(openEnded || Number.isFinite(curve.maxDuration)) ||
+      curve.minDuration >= curve.maxDuration) {
+      throw new Error(`idCurves[${i}]: minDuration and maxDuration must be numbers with 0 <= minDuration < maxDuration`);
+    }
+    levelRank(curve.level);
+    return curve;
+  });
+
+  if (!Array.isArray(config.cumulative)) throw new Error("cumulative must be an array");
+  config.cumulative = config.cumulative.map((t, i) => {
+    const tier = { level: "Orange", name: `tier ${i + 1}`, ...t };
+    tier.hours = Number(tier.hours);
+    tier.mm = Number(tier.mm);
+    if (!(Number.isFinite(tier.hours) && tier.hours >= 1) || !(Number.isFinite(tier.mm) && tier.mm > 0)) {
+      throw new Error(`cumulative[${i}]: hours must be at least 1 and mm positive`);
+    }
+    levelRank(tier.level);
+    return tier;
+  });
+
+  return config;
+};
+
+/**
+ * Find the most recent rainfall event in an hourly series (oldest first)
+ * @param {number[]} hourly - Hourly precipitation (mm)
+ * @param {object} options - { minDryHours, wetHourMm }
+ * @returns {object|null} { duration_h, cumulative_mm, mean_intensity, peak_intensity, hours_since_end } or null
+ */
+const detectRainfallEvent = (hourly, { minDryHours = 24, wetHourMm = 0.2 } = {}) => {
+  if (!Array.isArray(hourly) || hourly.length === 0) return null;
+
+  let end = hourly.length - 1;
+  while (end >= 0 && !(hourly[end] >= wetHourMm)) end--;
+  if (end < 0) return null;
+
+  const hoursSinceEnd = hourly.length - 1 - end;
+  // A dry spell of minDryHours has already closed the event
+  if (hoursSinceEnd >= minDryHours) return null;
+
+  let start = end;
+  let dryRun = 0;
+  for (let i = end - 1; i >= 0; i--) {
+    if (hourly[i] >= wetHourMm) {
+      start = i;
+      dryRun = 0;
+    } else if (++dryRun >= minDryHours) {
+      break;
+    }
+  }
+
+  let cumulative = 0;
+  let peak = 0;
+  for (let i = start; i <= end; i++) {
+    const v = hourly[i] || 0;
+    cumulative += v;
+    peak = Math.max(peak, v);
+  }
+  const duration = end - start + 1;
+
+  return {
+    duration_h: duration,
+    cumulative_mm: Number(cumulative.toFixed(1)),
+    mean_intensity: Number((cumulative / duration).toFixed(2)),
+    peak_intensity: Number(peak.toFixed(1)),
+    hours_since_end: hoursSinceEnd
+  };
+};
+
+const sumLastHours = (hourly, hours) =>
+  hourly.slice(Math.max(0, hourly.length - hours)).reduce((a, b) => a + (b || 0), 0);
+
+/**
+ * Evaluate the rainfall thresholds for an hourly precipitation series
+ * @param {number[]} hourly - Hourly precipitation (mm), oldest first, ending now
+ * @param {object} config - Threshold configuration (see DEFAULT_THRESHOLDS)
+ * @returns {object} Event, per-curve and per-tier results, and the overall level
+ */
+const evaluateRainfallThresholds = (hourly, config = DEFAULT_THRESHOLDS) => {
+  const series = Array.isArray(hourly) ? hourly : [];
+  const event = detectRainfallEvent(series, config);
+  let rank = 0;
+
+  const idCurves = config.idCurves.map((curve) => {
+    let thresholdIntensity = null;
+    let exceeded = false;
+    if (event) {
+      // Durations outside the curve's validity range are clamped to it
+      const d = Math.min(curve.maxDuration, Math.max(curve.minDuration, event.duration_h));
+      thresholdIntensity = curve.a * Math.pow(d, -curve.b);
+      exceeded = event.mean_intensity >= thresholdIntensity;
+    }
+    if (exceeded) rank = Math.max(rank, levelRank(curve.level));
+    return {
+      name: curve.name,
+      a: curve.a,
+      b: curve.b,
+      level: curve.level,
+      threshold_intensity: thresholdIntensity === null ? null : Number(thresholdIntensity.toFixed(2)),
+      exceeded
+    };
+  });
+
+  const cumulative = config.cumulative.map((tier) => {
+    const observed = sumLastHours(series, tier.hours);
+    const exceeded = observed >= tier.mm;
+    if (exceeded) rank = Math.max(rank, levelRank(tier.level));
+    return {
+      name: tier.name,
+      hours: tier.hours,
+      threshold_mm: tier.mm,
+      observed_mm: Number(observed.toFixed(1)),
+      level: tier.level,
+      exceeded
+    };
+  });
+
+  return {
+    level: WARNING_LEVELS[rank],
+    rank,
+    event,
+    hours_available: series.length,
+    id_curves: idCurves,
+    cumulative
+  };
+};
+
+/**
+ * Combine the FoS risk level and the rainfall threshold verdict into one warning level
+ * @param {string} riskLevel - calculateRisk risk_level (Low/Medium/High/Extreme)
+ * @param {object} threshold - evaluateRainfallThresholds result
+ * @returns {object} { level, rank, drivers }
+ */
+const combineWarningLevels = (riskLevel, threshold) => {
+  const fosRank = RISK_LEVEL_RANK[riskLevel] ?? 0;
+  const rainRank = threshold ? threshold.rank : 0;
+  const rank = Math.max(fosRank, rainRank);
+
+  const drivers = [];
+  if (rank > 0 && fosRank === rank) drivers.push("factor_of_safety");
+  if (rank > 0 && rainRank === rank) drivers.push("rainfall_threshold");
+
+  return { level: WARNING_LEVELS[rank], rank, drivers };
+};
+
+module.exports = {
+  WARNING_LEVELS,
+  DEFAULT_THRESHOLDS,
+  parseThresholdOptions,
+  detectRainfallEvent,
+  evaluateRainfallThresholds,
+  combineWarningLevels,
+};
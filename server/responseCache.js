@@ -0,0 +1,97 @@
+/**
+ * Response Cache
+ * Memory (least recently used) cache of data-provider responses, optionally
+ * backed by JSON files on disk so a restart keeps what was already fetched
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * Create a cache
+ * @param {object} options
+ * @param {number} options.maxEntries - Memory entries kept before the least recently used are dropped
+ * @param {string|null} options.dir - Directory for the disk tier (null = memory only)
+ * @returns {object} { get(namespace, key, ttlMs), set(namespace, key, value), clear(), stats() }
+ *   get and set return the entry: { value, storedAt } (ms since the epoch)
+ */
+const createResponseCache = ({ maxEntries = DEFAULT_MAX_ENTRIES, dir = null } = {}) => {
+  const memory = new Map();
+  const counts = { hits: 0, disk_hits: 0, misses: 0 };
+
+  const fileFor = (namespace, key) =>
+    path.join(dir, namespace, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  const remember = (id, entry) => {
+    memory.delete(id);
+    memory.set(id, entry);
+    if (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  };
+
+  /**
+   * Cached entry, or undefined when missing or older than ttlMs
+   */
+  const get = async (namespace, key, ttlMs) => {
+    const id = `${namespace}|${key}`;
+    const fresh = entry => entry && Date.now() - entry.storedAt <= ttlMs;
+
+    const entry = memory.get(id);
+    if (fresh(entry)) {
+      remember(id, entry);
+      counts.hits++;
+      return entry;
+    }
+
+    if (dir) {
+      try {
+        const stored = JSON.parse(await fs.promises.readFile(fileFor(namespace, key), "utf8"));
+        // The file name is a hash, so check the key itself
+        if (stored.key === key && fresh(stored)) {
+          const restored = { storedAt: stored.storedAt, value: stored.value };
+          remember(id, restored);
+          counts.disk_hits++;
+          return restored;
+        }
+      } catch {
+        // not on disk (or unreadable): a miss
+      }
+    }
+
+    counts.misses++;
+    return undefined;
+  };
+
+  const set = async (namespace, key, value) => {
+    const entry = { storedAt: Date.now(), value };
+    remember(`${namespace}|${key}`, entry);
+    if (!dir) return entry;
+
+    // Write-then-rename so readers never see a partial file; a failed write only loses the disk copy
+    try {
+      const file = fileFor(namespace, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, ...entry }));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.warn("Response cache write failed:", err.message);
+    }
+    return entry;
+  };
+
+  const clear = () => {
+    memory.clear();
+    Object.keys(counts).forEach((k) => { counts[k] = 0; });
+  };
+
+  const stats = () => ({ entries: memory.size, max_entries: maxEntries, disk: dir, ...counts });
+
+  return { get, set, clear, stats };
+};
+
+module.exports = {
+  createResponseCache,
+};
@@ -0,0 +1,94 @@
+/**
+ * Screening Model
+ * JavaScript port of predict_landslide.m: fixed 2 m slip depth, cohesion and
+ * friction angle from three texture classes, unit weight from bulk density and
+ * a stepped pore pressure from rainfall
+ */
+
+const GRAVITY = 9.81;
+const SLIP_DEPTH = 2.0; // m
+const FLAT_SLOPE = 5; // degrees; flatter terrain is reported as safe
+const FLAT_FoS = 10.0;
+const DEFAULT_BULK_DENSITY = 1.5; // g/cm³ when no soil profile gives one
+
+/**
+ * Cohesion (kPa) and friction angle (°) by texture class
+ */
+const strengthFromTexture = (clay, sand) => {
+  if (clay > 40) return { c: 25, phi: 20, texture: "clayey" };
+  if (sand > 60) return { c: 5, phi: 32, texture: "sandy" };
+  return { c: 15, phi: 28, texture: "default" };
+};
+
+// Pore pressure as a fraction of the normal stress: heavy and moderate rain steps
+const porePressureRatio = (rain) => {
+  if (rain > 50) return 0.4;
+  if (rain > 20) return 0.2;
+  return 0;
+};
+
+/**
+ * Run the screening model
+ * @param {object} input
+ * @param {number} input.rain - Rainfall (mm); the 7-day total when called from the API
+ * @param {number} input.slope - Slope angle (degrees)
+ * @param {number} input.clay - Clay content (%)
+ * @param {number} input.sand - Sand content (%)
+ * @param {number} input.bulk_density - Dry bulk density (g/cm³)
+ * @returns {object} { risk_level, FoS, reason, probability, details }
+ */
+const runScreeningModel = ({ rain = 0, slope = 0, clay = 0, sand = 0, bulk_density = DEFAULT_BULK_DENSITY }) => {
+  const { c, phi, texture } = strengthFromTexture(Number(clay), Number(sand));
+
+  const gamma = Number(bulk_density) * GRAVITY; // kN/m³
+  const z = SLIP_DEPTH;
+  const beta = (Number(slope) * Math.PI) / 180;
+
+  const sigma = gamma * z * Math.cos(beta) ** 2;
+  const tauDriving = gamma * z * Math.sin(beta) * Math.cos(beta);
+  const u = sigma * porePressureRatio(Number(rain));
+
+  const tauResisting = c + (sigma - u) * Math.tan((phi * Math.PI) / 180);
+  let FoS = tauResisting / (tauDriving + 0.001);
+
+  let risk = "Low";
+  let reason = "Stable Slope";
+  if (Number(slope) < FLAT_SLOPE) {
+    FoS = FLAT_FoS;
+    reason = "Flat Terrain (Safe)";
+  } else if (FoS < 1.0) {
+    risk = "High";
+    reason = "Slope Failure Imminent (FoS < 1.0)";
+  } else if (FoS < 1.2) {
+    risk = "High";
+    reason = "Critical Instability";
+  } else if (FoS < 1.5) {
+    risk = "Medium";
+    reason = "Moderate Risk (Check Rainfall)";
+  }
+
+  return {
+    risk_level: risk,
+    FoS: Number(FoS.toFixed(2)),
+    reason,
+    probability: Number(Math.min(1 / FoS, 0.99).toFixed(3)),
+    details: {
+      FoS: Number(FoS.toFixed(2)),
+      shear_strength: Number(tauResisting.toFixed(2)),
+      shear_stress: Number(tauDriving.toFixed(2)),
+      cohesion: c,
+      friction_angle: phi,
+      texture_class: texture,
+      gamma: Number(gamma.toFixed(2)),
+      bulk_density: Number(Number(bulk_density).toFixed(2)),
+      pore_pressure: Number(u.toFixed(3)),
+      depth: z
+    }
+  };
+};
+
+module.exports = {
+  SLIP_DEPTH,
+  DEFAULT_BULK_DENSITY,
+  runScreeningModel,
+};
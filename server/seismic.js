@@ -0,0 +1,125 @@
+/**
+ * Seismic Module
+ * Pseudo-static seismic coefficients for the infinite-slope analysis, given in
+ * the request or derived from a seismic zone map (IS 1893 zone factors)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { containsPoint } = require("./geometry");
+
+// Bundled coarse zone map; SEISMIC_ZONES_PATH replaces it with authoritative boundaries
+const DEFAULT_ZONES_PATH = path.join(__dirname, "seismic_zones.geojson");
+
+// IS 1893 (Part 1):2016 Table 3 zone factors (peak ground acceleration, g)
+const ZONE_FACTORS = { II: 0.1, III: 0.16, IV: 0.24, V: 0.36 };
+
+// Pseudo-static kh as a fraction of PGA (Hynes-Griffin & Franklin 1984)
+const KH_PGA_RATIO = 0.5;
+
+const MAX_COEFFICIENT = 1;
+
+// undefined until first loaded, null when the map could not be read
+let zoneMap;
+
+// A feature's own factor (e.g. a PGA map) takes precedence over its zone
+const zoneFactor = (props) => {
+  if (props.factor !== undefined && props.factor !== null && Number.isFinite(Number(props.factor))) return Number(props.factor);
+  return ZONE_FACTORS[props.zone] ?? null;
+};
+
+/**
+ * Load the seismic zone map (GeoJSON polygons with a "zone" or "factor" property)
+ * @param {string} filePath - Defaults to SEISMIC_ZONES_PATH, then the bundled map
+ * @returns {boolean} Whether a map is loaded
+ */
+const initSeismicZones = (filePath = process.env.SEISMIC_ZONES_PATH || DEFAULT_ZONES_PATH) => {
+  try {
+    const geojson = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    zoneMap = {
+      path: filePath,
+      name: geojson.name || path.basename(filePath),
+      features: (geojson.features || []).filter(f => f.geometry && zoneFactor(f.properties || {}) !== null)
+    };
+  } catch (err) {
+    zoneMap = null;
+    console.warn("Seismic zone map unavailable:", err.message);
+  }
+  return zoneMap !== null;
+};
+
+/**
+ * Seismic zone at a point; where polygons overlap the highest factor wins
+ * @returns {object|null} { zone, name, factor, source } or null outside the map
+ */
+const getSeismicZone = (lat, lon) => {
+  if (zoneMap === undefined) initSeismicZones();
+  if (!zoneMap) return null;
+
+  let best = null;
+  for (const feature of zoneMap.features) {
+    if (!containsPoint(feature.geometry, lon, lat)) continue;
+    const factor = zoneFactor(feature.properties);
+    if (!best || factor > best.factor) {
+      best = { zone: feature.properties.zone || null, name: feature.properties.name || null, factor, source: zoneMap.name };
+    }
+  }
+  return best;
+};
+
+/**
+ * Validate the per-request seismic options
+ * @param {boolean|object} raw - true to use the zone map, or { kh, kv } (kh omitted = zone map)
+ * @returns {object|null} { kh, kv } with kh null when it comes from the map; null when not requested
+ * @throws {Error} When a coefficient is out of range
+ */
+const parseSeismicOptions = (raw) => {
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (raw === true) return { kh: null, kv: 0 };
+  if (typeof raw !== "object") throw new Error("seismic must be true or an object");
+
+  const opts = { kv: 0, ...raw };
+  opts.kh = opts.kh ?? null;
+  if (opts.kh !== null) {
+    opts.kh = Number(opts.kh);
+    if (!(opts.kh >= 0 && opts.kh <= MAX_COEFFICIENT)) throw new Error(`kh must be between 0 and ${MAX_COEFFICIENT}`);
+  }
+  opts.kv = Number(opts.kv);
+  // Positive kv acts upwards, reducing the effective weight
+  if (!(Math.abs(opts.kv) < MAX_COEFFICIENT)) throw new Error(`kv must be between -${MAX_COEFFICIENT} and ${MAX_COEFFICIENT}`);
+  return { kh: opts.kh, kv: opts.kv };
+};
+
+/**
+ * Seismic coefficients for a site
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} options - parseSeismicOptions result
+ * @returns {object} { kh, kv, zone, zone_name, zone_factor, source }
+ */
+const resolveSeismicCoefficients = (lat, lon, options) => {
+  if (options.kh !== null) {
+    return { kh: options.kh, kv: options.kv, zone: null, zone_name: null, zone_factor: null, source: "Request" };
+  }
+  const zone = getSeismicZone(lat, lon);
+  if (!zone) {
+    return { kh: 0, kv: options.kv, zone: null, zone_name: null, zone_factor: null, source: "Outside the seismic zone map" };
+  }
+  return {
+    kh: Number((zone.factor * KH_PGA_RATIO).toFixed(3)),
+    kv: options.kv,
+    zone: zone.zone,
+    zone_name: zone.name,
+    zone_factor: zone.factor,
+    source: zone.source
+  };
+};
+
+module.exports = {
+  ZONE_FACTORS,
+  KH_PGA_RATIO,
+  initSeismicZones,
+  getSeismicZone,
+  parseSeismicOptions,
+  resolveSeismicCoefficients,
+};
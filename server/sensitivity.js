@@ -0,0 +1,189 @@
+/**
+ * Sensitivity Module
+ * One-at-a-time sensitivity of the factor of safety: each input is swept across
+ * a range around the site value with the others held fixed, and the parameters
+ * are ranked by their FoS swing (tornado chart order)
+ */
+
+const TEXTURE = ["clay", "sand", "silt"];
+
+/**
+ * Default sweep per parameter
+ * - delta: half-width of the range, in the parameter's unit
+ * - min / max: physical limits the range is clamped to
+ */
+const SENSITIVITY_PARAMETERS = {
+  slope: { unit: "degrees", delta: 5, min: 0, max: 89 },
+  depth: { unit: "m", delta: 1, min: 0.1, max: 10 },
+  clay: { unit: "%", delta: 10, min: 0, max: 100 },
+  sand: { unit: "%", delta: 10, min: 0, max: 100 },
+  silt: { unit: "%", delta: 10, min: 0, max: 100 },
+  humidity: { unit: "%", delta: 20, min: 0, max: 100 },
+  rain_7day: { unit: "mm", delta: 50, min: 0, max: 2000 },
+  cohesion: { unit: "kPa", delta: 5, min: 0, max: 200 },
+  friction_angle: { unit: "degrees", delta: 3, min: 1, max: 60 }
+};
+
+const DEFAULT_STEPS = 2;
+const MAX_STEPS = 10;
+
+/**
+ * Validate the per-request sensitivity options
+ * @param {object} raw - { parameters: string[], ranges: { name: { delta, min, max } }, steps }
+ * @returns {object} { parameters, ranges, steps }
+ * @throws {Error} When a parameter is unknown or a range is invalid
+ */
+const parseSensitivityOptions = (raw) => {
+  const opts = raw === undefined || raw === null ? {} : raw;
+  if (typeof opts !== "object") throw new Error("sensitivity must be an object");
+
+  const known = Object.keys(SENSITIVITY_PARAMETERS);
+  const parameters = opts.parameters === undefined ? known : opts.parameters;
+  if (!Array.isArray(parameters) || parameters.length === 0) throw new Error("parameters must be a non-empty array");
+  for (const name of parameters) {
+    if (!known.includes(name)) throw new Error(`parameters must be drawn from ${known.join(", ")}`);
+  }
+
+  const ranges = {};
+  for (const name of parameters) {
+    const range = { ...SENSITIVITY_PARAMETERS[name], ...((opts.ranges || {})[name] || {}) };
+    range.delta = Number(range.delta);
+    if (!(range.delta > 0)) throw new Error(`${name}: delta must be positive`);
+    if (!(Number(range.min) < Number(range.max))) throw new Error(`${name}: min must be below max`);
+    ranges[name] = range;
+  }
+
+  const steps = opts.steps === undefined ? DEFAULT_STEPS : Number(opts.steps);
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS) {
+    throw new Error(`steps must be an integer between 1 and ${MAX_STEPS}`);
+  }
+
+  return { parameters, ranges, steps };
+};
+
+// Set one texture fraction and rescale the other two so the three still sum to 100
+const withTexture = (soil, name, value) => {
+  const others = TEXTURE.filter(t => t !== name);
+  const rest = others.reduce((sum, t) => sum + Number(soil[t] || 0), 0);
+  const remaining = 100 - value;
+  const out = { ...soil, [name]: value };
+  for (const t of others) {
+    out[t] = rest > 0 ? (Number(soil[t] || 0) * remaining) / rest : remaining / others.length;
+  }
+  return out;
+};
+
+/**
+ * Features with one parameter changed; texture changes apply to every profile layer
+ * Returns { features, strength } where strength overrides the computed c / phi
+ */
+const perturb = (features, name, value, baseStrength) => {
+  if (name === "cohesion") return { features, strength: { ...baseStrength, cohesion: value } };
+  if (name === "friction_angle") return { features, strength: { ...baseStrength, friction_angle: value } };
+
+  if (TEXTURE.includes(name)) {
+    const baseValue = Number(features[name] || 0);
+    const shift = value - baseValue;
+    const next = withTexture(features, name, value);
+    if (Array.isArray(features.profile)) {
+      next.profile = features.profile.map((layer) => {
+        const v = Math.min(100, Math.max(0, Number(layer[name] || 0) + shift));
+        return withTexture(layer, name, v);
+      });
+    }
+    return { features: next, strength: null };
+  }
+
+  return { features: { ...features, [name]: value }, strength: null };
+};
+
+/**
+ * Run the sensitivity analysis
+ * @param {object} features - Site features as passed to calculateRisk
+ * @param {Function} evaluate - (features, strength) => prediction with FoS, risk_level and details
+ * @param {object} options - parseSensitivityOptions result
+ * @returns {object} { base, parameters, ranking }
+ */
+const runSensitivity = (features, evaluate, options) => {
+  const base = evaluate(features, null);
+  const baseStrength = {
+    cohesion: base.details.computed_cohesion,
+    friction_angle: base.details.computed_friction_angle
+  };
+
+  // The saturation model reads the antecedent index in preference to rain_7day
+  const rainField = features.antecedent_index !== undefined && features.antecedent_index !== null
+    ? "antecedent_index"
+    : "rain_7day";
+
+  const baseValues = {
+    ...Object.fromEntries(TEXTURE.map(t => [t, Number(features[t] || 0)])),
+    slope: Number(features.slope || 0),
+    depth: Number(features.depth || 2.5),
+    humidity: Number(features.humidity ?? (features.climate ? features.climate.humidity : 0)),
+    rain_7day: Number(features[rainField] || 0),
+    cohesion: baseStrength.cohesion,
+    friction_angle: baseStrength.friction_angle
+  };
+
+  const parameters = options.parameters.map((name) => {
+    const range = options.ranges[name];
+    const baseValue = baseValues[name];
+    const field = name === "rain_7day" ? rainField : name;
+
+    const values = new Set();
+    for (let i = -options.steps; i <= options.steps; i++) {
+      const v = baseValue + (i * range.delta) / options.steps;
+      values.add(Number(Math.min(range.max, Math.max(range.min, v)).toFixed(3)));
+    }
+
+    const response = [...values].sort((a, b) => a - b).map((value) => {
+      const { features: f, strength } = perturb(features, field, value, baseStrength);
+      const prediction = evaluate(f, strength);
+      return { value, FoS: prediction.FoS, risk_level: prediction.risk_level };
+    });
+
+    const low = response[0];
+    const high = response[response.length - 1];
+    const fosValues = response.map(r => r.FoS);
+
+    return {
+      name,
+      field,
+      unit: range.unit,
+      base_value: Number(baseValue.toFixed(3)),
+      range: [low.value, high.value],
+      response,
+      FoS_at_low: low.FoS,
+      FoS_at_high: high.FoS,
+      swing: Number((Math.max(...fosValues) - Math.min(...fosValues)).toFixed(3)),
+      // FoS per unit of the parameter across the range
+      gradient: high.value > low.value ? Number(((high.FoS - low.FoS) / (high.value - low.value)).toFixed(4)) : 0,
+      changes_risk_level: response.some(r => r.risk_level !== base.risk_level)
+    };
+  });
+
+  const ranking = [...parameters]
+    .sort((a, b) => b.swing - a.swing)
+    .map((p, i) => ({
+      rank: i + 1,
+      name: p.name,
+      swing: p.swing,
+      FoS_at_low: p.FoS_at_low,
+      FoS_at_high: p.FoS_at_high,
+      // Which end of the range lowers the FoS
+      destabilising: p.gradient < 0 ? "increase" : p.gradient > 0 ? "decrease" : "none"
+    }));
+
+  return {
+    base: { FoS: base.FoS, risk_level: base.risk_level, values: baseValues },
+    parameters,
+    ranking
+  };
+};
+
+module.exports = {
+  SENSITIVITY_PARAMETERS,
+  parseSensitivityOptions,
+  runSensitivity,
+};
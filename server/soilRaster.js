@@ -1,14 +1,272 @@
 /**
  * Soil Raster Module
- * Provides soil properties for given coordinates using simple estimation
- * Can be extended with GeoTIFF data in the future
+ * Provides soil properties for given coordinates from the bundled soil class
+ * GeoTIFFs (fclayey, fclayskeletal, floamy, fsandy), falling back to a simple
+ * coordinate-based estimation where the rasters have no coverage
  */
 
-// Initialize soil rasters (currently a no-op, can load GeoTIFF files here)
-const initSoils = async () => {
-  console.log("Initializing soil rasters...");
-  // Placeholder for future GeoTIFF loading
-  return Promise.resolve();
+const path = require("path");
+const { fromFile } = require("geotiff");
+
+/* ===================== RASTER CATALOGUE ===================== */
+// Each raster stores the fraction (0..10000 = 0..100%) of a soil particle-size
+// family class per cell. The texture is a representative composition for the class
+// and permeability its typical saturated conductivity (mm/h, after Rawls et al. 1982;
+// rock fragments make the skeletal class drain faster than plain clay).
+const SOIL_CLASSES = [
+  { key: "clayey", file: "fclayey.tif", texture: { clay: 50, sand: 20, silt: 30 }, permeability: 1.5 },
+  { key: "clayskeletal", file: "fclayskeletal.tif", texture: { clay: 45, sand: 30, silt: 25 }, permeability: 5.0 },
+  { key: "loamy", file: "floamy.tif", texture: { clay: 22, sand: 40, silt: 38 }, permeability: 13.0 },
+  { key: "sandy", file: "fsandy.tif", texture: { clay: 6, sand: 85, silt: 9 }, permeability: 60.0 }
+];
+
+const FRACTION_SCALE = 10000;
+
+// Cells whose class fractions add up to less than this are treated as no coverage
+// (sea, outside the mapped region)
+const MIN_COVERAGE = 0.05;
+
+/**
+ * The bundled grids declare EPSG:4326 in their GeoKeys but their coordinates are
+ * metres on a 5 km Lambert Conformal Conic grid over South Asia. The standard
+ * parallels follow the India LCC convention; the false origin was fitted against
+ * coastline landmarks (accurate to a few cells). Override with the
+ * SOIL_RASTER_PROJECTION environment variable (JSON) if a better definition is known.
+ */
+const DEFAULT_PROJECTION = {
+  type: "lcc",
+  lat0: 24,
+  lon0: 80,
+  lat1: 12.472944,
+  lat2: 35.172806,
+  x0: 2213650,
+  y0: 2415750
+};
+
+const EARTH_RADIUS = 6378137;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+let rasters = [];
+let projection = null;
+let loadPromise = null;
+
+const readProjectionFromEnv = () => {
+  if (!process.env.SOIL_RASTER_PROJECTION) return null;
+  try {
+    return JSON.parse(process.env.SOIL_RASTER_PROJECTION);
+  } catch (err) {
+    console.warn("Ignoring invalid SOIL_RASTER_PROJECTION:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Build a lat/lon -> grid x/y function for the given projection definition
+ * (spherical Lambert Conformal Conic, or plain geographic degrees)
+ */
+const createProjector = (def) => {
+  if (!def || def.type === "geographic") {
+    return (lat, lon) => ({ x: lon, y: lat });
+  }
+
+  const lat0 = toRad(def.lat0);
+  const lat1 = toRad(def.lat1);
+  const lat2 = toRad(def.lat2);
+  const lon0 = toRad(def.lon0);
+  const t = (phi) => Math.tan(Math.PI / 4 + phi / 2);
+
+  const n = Math.abs(lat1 - lat2) < 1e-10
+    ? Math.sin(lat1)
+    : Math.log(Math.cos(lat1) / Math.cos(lat2)) / Math.log(t(lat2) / t(lat1));
+  const F = (Math.cos(lat1) * Math.pow(t(lat1), n)) / n;
+  const rho0 = (EARTH_RADIUS * F) / Math.pow(t(lat0), n);
+
+  return (lat, lon) => {
+    const rho = (EARTH_RADIUS * F) / Math.pow(t(toRad(lat)), n);
+    const theta = n * (toRad(lon) - lon0);
+    return {
+      x: def.x0 + rho * Math.sin(theta),
+      y: def.y0 + rho0 - rho * Math.cos(theta)
+    };
+  };
+};
+
+const isGeographicBBox = ([minX, minY, maxX, maxY]) =>
+  minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90;
+
+const loadRaster = async (dir, soilClass) => {
+  const tiff = await fromFile(path.join(dir, soilClass.file));
+  const image = await tiff.getImage();
+  const [band] = await image.readRasters();
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  const nodata = image.getGDALNoData();
+
+  return {
+    key: soilClass.key,
+    texture: soilClass.texture,
+    permeability: soilClass.permeability,
+    data: band,
+    width: image.getWidth(),
+    height: image.getHeight(),
+    bbox: image.getBoundingBox(),
+    originX,
+    originY,
+    resX,
+    resY,
+    nodata: nodata === null ? null : Number(nodata)
+  };
+};
+
+// Initialize soil rasters: open every class GeoTIFF and keep its band in memory
+const initSoils = async (options = {}) => {
+  if (loadPromise && !options.reload) return loadPromise;
+
+  const dir = options.dir || __dirname;
+
+  loadPromise = (async () => {
+    console.log("Initializing soil rasters...");
+    try {
+      const loaded = await Promise.all(SOIL_CLASSES.map(cls => loadRaster(dir, cls)));
+      const projected = !isGeographicBBox(loaded[0].bbox);
+      projection = createProjector(
+        options.projection || readProjectionFromEnv() || (projected ? DEFAULT_PROJECTION : { type: "geographic" })
+      );
+      rasters = loaded;
+      console.log(`Loaded ${rasters.length} soil rasters (${rasters[0].width}x${rasters[0].height})`);
+    } catch (err) {
+      // Keep serving with the estimation fallback
+      rasters = [];
+      projection = null;
+      console.warn("Soil rasters unavailable:", err.message);
+    }
+    return rasters.length > 0;
+  })();
+
+  return loadPromise;
+};
+
+const isSoilRasterLoaded = () => rasters.length > 0;
+
+const readCell = (raster, col, row) => {
+  if (col < 0 || row < 0 || col >= raster.width || row >= raster.height) return null;
+  const v = raster.data[row * raster.width + col];
+  if (!Number.isFinite(v) || (raster.nodata !== null && v === raster.nodata)) return null;
+  return v;
+};
+
+/**
+ * Sample a single raster at a grid coordinate
+ * @param {object} raster - Loaded raster
+ * @param {number} x - Grid x (raster CRS)
+ * @param {number} y - Grid y (raster CRS)
+ * @param {string} method - "nearest" or "bilinear"
+ * @returns {number|null} Cell value, or null for nodata / outside the raster
+ */
+const sampleRaster = (raster, x, y, method = "nearest") => {
+  // fractional pixel position measured from cell centres
+  const px = (x - raster.originX) / raster.resX - 0.5;
+  const py = (y - raster.originY) / raster.resY - 0.5;
+
+  if (method !== "bilinear") {
+    return readCell(raster, Math.round(px), Math.round(py));
+  }
+
+  const c0 = Math.floor(px);
+  const r0 = Math.floor(py);
+  const fx = px - c0;
+  const fy = py - r0;
+
+  // Weighted average over valid neighbours; nodata cells drop out and the weights renormalise
+  let sum = 0;
+  let weight = 0;
+  for (const [dc, dr, w] of [
+    [0, 0, (1 - fx) * (1 - fy)],
+    [1, 0, fx * (1 - fy)],
+    [0, 1, (1 - fx) * fy],
+    [1, 1, fx * fy]
+  ]) {
+    const v = readCell(raster, c0 + dc, r0 + dr);
+    if (v !== null && w > 0) {
+      sum += v * w;
+      weight += w;
+    }
+  }
+
+  return weight > 0 ? sum / weight : null;
+};
+
+/**
+ * Get soil class fractions for a location from the rasters
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options - { method: "nearest" | "bilinear" }
+ * @returns {object|null} Fractions (0..1) per class, or null without coverage
+ */
+const getSoilFractions = (lat, lon, options = {}) => {
+  if (!isSoilRasterLoaded()) return null;
+
+  const method = options.method === "bilinear" ? "bilinear" : "nearest";
+  const { x, y } = projection(lat, lon);
+
+  const fractions = {};
+  let total = 0;
+  for (const raster of rasters) {
+    const v = sampleRaster(raster, x, y, method);
+    if (v === null) return null;
+    fractions[raster.key] = Math.max(0, v) / FRACTION_SCALE;
+    total += fractions[raster.key];
+  }
+
+  if (total < MIN_COVERAGE) return null;
+
+  return fractions;
+};
+
+/**
+ * Derive clay/sand/silt percentages from the raster class fractions
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options - { method: "nearest" | "bilinear" }
+ * @returns {object|null} { clay, sand, silt, permeability, fraction_class, fractions, sampling } or null
+ */
+const getRasterSoilComposition = (lat, lon, options = {}) => {
+  const fractions = getSoilFractions(lat, lon, options);
+  if (!fractions) return null;
+
+  let total = 0;
+  let clay = 0;
+  let sand = 0;
+  let silt = 0;
+  let logPermeability = 0;
+  let dominant = null;
+
+  for (const raster of rasters) {
+    const f = fractions[raster.key];
+    total += f;
+    clay += f * raster.texture.clay;
+    sand += f * raster.texture.sand;
+    silt += f * raster.texture.silt;
+    logPermeability += f * Math.log(raster.permeability);
+    if (!dominant || f > fractions[dominant]) dominant = raster.key;
+  }
+
+  const round = (v) => Number(v.toFixed(1));
+  const roundedFractions = {};
+  for (const key of Object.keys(fractions)) {
+    roundedFractions[key] = Number(fractions[key].toFixed(4));
+  }
+
+  return {
+    clay: round(clay / total),
+    sand: round(sand / total),
+    silt: round(silt / total),
+    // conductivities average geometrically across a mixture
+    permeability: round(Math.exp(logPermeability / total)),
+    fraction_class: dominant,
+    fractions: roundedFractions,
+    sampling: options.method === "bilinear" ? "bilinear" : "nearest"
+  };
 };
 
 /**
@@ -19,9 +277,9 @@ const initSoils = async () => {
  * @returns {object} Soil properties including clay, sand, silt, cohesion, friction angle, etc.
  */
 const getSoilProperties = (lat, lon, depth = 2.5) => {
-  // Simple deterministic model based on coordinates
-  // In production, this would read from GeoTIFF rasters
-  
+  // Simple deterministic model based on coordinates, with texture taken from
+  // the rasters wherever they have coverage
+
   const absLat = Math.abs(lat);
   const absLon = Math.abs(lon);
   const noise = (absLat * absLon * 1000) % 20;
@@ -60,6 +318,15 @@ const getSoilProperties = (lat, lon, depth = 2.5) => {
     friction_angle = 28;
   }
 
+  const rasterSoil = getRasterSoilComposition(lat, lon);
+  if (rasterSoil) {
+    clay = rasterSoil.clay;
+    sand = rasterSoil.sand;
+    silt = rasterSoil.silt;
+    soilType = rasterSoil.fraction_class;
+    permeability = rasterSoil.permeability;
+  }
+
   // Adjust for depth
   if (depth > 1) {
     clay = Math.min(clay * 1.05, 60);
@@ -75,6 +342,7 @@ const getSoilProperties = (lat, lon, depth = 2.5) => {
     phi: friction_angle, // Friction angle in degrees
     permeability, // in mm/h
     gamma, // Unit weight in kN/m³
+    source: rasterSoil ? "Soil Class Rasters" : "Estimated"
   };
 };
 
@@ -108,6 +376,10 @@ const detectSoilType = (clay, sand, silt) => {
 
 module.exports = {
   initSoils,
+  isSoilRasterLoaded,
+  sampleRaster,
+  getSoilFractions,
+  getRasterSoilComposition,
   getSoilProperties,
   detectSoilType,
 };
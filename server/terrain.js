@@ -0,0 +1,293 @@
+/**
+ * Terrain Module
+ * Elevations and elevation windows around a point (local DEM GeoTIFF or the
+ * elevation provider, see providers.js) and terrain derivatives: Horn slope/aspect,
+ * Zevenbergen–Thorne plan/profile curvature and D8 upslope contributing area
+ */
+
+const { fromFile } = require("geotiff");
+const { getProvider, fetchedAt } = require("./providers");
+
+// Window of size x size cells spaced resolution metres apart
+const DEFAULT_TERRAIN = {
+  window: 5,
+  resolution: 90 // m, native spacing of the Copernicus GLO-90 DEM behind Open-Meteo
+};
+
+const MIN_WINDOW = 3;
+const MAX_WINDOW = 9; // one elevation API request (81 of its 100 coordinates)
+const MIN_RESOLUTION = 10;
+const MAX_RESOLUTION = 1000;
+
+const METERS_PER_DEG_LAT = 111320; // approximate
+
+let dem = null;
+
+/**
+ * Validate the per-request terrain options
+ * @param {object} raw - { window, resolution }
+ * @returns {object} Options merged with DEFAULT_TERRAIN
+ * @throws {Error} When a value is out of range
+ */
+const parseTerrainOptions = (raw) => {
+  if (raw === undefined || raw === null) return DEFAULT_TERRAIN;
+  if (typeof raw !== "object") throw new Error("terrain must be an object");
+
+  const opts = { ...DEFAULT_TERRAIN, ...raw };
+  opts.window = Number(opts.window);
+  opts.resolution = Number(opts.resolution);
+  if (!Number.isInteger(opts.window) || opts.window % 2 === 0 || opts.window < MIN_WINDOW || opts.window > MAX_WINDOW) {
+    throw new Error(`window must be an odd integer between ${MIN_WINDOW} and ${MAX_WINDOW}`);
+  }
+  if (!(opts.resolution >= MIN_RESOLUTION && opts.resolution <= MAX_RESOLUTION)) {
+    throw new Error(`resolution must be between ${MIN_RESOLUTION} and ${MAX_RESOLUTION} m`);
+  }
+  return opts;
+};
+
+/**
+ * Load a local DEM GeoTIFF (geographic WGS84 grid) to sample instead of the API
+ * @param {string} filePath - Defaults to the DEM_PATH environment variable
+ * @returns {Promise<boolean>} Whether a DEM is loaded
+ */
+const initDem = async (filePath = process.env.DEM_PATH) => {
+  if (!filePath) return false;
+  try {
+    const tiff = await fromFile(filePath);
+    const image = await tiff.getImage();
+    const [band] = await image.readRasters();
+    const [originX, originY] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    const nodata = image.getGDALNoData();
+    dem = {
+      path: filePath,
+      data: band,
+      width: image.getWidth(),
+      height: image.getHeight(),
+      originX,
+      originY,
+      resX,
+      resY,
+      nodata: nodata === null ? null : Number(nodata)
+    };
+    console.log(`Loaded DEM ${filePath} (${dem.width}x${dem.height})`);
+  } catch (err) {
+    dem = null;
+    console.warn("DEM unavailable:", err.message);
+  }
+  return dem !== null;
+};
+
+const isDemLoaded = () => dem !== null;
+
+const readDemCell = (col, row) => {
+  if (col < 0 || row < 0 || col >= dem.width || row >= dem.height) return null;
+  const v = dem.data[row * dem.width + col];
+  if (!Number.isFinite(v) || (dem.nodata !== null && v === dem.nodata)) return null;
+  return v;
+};
+
+// Bilinear elevation from the local DEM, or null outside it / next to nodata
+const sampleDem = (lat, lon) => {
+  if (!dem) return null;
+  const px = (lon - dem.originX) / dem.resX - 0.5;
+  const py = (lat - dem.originY) / dem.resY - 0.5;
+  const c0 = Math.floor(px);
+  const r0 = Math.floor(py);
+  const fx = px - c0;
+  const fy = py - r0;
+
+  const v00 = readDemCell(c0, r0);
+  const v10 = readDemCell(c0 + 1, r0);
+  const v01 = readDemCell(c0, r0 + 1);
+  const v11 = readDemCell(c0 + 1, r0 + 1);
+  if (v00 === null || v10 === null || v01 === null || v11 === null) return null;
+
+  return v00 * (1 - fx) * (1 - fy) + v10 * fx * (1 - fy) + v01 * (1 - fx) * fy + v11 * fx * fy;
+};
+
+/**
+ * Coordinates of a size x size window centred on a point, rows north to south
+ * @returns {object} { points: [{ lat, lon }], dx, dy } with spacing in metres
+ */
+const windowCoordinates = (lat, lon, { window, resolution }) => {
+  const half = (window - 1) / 2;
+  const metersPerDegLon = METERS_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  const dLat = resolution / METERS_PER_DEG_LAT;
+  const dLon = resolution / metersPerDegLon;
+
+  const points = [];
+  for (let r = -half; r <= half; r++) {
+    for (let c = -half; c <= half; c++) {
+      points.push({ lat: lat - r * dLat, lon: lon + c * dLon });
+    }
+  }
+  return { points, dx: resolution, dy: resolution };
+};
+
+// The elevation API accepts up to 100 coordinates per request
+const ELEVATION_BATCH = 100;
+
+/**
+ * Elevations (m) for a list of points, from the local DEM where it covers all of
+ * them, otherwise from the elevation provider in batches of ELEVATION_BATCH
+ * @param {object[]} points - [{ lat, lon }]
+ * @returns {Promise<object>} { values: number[], source, fetched_at } (fetched_at: the oldest
+ *   response's fetch time, null for the local DEM)
+ */
+const getElevations = async (points) => {
+  if (dem) {
+    const sampled = points.map(p => sampleDem(p.lat, p.lon));
+    if (sampled.every(v => v !== null)) return { values: sampled, source: "Local DEM", fetched_at: null };
+  }
+
+  const provider = getProvider("elevation");
+  const values = [];
+  const fetchTimes = [];
+  for (let i = 0; i < points.length; i += ELEVATION_BATCH) {
+    const batch = await provider.elevations(points.slice(i, i + ELEVATION_BATCH));
+    values.push(...batch);
+    fetchTimes.push(fetchedAt(batch));
+  }
+  const known = fetchTimes.filter(Boolean).sort();
+  return { values, source: provider.name, fetched_at: known.length ? known[0] : null };
+};
+
+/**
+ * Elevation window around a point, from the local DEM where it covers the whole
+ * window, otherwise from the elevation provider
+ * @returns {Promise<object>} { grid: number[][], size, dx, dy, source, fetched_at }
+ */
+const getElevationGrid = async (lat, lon, options = DEFAULT_TERRAIN) => {
+  const { points, dx, dy } = windowCoordinates(lat, lon, options);
+  const size = options.window;
+  const { values, source, fetched_at } = await getElevations(points);
+
+  const grid = [];
+  for (let r = 0; r < size; r++) {
+    grid.push(values.slice(r * size, (r + 1) * size));
+  }
+
+  return { grid, size, dx, dy, source, fetched_at };
+};
+
+/**
+ * Horn (1981) gradient from the 3x3 neighbourhood of the centre cell
+ * @returns {object} { dzdx, dzdy } with x east and y north (m/m)
+ */
+const hornGradient = (grid, dx, dy) => {
+  const m = (grid.length - 1) / 2;
+  const a = grid[m - 1][m - 1], b = grid[m - 1][m], c = grid[m - 1][m + 1];
+  const d = grid[m][m - 1], f = grid[m][m + 1];
+  const g = grid[m + 1][m - 1], h = grid[m + 1][m], i = grid[m + 1][m + 1];
+
+  return {
+    dzdx: ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * dx),
+    // rows run north to south, so north minus south
+    dzdy: ((a + 2 * b + c) - (g + 2 * h + i)) / (8 * dy)
+  };
+};
+
+/**
+ * Zevenbergen & Thorne (1987) curvatures at the centre cell (1/m)
+ * Both are positive on convex ground and negative on concave ground: profile
+ * curvature along the fall line (convex = flow accelerates), plan curvature
+ * across it (concave hollows = contours converge and concentrate flow).
+ */
+const curvature = (grid, dx, dy) => {
+  const m = (grid.length - 1) / 2;
+  const a = grid[m - 1][m - 1], b = grid[m - 1][m], c = grid[m - 1][m + 1];
+  const d = grid[m][m - 1], e = grid[m][m], f = grid[m][m + 1];
+  const g = grid[m + 1][m - 1], h = grid[m + 1][m], i = grid[m + 1][m + 1];
+
+  const D = ((d + f) / 2 - e) / (dx * dx);
+  const E = ((b + h) / 2 - e) / (dy * dy);
+  const F = (-a + c + g - i) / (4 * dx * dy);
+  const G = (f - d) / (2 * dx);
+  const H = (b - h) / (2 * dy);
+
+  const p = G * G + H * H;
+  if (p < 1e-12) return { plan: 0, profile: 0 };
+
+  return {
+    profile: (-2 * (D * G * G + E * H * H + F * G * H)) / p,
+    plan: (-2 * (D * H * H + E * G * G - F * G * H)) / p
+  };
+};
+
+/**
+ * D8 upslope contributing area of the centre cell within the window (m²)
+ * Every cell drains to its steepest lower neighbour; areas accumulate downhill.
+ * Area beyond the window edge is not seen, so this is a lower bound.
+ */
+const contributingArea = (grid, dx, dy) => {
+  const n = grid.length;
+  const cellArea = dx * dy;
+  const acc = grid.map(row => row.map(() => cellArea));
+
+  const cells = [];
+  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) cells.push([r, c]);
+  cells.sort((p, q) => grid[q[0]][q[1]] - grid[p[0]][p[1]]);
+
+  for (const [r, c] of cells) {
+    let best = null;
+    let bestDrop = 0;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        const rr = r + dr;
+        const cc = c + dc;
+        if (rr < 0 || cc < 0 || rr >= n || cc >= n) continue;
+        const dist = Math.hypot(dr * dy, dc * dx);
+        const drop = (grid[r][c] - grid[rr][cc]) / dist;
+        if (drop > bestDrop) {
+          bestDrop = drop;
+          best = [rr, cc];
+        }
+      }
+    }
+    if (best) acc[best[0]][best[1]] += acc[r][c];
+  }
+
+  const m = (n - 1) / 2;
+  return acc[m][m];
+};
+
+/**
+ * Terrain attributes at the centre of an elevation window
+ * @param {number[][]} grid - Elevations (m), rows north to south, odd size >= 3
+ * @param {number} dx - East-west spacing (m)
+ * @param {number} dy - North-south spacing (m)
+ * @returns {object} { slope, aspect, plan_curvature, profile_curvature, contributing_area }
+ */
+const analyseTerrain = (grid, dx, dy) => {
+  const { dzdx, dzdy } = hornGradient(grid, dx, dy);
+  const gradient = Math.sqrt(dzdx * dzdx + dzdy * dzdy);
+  const slopeDeg = Math.atan(gradient) * (180 / Math.PI);
+
+  // Aspect: compass direction the slope faces (direction of steepest descent)
+  let aspect = null;
+  if (gradient > 1e-6) {
+    aspect = (Math.atan2(-dzdx, -dzdy) * (180 / Math.PI) + 360) % 360;
+  }
+
+  const { plan, profile } = curvature(grid, dx, dy);
+
+  return {
+    slope: Number(slopeDeg.toFixed(2)),
+    aspect: aspect === null ? null : Number(aspect.toFixed(1)),
+    plan_curvature: Number(plan.toFixed(5)),
+    profile_curvature: Number(profile.toFixed(5)),
+    contributing_area: Math.round(contributingArea(grid, dx, dy))
+  };
+};
+
+module.exports = {
+  DEFAULT_TERRAIN,
+  parseTerrainOptions,
+  initDem,
+  isDemLoaded,
+  getElevations,
+  getElevationGrid,
+  analyseTerrain,
+};
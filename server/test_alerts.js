@@ -0,0 +1,243 @@
+const assert = require('assert');
+const http = require('http');
+const { SMTPServer } = require('smtp-server');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Fixture providers keep the evaluations offline; retries are due at once
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+process.env.ALERT_RETRY_BASE_MS = '1';
+process.env.ALERT_MAX_ATTEMPTS = '3';
+delete process.env.MONGODB_URI;
+
+const { app } = require('./index');
+const { connectPredictionStore, disconnectPredictionStore } = require('./predictionStore');
+const { createSiteScheduler, evaluateAndRecord, getSite } = require('./monitoredSites');
+const { parseAlertRule, stepCondition, checkAlertRules, retryDeliveries, getRule } = require('./alerts');
+const { formatAlertMessage, signPayload, sendAlert, parseDeliveryQuery, logDeliveries, claimDueDeliveries } = require('./alertDelivery');
+
+console.log('Running alert tests...');
+
+const request = async (base, method, url, body) => {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+};
+
+// Local mock receivers: a webhook endpoint (answering failNext requests with 500) and an SMTP server
+const startWebhookReceiver = async () => {
+  const receiver = { requests: [], failNext: 0 };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, raw: body, body: JSON.parse(body) });
+      res.statusCode = receiver.failNext > 0 ? 500 : 204;
+      if (receiver.failNext > 0) receiver.failNext--;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, resolve));
+  receiver.url = `http://localhost:${receiver.server.address().port}/hook`;
+  return receiver;
+};
+
+const startSmtpReceiver = async () => {
+  const receiver = { messages: [] };
+  receiver.server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      let data = '';
+      stream.on('data', (chunk) => { data += chunk; });
+      stream.on('end', () => {
+        receiver.messages.push({ to: session.envelope.rcptTo.map(r => r.address), data });
+        callback();
+      });
+    }
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `smtp://127.0.0.1:${receiver.server.server.address().port}`;
+  return receiver;
+};
+
+const evaluation = (FoS, risk_level = 'Low', status = 200) => ({ status, FoS, risk_level, evaluated_at: new Date() });
+
+(async () => {
+  // Test 1: rule validation
+  const rule = parseAlertRule({
+    name: ' Wayanad slopes ',
+    bbox: [75.7, 11.4, 76.5, 11.9],
+    condition: { type: 'fos', below: 1.2 },
+    channels: [{ type: 'webhook', url: 'http://localhost:9/hook', secret: 's3cret' }, { type: 'email', to: 'ops@example.com' }]
+  });
+  assert.strictEqual(rule.name, 'Wayanad slopes');
+  assert.deepStrictEqual(rule.scope, { site: null, bbox: [75.7, 11.4, 76.5, 11.9] });
+  assert.deepStrictEqual(rule.condition, { type: 'fos', below: 1.2, hysteresis: 0.1 });
+  assert.deepStrictEqual(rule.channels[1], { type: 'email', to: ['ops@example.com'] });
+  const valid = { name: 'r', siteId: '0123456789abcdef01234567', condition: { type: 'risk_level', atLeast: 'High' }, channels: [{ type: 'email', to: ['a@b.co'] }] };
+  assert.deepStrictEqual(parseAlertRule(valid).condition, { type: 'risk_level', atLeast: 'High', clearAfter: 2 });
+  assert.throws(() => parseAlertRule({ ...valid, bbox: [0, 0, 1, 1] }), /give either siteId or bbox/);
+  assert.throws(() => parseAlertRule({ ...valid, condition: { type: 'risk_level', atLeast: 'Low' } }), /atLeast must be one of Medium, High, Extreme/);
+  assert.throws(() => parseAlertRule({ ...valid, condition: { type: 'fos', below: 0 } }), /below must be a positive FoS/);
+  assert.throws(() => parseAlertRule({ ...valid, channels: [] }), /channels must be a list of 1 to 10/);
+  assert.throws(() => parseAlertRule({ ...valid, channels: [{ type: 'webhook', url: 'ftp://x' }] }), /channels\[0\]\.url must be an http\(s\) URL/);
+  assert.throws(() => parseAlertRule({ ...valid, channels: [{ type: 'email', to: ['nobody'] }] }), /channels\[0\]\.to must be an email address/);
+  assert.throws(() => parseDeliveryQuery({ status: 'lost' }), /status must be one of pending, delivered, failed/);
+
+  // Test 2: hysteresis - FoS hovering at the threshold fires once
+  const fos = { type: 'fos', below: 1.2, hysteresis: 0.1 };
+  let state;
+  const events = [];
+  for (const value of [1.35, 1.19, 1.21, 1.18, 1.25, 1.31, 1.19]) {
+    const step = stepCondition(fos, state, evaluation(value));
+    state = step.state;
+    events.push(step.event);
+  }
+  assert.deepStrictEqual(events, [null, 'triggered', null, null, null, 'resolved', 'triggered']);
+  assert.deepStrictEqual(stepCondition(fos, undefined, evaluation(null, null, 422)).event, null, 'Withheld verdicts are ignored');
+
+  const risk = { type: 'risk_level', atLeast: 'High', clearAfter: 2 };
+  state = undefined;
+  events.length = 0;
+  for (const level of ['Medium', 'High', 'Medium', 'Extreme', 'Medium', 'Low', 'High']) {
+    const step = stepCondition(risk, state, evaluation(1, level));
+    state = step.state;
+    events.push(step.event);
+  }
+  assert.deepStrictEqual(events, [null, 'triggered', null, null, null, 'resolved', 'triggered']);
+  assert.strictEqual(stepCondition(risk, undefined, evaluation(1000, 'N/A (water body)')).event, null);
+
+  // Test 3: transports against local mock receivers
+  const hook = await startWebhookReceiver();
+  const smtp = await startSmtpReceiver();
+  const payload = {
+    event: 'triggered',
+    message: 'Puthumala: FoS 1.05',
+    rule: { id: 'r1', name: 'Wayanad slopes', condition: 'FoS below 1.2' },
+    site: { id: 's1', name: 'Puthumala', lat: 11.5, lng: 76.15 },
+    evaluation: { evaluated_at: new Date(), FoS: 1.05, risk_level: 'High', warning: 'Warning' },
+    timestamp: new Date().toISOString()
+  };
+  assert.match(formatAlertMessage(payload).subject, /^\[Landslide alert\] Wayanad slopes: Puthumala: FoS 1.05$/);
+
+  await sendAlert({ type: 'webhook', url: hook.url, secret: 's3cret' }, payload);
+  assert.strictEqual(hook.requests[0].headers['x-alert-event'], 'triggered');
+  assert.strictEqual(hook.requests[0].headers['x-alert-signature'], signPayload(hook.requests[0].raw, 's3cret'));
+  assert.deepStrictEqual(hook.requests[0].body.site, payload.site);
+  hook.failNext = 1;
+  await assert.rejects(sendAlert({ type: 'webhook', url: hook.url }, payload), /webhook answered HTTP 500/);
+
+  await assert.rejects(sendAlert({ type: 'email', to: ['ops@example.com'] }, payload), /SMTP is not configured/);
+  process.env.SMTP_URL = smtp.url;
+  await sendAlert({ type: 'email', to: ['ops@example.com', 'geo@example.com'] }, payload);
+  assert.deepStrictEqual(smtp.messages[0].to, ['ops@example.com', 'geo@example.com']);
+  assert(smtp.messages[0].data.includes('Site: Puthumala (11.5, 76.15)'));
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  let mongod = null;
+  try {
+    // Test 4: without a store the endpoints answer 503 (after validation)
+    assert.strictEqual((await request(base, 'POST', '/alerts/rules', {})).status, 400);
+    assert.strictEqual((await request(base, 'GET', '/alerts/rules')).status, 503);
+
+    // Test 5: rules fire on scheduled evaluations, with retries and a delivery log
+    mongod = await MongoMemoryServer.create();
+    await connectPredictionStore(mongod.getUri());
+
+    const site = (await request(base, 'POST', '/sites', { name: 'Puthumala', lat: 11.5, lng: 76.15 })).body;
+    assert.strictEqual((await request(base, 'POST', '/alerts/rules', { ...valid, siteId: '0123456789abcdef01234567' })).status, 400, 'The site must exist');
+
+    const created = await request(base, 'POST', '/alerts/rules', {
+      name: 'Wayanad slopes',
+      bbox: [75.7, 11.4, 76.5, 11.9],
+      condition: { type: 'fos', below: 1.2 },
+      channels: [{ type: 'webhook', url: hook.url, secret: 's3cret' }, { type: 'email', to: 'ops@example.com' }]
+    });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.body.channels[0], { type: 'webhook', url: hook.url, signed: true }, 'Secrets are not returned');
+    const elsewhere = await request(base, 'POST', '/alerts/rules', {
+      name: 'Idukki', bbox: [76.8, 9.6, 77.3, 10.2], condition: { type: 'fos', below: 5 }, channels: [{ type: 'webhook', url: hook.url }]
+    });
+
+    // Scripted FoS readings through the real scheduler and alert hook
+    const readings = [1.1, 1.15, 1.4];
+    const scripted = async () => ({ status: 200, FoS: readings.shift(), risk_level: 'High', warning: 'Warning' });
+    const scheduler = createSiteScheduler({ evaluate: scripted, onRecorded: checkAlertRules, afterRun: retryDeliveries });
+    hook.requests.length = 0;
+    smtp.messages.length = 0;
+    hook.failNext = 1;
+    assert.strictEqual(await scheduler.runDue(), 1);
+    assert.strictEqual(hook.requests.length, 2, 'First attempt failed, the retry in the same run delivered');
+    assert.strictEqual(hook.requests[1].body.event, 'triggered');
+    assert.strictEqual(smtp.messages.length, 1);
+
+    const stored = await getSite(site.id);
+    await evaluateAndRecord(stored, scripted, checkAlertRules);
+    assert.strictEqual(hook.requests.length, 2, 'Still below the threshold: no new alert');
+    await evaluateAndRecord(stored, scripted, checkAlertRules);
+    assert.strictEqual(hook.requests[2].body.event, 'resolved');
+
+    const log = await request(base, 'GET', `/alerts/deliveries?rule=${created.body.id}`);
+    assert.strictEqual(log.body.deliveries.length, 4);
+    const retried = log.body.deliveries.find(d => d.event === 'triggered' && d.channel.type === 'webhook');
+    assert.strictEqual(retried.status, 'delivered');
+    assert.strictEqual(retried.attempts, 2);
+    assert.strictEqual(retried.last_error, null);
+    assert.strictEqual((await request(base, 'GET', `/alerts/deliveries?rule=${elsewhere.body.id}`)).body.deliveries.length, 0, 'Sites outside the bbox are not covered');
+
+    // Test 6: test-fire reports each channel; a dead endpoint fails after the last retry
+    const fired = await request(base, 'POST', `/alerts/rules/${created.body.id}/test`);
+    assert.strictEqual(fired.body.delivered, 2);
+    assert.strictEqual(hook.requests[hook.requests.length - 1].body.event, 'test');
+
+    // A new delivery is leased to its first attempt, so the retry pass cannot send it too
+    const logged = await logDeliveries({ id: created.body.id, name: 'Wayanad slopes', channels: [{ type: 'webhook', url: hook.url }] }, 'test', { event: 'test' });
+    assert(logged[0].next_attempt_at > new Date(), 'Not due before the lease runs out');
+    assert.deepStrictEqual(await claimDueDeliveries(), []);
+
+    const dead = await request(base, 'POST', '/alerts/rules', {
+      name: 'Dead end', siteId: site.id, condition: { type: 'risk_level', atLeast: 'High' }, channels: [{ type: 'webhook', url: 'http://127.0.0.1:9/none' }]
+    });
+    const failing = await request(base, 'POST', `/alerts/rules/${dead.body.id}/test`);
+    assert.strictEqual(failing.body.failed, 1);
+    assert.strictEqual(failing.body.deliveries[0].status, 'pending');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await retryDeliveries();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await retryDeliveries();
+    const failed = await request(base, 'GET', `/alerts/deliveries?rule=${dead.body.id}&status=failed`);
+    assert.strictEqual(failed.body.deliveries[0].attempts, 3);
+    assert.match(failed.body.deliveries[0].last_error, /webhook unreachable/);
+
+    assert.strictEqual((await request(base, 'DELETE', `/alerts/rules/${dead.body.id}`)).status, 204);
+    assert.strictEqual((await request(base, 'GET', `/alerts/rules/${dead.body.id}`)).status, 404);
+    assert.deepStrictEqual((await request(base, 'GET', '/alerts/rules')).body.rules.map(r => r.name), ['Wayanad slopes', 'Idukki']);
+
+    // Test 7: deleting a site deletes its rules and its state in bbox rules
+    await request(base, 'POST', '/alerts/rules', { ...valid, name: 'Puthumala only', siteId: site.id });
+    assert(site.id in (await getRule(created.body.id)).state);
+    assert.strictEqual((await request(base, 'DELETE', `/sites/${site.id}`)).status, 204);
+    const remaining = (await request(base, 'GET', '/alerts/rules')).body.rules;
+    assert.deepStrictEqual(remaining.map(r => r.name), ['Wayanad slopes', 'Idukki']);
+    assert.deepStrictEqual(remaining[0].state, {}, 'The bbox rule forgets the site');
+  } finally {
+    server.close();
+    hook.server.close();
+    smtp.server.close();
+    await disconnectPredictionStore();
+    if (mongod) await mongod.stop();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
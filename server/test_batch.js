@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+// Fixture providers keep the endpoint test offline
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+
+const { MAX_CONCURRENCY, parseBatchRequest, siteKey, createThrottle, mapWithConcurrency } = require('./batch');
+const { app } = require('./index');
+const { registerProvider, initProviders, getProvider } = require('./providers');
+
+console.log('Running batch prediction tests...');
+
+(async () => {
+  // Test 1: shared options merge with per-point overrides
+  const batch = parseBatchRequest({
+    model: 'infinite-slope',
+    depth: 2,
+    concurrency: 2,
+    points: [
+      { id: 'school', lat: 10.1, lng: 76.9 },
+      { lat: 10.2, lng: 77.0, depth: 4, landCover: { class: 'cropland' } }
+    ]
+  });
+  assert.strictEqual(batch.concurrency, 2);
+  assert.deepStrictEqual(batch.points[0], { index: 0, id: 'school', body: { model: 'infinite-slope', depth: 2, lat: 10.1, lng: 76.9 } });
+  assert.strictEqual(batch.points[1].id, '1', 'Points without an id use their index');
+  assert.strictEqual(batch.points[1].body.depth, 4, 'Per-point depth overrides the shared depth');
+  assert.strictEqual(parseBatchRequest({ points: [{ lat: 1, lng: 2 }] }).concurrency, 4);
+
+  assert.throws(() => parseBatchRequest({}), /non-empty array/);
+  assert.throws(() => parseBatchRequest({ points: [5] }), /points\[0\] must be an object/);
+  assert.throws(() => parseBatchRequest({ points: [{ points: [] }] }), /cannot set points/);
+  assert.throws(() => parseBatchRequest({ points: [{}], concurrency: MAX_CONCURRENCY + 1 }), /concurrency/);
+  assert.throws(() => parseBatchRequest({ points: new Array(10000).fill({}) }), /at most/);
+
+  // Test 2: sites are identical when coordinates and site-input fields match
+  assert.strictEqual(siteKey(10.1, 76.9, { depth: 2 }), siteKey('10.1000001', 76.9, { depth: 5, model: 'all' }),
+    'Depth and model do not change the site inputs');
+  assert.notStrictEqual(siteKey(10.1, 76.9, {}), siteKey(10.1, 76.9, { date: '2018-08-16' }));
+  assert.notStrictEqual(siteKey(10.1, 76.9, {}), siteKey(10.1, 76.9, { manualRain: 20 }));
+
+  // Test 3: bounded concurrency keeps the item order
+  let running = 0;
+  let peak = 0;
+  const out = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return i;
+  });
+  assert.deepStrictEqual(out, [0, 1, 2, 3, 4]);
+  assert.strictEqual(peak, 2, 'At most two workers at once');
+
+  // Test 4: the throttle spaces out starts
+  const throttle = createThrottle(25);
+  const t0 = Date.now();
+  const starts = [];
+  await Promise.all([0, 1, 2].map(() => throttle().then(() => starts.push(Date.now() - t0))));
+  console.log('Throttled starts (ms):', starts);
+  assert(starts[2] >= 45, 'Third start waits for two intervals');
+
+  // Test 5: an archive outage fails only the replayed points, labelled as such
+  const fixture = getProvider('weather');
+  registerProvider('weather', 'no-archive', {
+    ...fixture,
+    archive: async () => { throw new Error('archive timed out'); }
+  });
+  initProviders({ mode: 'fixture', overrides: { weather: 'no-archive' }, cache: false });
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const res = await fetch(`http://localhost:${server.address().port}/predict/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ points: [{ id: 'now', lat: 10.12, lng: 76.95 }, { id: 'replay', lat: 10.12, lng: 76.95, date: '2018-08-15' }] })
+    });
+    const { results } = await res.json();
+    assert.strictEqual(results[0].ok, true);
+    assert.strictEqual(results[1].status, 502);
+    assert.strictEqual(results[1].error, 'Historical weather unavailable');
+  } finally {
+    server.close();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
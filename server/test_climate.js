@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeArrayBuffer } = require('geotiff');
+
+// Start without a grid; Test 4 loads the bundled one
+process.env.KOPPEN_PATH = '/nonexistent/koppen.tif';
+
+const { initClimate, isClimateGridLoaded, getClimate, defaultClimate } = require('./climate');
+const { calculateRisk } = require('./index');
+const { rasterizeZones, clipZoneGrid, writeZoneGrid } = require('./koppenGrid');
+
+console.log('Running climate zone tests...');
+
+(async () => {
+  // Test 1: without a grid every point gets the default zone with the baseline humidity
+  assert.strictEqual(await initClimate('/nonexistent/koppen.tif'), false);
+  assert.strictEqual(isClimateGridLoaded(), false);
+  for (const [lat, lon] of [[10.0, 76.5], [26.5, 92.0], [27.0, 71.0]]) {
+    const climate = await getClimate(lat, lon);
+    assert.strictEqual(climate.code, 'Am', 'No zone is guessed from the latitude');
+    assert.strictEqual(climate.source, 'Default');
+    assert.strictEqual(climate.humidity, 70);
+  }
+
+  // Test 2: zones are read from a Köppen–Geiger class grid when one is present
+  // 2x2 grid over 70-90°E, 10-30°N: Cwa (11) and BWh (4) in the north, Am (2) and Aw (3) in the south
+  const file = path.join(os.tmpdir(), `koppen_test_${process.pid}.tif`);
+  const buf = writeArrayBuffer(new Uint8Array([11, 4, 2, 3]), {
+    width: 2, height: 2, ModelPixelScale: [10, 10, 0], ModelTiepoint: [0, 0, 0, 70, 30, 0],
+    GeographicTypeGeoKey: 4326, BitsPerSample: [8], SampleFormat: [1]
+  });
+  fs.writeFileSync(file, Buffer.from(buf));
+  try {
+    assert.strictEqual(await initClimate(file), true, 'Grid should load');
+    const kerala = await getClimate(12, 76);
+    const thar = await getClimate(26, 85);
+    console.log('Grid zones:', kerala.zone, '|', thar.zone);
+    assert.strictEqual(kerala.code, 'Am');
+    assert.strictEqual(kerala.source, 'Köppen-Geiger Grid');
+    assert.strictEqual(thar.code, 'BWh');
+    assert.strictEqual(thar.vegetation, 'bare', 'Deserts default to bare ground');
+    const outside = await getClimate(45, 100);
+    assert.strictEqual(outside.source, 'Default', 'Points off the grid get the default zone');
+  } finally {
+    fs.unlinkSync(file);
+  }
+
+  // Test 3: the climate zone drives the default humidity and base moisture
+  const site = { depth: 2.0, slope: 30, rain_7day: 0, clay: 30, sand: 40, silt: 30 };
+  const monsoon = calculateRisk({ ...site, climate: defaultClimate() });
+  const desert = calculateRisk({ ...site, climate: await getClimate(26, 85) });
+  console.log('Saturation monsoon:', monsoon.saturation_percent, 'desert:', desert.saturation_percent);
+  assert(desert.saturation_percent < monsoon.saturation_percent, 'Arid climates should start drier');
+  assert.strictEqual(calculateRisk(site).saturation_percent, monsoon.saturation_percent, 'Tropical monsoon is the default climate');
+  // The default climate keeps the baseline: humidity 70 when unobserved (or 0), base moisture 0.12
+  assert.strictEqual(calculateRisk({ ...site, humidity: 0 }).saturation_percent, calculateRisk({ ...site, humidity: 70 }).saturation_percent);
+  assert.strictEqual(monsoon.saturation_percent, Number(((0.12 + 0.15 * 0.7) * 100).toFixed(0)));
+
+  // Test 4: the bundled grid is loaded by default and separates the regions Kerala's zone used to cover
+  delete process.env.KOPPEN_PATH;
+  assert.strictEqual(await initClimate(), true, 'The bundled grid should load');
+  const zones = {};
+  for (const [name, lat, lon] of [
+    ['Kochi', 9.97, 76.28], ['Jaisalmer', 26.9, 70.9], ['Shimla', 31.1, 77.2], ['Spiti', 32.5, 78.0],
+    ['Leh', 34.16, 77.58], ['Guwahati', 26.14, 91.73], ['Shillong', 25.57, 91.88], ['Nagpur', 21.15, 79.09]
+  ]) zones[name] = (await getClimate(lat, lon)).code;
+  console.log('Bundled grid zones:', zones);
+  assert.deepStrictEqual(zones, {
+    Kochi: 'Am', Jaisalmer: 'BWh', Shimla: 'Cwb', Spiti: 'ET', Leh: 'BWk', Guwahati: 'Cwa', Shillong: 'Cwb', Nagpur: 'Aw'
+  });
+  assert.strictEqual((await getClimate(51.5, 0)).source, 'Default', 'Points off the bundled grid get the default zone');
+
+  // Test 5: the grid builder paints later zones over earlier ones and clips a global grid
+  const painted = rasterizeZones({
+    type: 'FeatureCollection',
+    features: [
+      { properties: { code: 'Aw' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] } },
+      { properties: { code: 'ET' }, geometry: { type: 'Polygon', coordinates: [[[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]]] } }
+    ]
+  }, { bounds: { west: 0, south: 0, east: 3, north: 2 }, res: 1 });
+  assert.deepStrictEqual(Array.from(painted.codes), [3, 29, 0, 3, 3, 0], 'Rows north first; cells outside every zone stay 0');
+  assert.throws(() => rasterizeZones({ features: [{ properties: { code: 'Xx' }, geometry: null }] }), /Unknown Köppen-Geiger zone Xx/);
+
+  const global = path.join(os.tmpdir(), `koppen_global_${process.pid}.tif`);
+  writeZoneGrid(global, painted);
+  try {
+    const clipped = await clipZoneGrid(global, { west: 1, south: 0, east: 3, north: 1 });
+    assert.deepStrictEqual([clipped.width, clipped.height, clipped.west, clipped.north], [2, 1, 1, 1]);
+    assert.deepStrictEqual(Array.from(clipped.codes), [3, 0]);
+    await assert.rejects(clipZoneGrid(global, { west: 10, south: 10, east: 20, north: 20 }), /does not cover the region/);
+  } finally {
+    fs.unlinkSync(global);
+  }
+
+  console.log('All tests passed ✅');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fromArrayBuffer } = require('geotiff');
+
+// Fixture providers keep the tests offline; tiles are cached in a scratch directory
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+process.env.TILE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hazard-tiles-'));
+
+const {
+  MAX_AREA_CELLS,
+  NO_DATA,
+  parseAreaOptions,
+  buildAreaGrid,
+  elevationLattice,
+  cellWindow,
+  weatherSamples,
+  toGeoJson,
+  toGeoTiff
+} = require('./hazardGrid');
+const { analyseTerrain } = require('./terrain');
+const { app } = require('./index');
+const { registerProvider, initProviders, getProvider } = require('./providers');
+
+console.log('Running hazard grid tests...');
+
+(async () => {
+  // Test 1: area options
+  const bboxOpts = parseAreaOptions({ bbox: [76.9, 10.0, 77.0, 10.1] });
+  assert.deepStrictEqual(bboxOpts, { bbox: [76.9, 10.0, 77.0, 10.1], polygon: null, cellSize: 250, format: 'geojson' });
+  const triangle = { type: 'Polygon', coordinates: [[[76.9, 10.0], [77.0, 10.0], [77.0, 10.1], [76.9, 10.0]]] };
+  const polyOpts = parseAreaOptions({ polygon: { type: 'Feature', geometry: triangle }, cellSize: 1000, format: 'geotiff' });
+  assert.deepStrictEqual(polyOpts.bbox, [76.9, 10.0, 77.0, 10.1], 'Polygon bounds become the bbox');
+  assert.throws(() => parseAreaOptions({}), /either bbox or polygon/);
+  assert.throws(() => parseAreaOptions({ bbox: [1, 2, 3, 4], polygon: triangle }), /either bbox or polygon/);
+  assert.throws(() => parseAreaOptions({ bbox: [77, 10, 76, 11] }), /west must be below east/);
+  assert.throws(() => parseAreaOptions({ polygon: { type: 'Point', coordinates: [1, 2] } }), /Polygon or MultiPolygon/);
+  assert.throws(() => parseAreaOptions({ bbox: [76, 10, 77, 11], cellSize: 5 }), /cellSize/);
+  assert.throws(() => parseAreaOptions({ bbox: [76, 10, 77, 11], format: 'png' }), /format/);
+
+  // Test 2: grid layout - rows north to south, cells inside the polygon only
+  const grid = buildAreaGrid(polyOpts);
+  console.log('Grid:', grid.rows, 'x', grid.cols);
+  assert.strictEqual(grid.rows, Math.ceil(0.1 / (1000 / 111320)));
+  assert(grid.cells[0].lat > grid.cells[grid.cells.length - 1].lat, 'First row is the northernmost');
+  const inside = grid.cells.filter(c => c.inside);
+  assert(inside.length > 0 && inside.length < grid.cells.length / 2 + grid.rows, 'Roughly half of the bbox lies in the triangle');
+  assert(!grid.cells[0].inside, 'North-west corner is outside the triangle');
+  // The last row overshoots the bbox's south edge, so test the row above it
+  assert(grid.cells.find(c => c.row === grid.rows - 2 && c.col === grid.cols - 1).inside, 'South-east corner is inside');
+  assert.throws(() => buildAreaGrid(parseAreaOptions({ bbox: [70, 5, 80, 15], cellSize: 30 })), new RegExp(`max ${MAX_AREA_CELLS}`));
+
+  // Test 3: per-cell terrain windows from the padded lattice
+  const lattice = elevationLattice(grid);
+  assert.strictEqual(lattice.length, (grid.rows + 2) * (grid.cols + 2));
+  // A plane rising northward by 0.5 m per m: every cell faces south at atan(0.5)
+  const elevations = lattice.map(p => (p.lat - 10) * 111320 * 0.5);
+  const cell = grid.cells[grid.cols + 3];
+  const { window, dx, dy } = cellWindow(grid, elevations, cell);
+  assert(Math.abs(window[1][1] - (cell.lat - 10) * 111320 * 0.5) < 1e-6, 'Window is centred on the cell');
+  const terrain = analyseTerrain(window, dx, dy);
+  console.log('Plane cell terrain:', terrain);
+  assert(Math.abs(terrain.slope - 26.57) < 0.05);
+  assert.strictEqual(terrain.aspect, 180);
+
+  // Test 4: cells share weather samples on a 0.1° lattice
+  const { samples, sampleOf } = weatherSamples(inside);
+  assert.strictEqual(sampleOf.length, inside.length);
+  assert(samples.length <= 4, 'A 0.1° box needs at most four samples');
+  assert(samples.every(s => Math.abs(((s.lat * 100) % 10) - 5) < 1e-6), 'Samples sit at lattice centres');
+
+  // Test 5: outputs - GeoJSON cells and a two-band GeoTIFF
+  const results = grid.cells.map((c, i) => {
+    if (!c.inside) return null;
+    if (i % 7 === 0) return { water: true, FoS: null, risk_level: 'N/A (water body)' };
+    return { water: false, FoS: 1.2, risk_level: 'High' };
+  });
+  const geojson = toGeoJson(grid, results);
+  assert.strictEqual(geojson.features.length, inside.length);
+  const [ring] = geojson.features[0].geometry.coordinates;
+  assert.strictEqual(ring.length, 5);
+  assert(geojson.features.some(f => f.properties.risk_class === 5), 'Water cells have class 5');
+  assert(geojson.features.some(f => f.properties.risk_class === 3), 'High cells have class 3');
+
+  const tiff = toGeoTiff(grid, results);
+  const image = await (await fromArrayBuffer(tiff.buffer.slice(tiff.byteOffset, tiff.byteOffset + tiff.length))).getImage();
+  assert.strictEqual(image.getWidth(), grid.cols);
+  assert.strictEqual(image.getHeight(), grid.rows);
+  const [west, , , north] = image.getBoundingBox();
+  assert(Math.abs(west - 76.9) < 1e-9 && Math.abs(north - 10.1) < 1e-9);
+  const [fos, risk] = await image.readRasters();
+  const waterCell = results.findIndex(r => r && r.water);
+  const landCell = results.findIndex(r => r && !r.water);
+  assert.strictEqual(fos[0], NO_DATA, 'Outside the polygon is no data');
+  assert.strictEqual(risk[0], NO_DATA);
+  assert.strictEqual(fos[waterCell], NO_DATA, 'Water has no FoS');
+  assert.strictEqual(risk[waterCell], 5);
+  assert(Math.abs(fos[landCell] - 1.2) < 1e-6);
+  assert.strictEqual(risk[landCell], 3);
+
+  // Test 6: area maps and tiles report fallback weather; the strict policy withholds them
+  initProviders({ mode: 'fixture', cache: false });
+  const fixture = getProvider('weather');
+  let weatherDown = true;
+  registerProvider('weather', 'flaky', {
+    ...fixture,
+    name: 'Flaky',
+    current: async (points, options) => {
+      if (weatherDown) throw new Error('forecast timed out');
+      return fixture.current(points, options);
+    }
+  });
+  initProviders({ mode: 'fixture', overrides: { weather: 'flaky' }, cache: false });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  const postArea = async (body) => {
+    const res = await fetch(`${base}/predict/area`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  const area = { bbox: [76.9, 10.0, 76.95, 10.05], cellSize: 1000 };
+  const tileUrl = `${base}/tiles/12/2923/1932.png`;
+  try {
+    const degraded = await postArea(area);
+    assert.strictEqual(degraded.status, 200);
+    assert(degraded.body.provenance.weather_samples.length > 0);
+    assert(degraded.body.provenance.weather_samples.every(s => s.fallback && s.source === null));
+    assert.strictEqual(degraded.body.data_quality.grade, 'D');
+    assert(degraded.body.data_quality.critical_defaulted.includes('weather'));
+    assert(degraded.body.geojson.features.every(f => f.properties.water || f.properties.data_quality === 'D'));
+
+    const strict = await postArea({ ...area, dataPolicy: 'strict' });
+    assert.strictEqual(strict.status, 422);
+    assert.strictEqual(strict.body.error, 'Insufficient data');
+    assert(/weather/.test(strict.body.message));
+    assert.strictEqual((await postArea({ ...area, dataPolicy: 'lenient' })).status, 400);
+    // Slip depths outside 0..MAX_SLIP_DEPTH are rejected
+    for (const depth of [0, -1, 1000, 'deep']) {
+      const badDepth = await postArea({ ...area, depth });
+      assert.strictEqual(badDepth.status, 400, `depth ${depth} is rejected`);
+      assert.match(badDepth.body.message, /depth must be above 0/);
+    }
+
+    const fallbackTile = await fetch(tileUrl);
+    assert.strictEqual(fallbackTile.status, 200);
+    assert.match(fallbackTile.headers.get('x-weather-fallback'), /^\d+\/\d+$/);
+    assert.strictEqual(fallbackTile.headers.get('cache-control'), 'no-store');
+    assert.strictEqual(fallbackTile.headers.get('x-data-quality'), 'D');
+    const strictTile = await fetch(`${tileUrl}?dataPolicy=strict`);
+    assert.strictEqual(strictTile.status, 422);
+    assert.strictEqual((await strictTile.json()).error, 'Insufficient data');
+
+    weatherDown = false;
+    const live = await postArea({ ...area, dataPolicy: 'strict' });
+    assert.strictEqual(live.status, 200);
+    assert(live.body.provenance.weather_samples.every(s => !s.fallback && s.source === 'Flaky'));
+    const liveTile = await fetch(tileUrl);
+    assert.strictEqual(liveTile.headers.get('x-tile-cache'), 'miss', 'Fallback tiles are not cached');
+    assert.strictEqual(liveTile.headers.get('x-weather-fallback'), null);
+    assert.strictEqual((await fetch(tileUrl)).headers.get('x-tile-cache'), 'hit');
+  } finally {
+    server.close();
+    fs.rmSync(process.env.TILE_CACHE_DIR, { recursive: true, force: true });
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+const assert = require('assert');
+
+// Fixture providers keep the tests offline; the weather archive is scripted per test
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+
+const { app, summariseRainfall, parseHistoricalDate, fetchHistoricalWeather } = require('./index');
+const { registerProvider, initProviders, getProvider } = require('./providers');
+
+console.log('Running historical replay tests...');
+
+const post = async (base, url, body) => {
+  const res = await fetch(base + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+};
+
+const isoDate = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+// Eight days of archive: 0.5 mm every hour, daily sums 1..8 mm, temperature 20 + hour
+const hours = [];
+for (let d = 1; d <= 8; d++) {
+  for (let h = 0; h < 24; h++) hours.push(`2024-07-0${d}T${String(h).padStart(2, '0')}:00`);
+}
+const scriptedArchive = {
+  hourly: {
+    time: hours,
+    precipitation: hours.map(() => 0.5),
+    temperature_2m: hours.map(t => 20 + Number(t.slice(11, 13))),
+    relative_humidity_2m: hours.map(() => 60)
+  },
+  daily: { time: hours.filter((t, i) => i % 24 === 0).map(t => t.slice(0, 10)), precipitation_sum: [1, 2, 3, 4, 5, 6, 7, 8] }
+};
+
+let archiveDown = false;
+initProviders({ mode: 'fixture', cache: false });
+const fixture = getProvider('weather');
+registerProvider('weather', 'scripted', {
+  name: 'Scripted',
+  archiveName: 'Scripted archive',
+  current: fixture.current,
+  forecast: fixture.forecast,
+  archive: async (point, options) => {
+    if (archiveDown) throw new Error('archive timed out');
+    return options.endDate === '2024-07-08' ? scriptedArchive : fixture.archive(point, options);
+  }
+});
+initProviders({ mode: 'fixture', overrides: { weather: 'scripted' }, cache: false });
+
+(async () => {
+  // Test 1: replay dates - bare dates end the day, an hour suffix is kept, bounds are enforced
+  assert.strictEqual(parseHistoricalDate(undefined), null);
+  assert.strictEqual(parseHistoricalDate(''), null);
+  assert.deepStrictEqual(parseHistoricalDate('2018-08-15'), { date: '2018-08-15', time: '2018-08-15T23:00' });
+  assert.deepStrictEqual(parseHistoricalDate('2018-08-15T06'), { date: '2018-08-15', time: '2018-08-15T06:00' });
+  assert.deepStrictEqual(parseHistoricalDate('2018-08-15T06:45'), { date: '2018-08-15', time: '2018-08-15T06:00' }, 'Minutes are dropped');
+  assert.throws(() => parseHistoricalDate('2018-02-30'), /date must be YYYY-MM-DD/);
+  assert.throws(() => parseHistoricalDate('15/08/2018'), /date must be YYYY-MM-DD/);
+  assert.throws(() => parseHistoricalDate('2018-08-15T24'), /hour must be between 00 and 23/);
+  assert.throws(() => parseHistoricalDate('1939-12-31'), /date must be between 1940-01-01 and/);
+  assert.strictEqual(parseHistoricalDate('1940-01-01').date, '1940-01-01');
+  assert.strictEqual(parseHistoricalDate(isoDate(5)).date, isoDate(5), 'Five days back is published');
+  assert.throws(() => parseHistoricalDate(isoDate(4)), /date must be between/, 'Reanalysis lags five days');
+
+  // Test 2: rainfall history ends at the current hour
+  const summary = summariseRainfall({
+    dailyDates: ['2024-07-01', '2024-07-02', '2024-07-03'],
+    dailySums: [4, 6, 99],
+    hourlyTimes: ['2024-07-02T23:00', '2024-07-03T00:00', '2024-07-03T01:00', '2024-07-03T02:00'],
+    hourlyPrecip: [1, 2, null, 5],
+    currentTime: '2024-07-03T01:00'
+  });
+  assert.strictEqual(summary.rain_7day, 10, 'The current day is not part of the past week');
+  assert.deepStrictEqual(summary.rain_hourly, [1, 2, 0], 'Later hours are dropped, gaps are dry');
+  assert.strictEqual(summary.rain_hourly_start, '2024-07-02T23:00');
+  assert.deepStrictEqual(summary.rain_daily, [
+    { date: '2024-07-01', precipitation: 4 },
+    { date: '2024-07-02', precipitation: 6 },
+    { date: '2024-07-03', precipitation: 2 }
+  ], 'Today so far replaces the daily sum');
+  const untimed = summariseRainfall({ dailyDates: ['2024-07-01'], dailySums: [3], hourlyTimes: ['2024-07-01T00:00'], hourlyPrecip: [3], currentTime: null });
+  assert.deepStrictEqual(untimed.rain_daily, [{ date: '2024-07-01', precipitation: 3 }]);
+
+  // Test 3: archive weather at the replay hour
+  const weather = await fetchHistoricalWeather(10, 76, parseHistoricalDate('2024-07-08T12'));
+  assert.strictEqual(weather.temperature, 32);
+  assert.strictEqual(weather.humidity, 60);
+  assert.strictEqual(weather.rain_current, 0.5);
+  assert.strictEqual(weather.rain_7day, 28);
+  assert.strictEqual(weather.rain_hourly.length, 7 * 24);
+  assert.strictEqual(weather.rain_hourly_start, '2024-07-01T13:00');
+  assert.deepStrictEqual(weather.rain_daily[weather.rain_daily.length - 1], { date: '2024-07-08', precipitation: 6.5 });
+  assert.strictEqual(weather.weather_source, 'Scripted archive');
+  await assert.rejects(fetchHistoricalWeather(10, 76, { date: '2024-07-08', time: '2024-07-09T00:00' }), /Archive has no data for 2024-07-09T00:00/);
+  archiveDown = true;
+  await assert.rejects(fetchHistoricalWeather(10, 76, parseHistoricalDate('2024-07-08')), /archive timed out/, 'No fabricated weather');
+  archiveDown = false;
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  try {
+    // Test 4: depth profiles replay with the historical disclaimer and report archive outages
+    const replay = await post(base, '/predict/depth-profile', { lat: 10.12, lng: 76.95, date: '2018-08-15' });
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.mode, 'historical');
+    assert.match(replay.body.disclaimer, /^Historical replay/);
+    const live = await post(base, '/predict/depth-profile', { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(live.body.mode, 'realtime');
+    assert.strictEqual(live.body.disclaimer, 'Prediction model – not a deterministic guarantee');
+
+    // An archive outage fails replays only; live requests do not touch the archive
+    archiveDown = true;
+    for (const url of ['/predict', '/predict/depth-profile', '/predict/sensitivity']) {
+      const outage = await post(base, url, { lat: 10.12, lng: 76.95, date: '2018-08-15' });
+      assert.strictEqual(outage.status, 502, url);
+      assert.strictEqual(outage.body.error, 'Historical weather unavailable');
+      assert.strictEqual(outage.body.message, 'archive timed out');
+      assert.strictEqual((await post(base, url, { lat: 10.12, lng: 76.95 })).status, 200, url);
+    }
+    archiveDown = false;
+
+    // Test 5: depth profiles, sensitivity and forecasts validate requests like /predict
+    for (const url of ['/predict/depth-profile', '/predict/sensitivity', '/predict/forecast']) {
+      const offGlobe = await post(base, url, { lat: 1000, lng: 76.95 });
+      assert.strictEqual(offGlobe.status, 400, `${url} range-checks coordinates`);
+      assert.strictEqual(offGlobe.body.error, 'Invalid coordinates');
+      const badPolicy = await post(base, url, { lat: 10.12, lng: 76.95, dataPolicy: 'lenient' });
+      assert.strictEqual(badPolicy.body.error, 'Invalid data policy');
+      const badTerrain = await post(base, url, { lat: 10.12, lng: 76.95, terrain: { window: 4 } });
+      assert.strictEqual(badTerrain.body.error, 'Invalid terrain options');
+    }
+    const seismic = await post(base, '/predict/sensitivity', { lat: 10.12, lng: 76.95, seismic: { kh: 0.1 } });
+    assert.strictEqual(seismic.status, 400);
+    assert.strictEqual(seismic.body.error, 'Invalid seismic options');
+    const forecast = await post(base, '/predict/forecast', { lat: 10.12, lng: 76.95, days: 3 });
+    assert.strictEqual(forecast.status, 200);
+    assert.strictEqual(forecast.body.timeline.length, 3);
+    const replayForecast = await post(base, '/predict/forecast', { lat: 10.12, lng: 76.95, date: '2018-08-15' });
+    assert.strictEqual(replayForecast.body.error, 'Invalid date', 'Forecasts are not replayed');
+    const badThresholds = await post(base, '/predict/forecast', { lat: 10.12, lng: 76.95, thresholds: { minDryHours: 0 } });
+    assert.strictEqual(badThresholds.body.error, 'Invalid rainfall thresholds');
+  } finally {
+    server.close();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+
+// Fixture providers keep the endpoint test offline
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+
+const { runScreeningModel } = require('./screeningModel');
+const { listModels, getModel, parseModelSelection } = require('./models');
+const { app, calculateRisk } = require('./index');
+
+console.log('Running model registry tests...');
+
+// Test 1: the screening port reproduces predict_landslide.m
+// clayey soil, 30° slope, 1.5 g/cm³: c = 25, phi = 20, gamma = 14.715
+const dry = runScreeningModel({ rain: 0, slope: 30, clay: 45, sand: 20, bulk_density: 1.5 });
+const wet = runScreeningModel({ rain: 60, slope: 30, clay: 45, sand: 20, bulk_density: 1.5 });
+console.log('Screening dry:', dry.FoS, dry.reason, '| wet:', wet.FoS, wet.reason);
+assert.strictEqual(dry.FoS, 2.59);
+assert.strictEqual(wet.FoS, 2.34, 'Heavy rain sets u = 0.4 sigma');
+assert.strictEqual(dry.details.cohesion, 25);
+assert.strictEqual(dry.probability, Number((1 / dry.details.FoS).toFixed(3)));
+
+const flat = runScreeningModel({ rain: 200, slope: 3, clay: 10, sand: 70, bulk_density: 1.4 });
+assert.strictEqual(flat.FoS, 10, 'Flat terrain short-circuits to FoS 10');
+assert.strictEqual(flat.reason, 'Flat Terrain (Safe)');
+
+const steep = runScreeningModel({ rain: 60, slope: 45, clay: 10, sand: 70, bulk_density: 1.8 });
+assert.strictEqual(steep.risk_level, 'High');
+assert.strictEqual(steep.reason, 'Slope Failure Imminent (FoS < 1.0)');
+assert.strictEqual(steep.probability, 0.99, 'Probability is capped at 0.99');
+
+// Test 2: the registry lists both models with the infinite-slope model as default
+const models = listModels();
+console.log('Models:', models.map(m => `${m.id}${m.default ? ' (default)' : ''}`).join(', '));
+assert.deepStrictEqual(models.map(m => m.id).sort(), ['infinite-slope', 'screening']);
+assert(models.every(m => m.inputs.length > 0 && m.outputs.length > 0 && m.run === undefined), 'Descriptions only');
+assert.deepStrictEqual(parseModelSelection(undefined), ['infinite-slope']);
+assert.deepStrictEqual(parseModelSelection('all'), ['infinite-slope', 'screening']);
+assert.throws(() => parseModelSelection('neural'), /model must be one of/);
+
+// Test 3: registered models run on the same site features
+const site = { depth: 2.5, slope: 30, rain_7day: 30, clay: 30, sand: 40, silt: 30, profile: [{ top_cm: 0, bottom_cm: 1000, clay: 30, sand: 40, silt: 30, bulk_density: 1.6, coarse_fragments: null }] };
+assert.deepStrictEqual(getModel('infinite-slope').run(site, {}), calculateRisk(site));
+const screened = getModel('screening').run(site);
+assert.strictEqual(screened.details.bulk_density, 1.6, 'Bulk density comes from the profile');
+assert.strictEqual(screened.details.pore_pressure > 0, true, 'rain_7day of 30 mm is a moderate step');
+
+// Test 4: /predict rejects options the selected model does not honour
+(async () => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const predict = async (body) => {
+    const res = await fetch(`http://localhost:${server.address().port}/predict`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lat: 10.12, lng: 76.95, ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    const unsupported = [
+      [{ infiltration: { water_table_depth: 3 } }, 'Invalid infiltration options'],
+      [{ seismic: true }, 'Invalid seismic options'],
+      [{ antecedent: { decay: 0.9 } }, 'Invalid antecedent rainfall options'],
+      [{ probabilistic: { iterations: 500 } }, 'Invalid probabilistic options'],
+      [{ parameterProfile: 'default' }, 'Invalid parameter profile']
+    ];
+    for (const [options, error] of unsupported) {
+      const res = await predict({ model: 'screening', ...options });
+      assert.strictEqual(res.status, 400, error);
+      assert.strictEqual(res.body.error, error);
+      assert.match(res.body.message, /not available for the screening model/);
+    }
+    assert.strictEqual((await predict({ model: 'screening' })).status, 200);
+    assert.strictEqual((await predict({ seismic: true, antecedent: { decay: 0.9 } })).status, 200, 'The default model honours them');
+  } finally {
+    server.close();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Fixture providers keep the evaluations offline
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+delete process.env.MONGODB_URI;
+
+const { app, evaluateSite } = require('./index');
+const { connectPredictionStore, disconnectPredictionStore } = require('./predictionStore');
+const { DEFAULT_INTERVAL_MINUTES, parseSiteRequest, parseSeriesQuery, createSiteScheduler } = require('./monitoredSites');
+const { getDefaultProfileId } = require('./profiles');
+
+console.log('Running monitored site tests...');
+
+const request = async (base, method, url, body) => {
+  const res = await fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+};
+
+(async () => {
+  // Test 1: site validation
+  assert.deepStrictEqual(parseSiteRequest({ name: ' Munnar gap road ', lat: '10.09', lng: 77.06 }), {
+    name: 'Munnar gap road', lat: 10.09, lng: 77.06, depth: 2.5, parameter_profile: null, interval_minutes: DEFAULT_INTERVAL_MINUTES
+  });
+  assert.strictEqual(parseSiteRequest({ name: 'a', lat: 10, lng: 77, parameterProfile: getDefaultProfileId() }).parameter_profile, getDefaultProfileId());
+  assert.throws(() => parseSiteRequest({ lat: 10, lng: 77 }), /name must be a non-empty string/);
+  assert.throws(() => parseSiteRequest({ name: 'a', lat: 100, lng: 77 }), /lat and lng must be numbers/);
+  assert.throws(() => parseSiteRequest({ name: 'a', lat: 10, lng: 77, depth: 12 }), /depth must be above 0 and at most 10 m/);
+  assert.throws(() => parseSiteRequest({ name: 'a', lat: 10, lng: 77, parameterProfile: 'nope' }), /parameterProfile must be one of/);
+  assert.throws(() => parseSiteRequest({ name: 'a', lat: 10, lng: 77, intervalMinutes: 1 }), /intervalMinutes must be an integer between 5 and 10080/);
+  assert.throws(() => parseSeriesQuery({ limit: '0' }), /limit must be an integer between 1 and 5000/);
+
+  // Test 2: the evaluation callback runs the prediction pipeline
+  const evaluation = await evaluateSite({ lat: 10.12, lng: 76.95, depth: 3, parameter_profile: null });
+  assert.strictEqual(evaluation.status, 200);
+  assert(Number.isFinite(evaluation.FoS));
+  assert.strictEqual(evaluation.parameter_profile, getDefaultProfileId());
+  assert.strictEqual((await evaluateSite({ lat: 10.12, lng: 76.95, depth: 3, parameter_profile: 'removed' })).status, 400);
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  let mongod = null;
+  try {
+    // Test 3: without a store the endpoints answer 503 (after validation)
+    assert.strictEqual((await request(base, 'GET', '/sites')).status, 503);
+    assert.strictEqual((await request(base, 'POST', '/sites', { name: '' })).status, 400);
+
+    // Without a store a run does nothing and does not stall later ticks
+    const idle = createSiteScheduler({ evaluate: evaluateSite });
+    const first = idle.runDue();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = idle.runDue();
+    assert.notStrictEqual(first, second, 'A finished run is not returned again');
+    assert.strictEqual(await second, 0);
+
+    // Test 4: create, list, evaluate on schedule and on demand, delete
+    mongod = await MongoMemoryServer.create();
+    await connectPredictionStore(mongod.getUri());
+
+    const created = await request(base, 'POST', '/sites', { name: 'Puthumala', lat: 11.5, lng: 76.15, depth: 2, intervalMinutes: 30 });
+    assert.strictEqual(created.status, 201);
+    assert.match(created.body.id, /^[0-9a-f]{24}$/);
+    assert.strictEqual((await request(base, 'POST', '/sites', { name: 'Puthumala', lat: 11, lng: 76 })).status, 409, 'Names are unique');
+    const lake = await request(base, 'POST', '/sites', { name: 'Lake shore', lat: 9.95, lng: 76.25 });
+
+    const listed = await request(base, 'GET', '/sites');
+    assert.deepStrictEqual(listed.body.sites.map(s => s.name), ['Lake shore', 'Puthumala']);
+    assert.strictEqual(listed.body.sites[0].latest, null, 'Not evaluated yet');
+
+    // Two instances: each due site is evaluated exactly once
+    const evaluated = [];
+    const counting = async (site) => { evaluated.push(site.name); return evaluateSite(site); };
+    const [a, b] = await Promise.all([
+      createSiteScheduler({ evaluate: counting }).runDue(),
+      createSiteScheduler({ evaluate: counting }).runDue()
+    ]);
+    assert.strictEqual(a + b, 2);
+    assert.deepStrictEqual(evaluated.sort(), ['Lake shore', 'Puthumala']);
+    assert.strictEqual(await createSiteScheduler({ evaluate: counting }).runDue(), 0, 'Not due again before the interval');
+
+    const site = (await request(base, 'GET', `/sites/${created.body.id}`)).body;
+    assert(new Date(site.next_run_at) - new Date(site.last_evaluated_at) > 29 * 60 * 1000, 'Next run one interval after the claim');
+
+    const now = await request(base, 'POST', `/sites/${created.body.id}/evaluate`);
+    assert.strictEqual(now.body.evaluation.status, 200);
+
+    const series = await request(base, 'GET', `/sites/${created.body.id}/series`);
+    assert.strictEqual(series.status, 200);
+    assert.strictEqual(series.body.series.length, 2);
+    assert(series.body.series[0].evaluated_at < series.body.series[1].evaluated_at, 'Oldest first');
+    assert(series.body.series.every(e => Number.isFinite(e.FoS) && e.risk_level && e.warning));
+    assert.strictEqual((await request(base, 'GET', `/sites/${created.body.id}/series?limit=1`)).body.series[0].evaluated_at, series.body.series[1].evaluated_at);
+    assert.strictEqual((await request(base, 'GET', `/sites/${created.body.id}/series?from=2100-01-01`)).body.series.length, 0);
+
+    const water = await request(base, 'GET', `/sites/${lake.body.id}/series`);
+    assert.strictEqual(water.body.series[0].risk_level, 'N/A (water body)');
+    assert.strictEqual((await request(base, 'GET', '/sites')).body.sites[0].latest.risk_level, 'N/A (water body)');
+
+    assert.strictEqual((await request(base, 'DELETE', `/sites/${created.body.id}`)).status, 204);
+    assert.strictEqual((await request(base, 'GET', `/sites/${created.body.id}/series`)).status, 404);
+    assert.strictEqual((await request(base, 'DELETE', `/sites/${created.body.id}`)).status, 404);
+    assert.strictEqual((await request(base, 'GET', '/sites/not-an-id')).status, 404);
+  } finally {
+    server.close();
+    await disconnectPredictionStore();
+    if (mongod) await mongod.stop();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Fixture providers keep the predictions offline
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+delete process.env.MONGODB_URI;
+
+const { app } = require('./index');
+const {
+  parseHistoryQuery,
+  connectPredictionStore,
+  disconnectPredictionStore,
+  isPredictionStoreReady,
+  recordPredictions
+} = require('./predictionStore');
+const { registerProvider, initProviders } = require('./providers');
+
+console.log('Running prediction store tests...');
+
+const post = async (base, url, body) => {
+  const res = await fetch(base + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+};
+const get = async (base, url) => {
+  const res = await fetch(base + url);
+  return { status: res.status, body: await res.json() };
+};
+
+(async () => {
+  // Test 1: history query parsing
+  assert.deepStrictEqual(parseHistoryQuery({}), { filter: {}, page: 1, limit: 50 });
+  const { filter } = parseHistoryQuery({ bbox: '76,9,77,10', from: '2026-01-01', to: '2026-01-31', risk: 'High, Extreme', page: '2', limit: '10' });
+  assert.deepStrictEqual(filter.location.$geoWithin.$geometry.coordinates[0][2], [77, 10]);
+  assert.strictEqual(filter.created_at.$lte.toISOString(), '2026-01-31T23:59:59.999Z', 'A bare "to" date covers the whole day');
+  assert.deepStrictEqual(filter.risk_level, { $in: ['High', 'Extreme'] });
+  assert(parseHistoryQuery({ risk: 'N/A' }).filter.risk_level.$in[0].test('N/A (water body)'));
+  assert.throws(() => parseHistoryQuery({ bbox: '76,9,77' }), /bbox must be west,south,east,north/);
+  assert.throws(() => parseHistoryQuery({ bbox: '-170,0,170,10' }), /less than 180°/);
+  assert.throws(() => parseHistoryQuery({ from: 'yesterday' }), /from must be an ISO date/);
+  assert.throws(() => parseHistoryQuery({ from: '2026-02-01', to: '2026-01-01' }), /from must not be after to/);
+  assert.throws(() => parseHistoryQuery({ risk: 'Severe' }), /risk must be a comma-separated list/);
+  assert.throws(() => parseHistoryQuery({ limit: '1000' }), /limit must be an integer between 1 and 500/);
+  assert.throws(() => parseHistoryQuery({ page: '0' }), /page must be a positive integer/);
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  let mongod = null;
+  try {
+    // Test 2: without MONGODB_URI predictions still work and the history is unavailable
+    const unstored = await post(base, '/predict', { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(unstored.status, 200);
+    assert.strictEqual(unstored.body.prediction_id, null);
+    assert.strictEqual((await get(base, '/predictions')).status, 503);
+    assert.strictEqual((await get(base, '/predictions?risk=Severe')).status, 400, 'The query is validated first');
+    const offGlobe = await post(base, '/predict', { lat: 95, lng: 76.95 });
+    assert.strictEqual(offGlobe.status, 400, 'Coordinates are range-checked before predicting');
+    assert.strictEqual(offGlobe.body.error, 'Invalid coordinates');
+
+    // Test 3: predictions are stored and queried from an in-memory MongoDB
+    mongod = await MongoMemoryServer.create();
+    assert.strictEqual(await connectPredictionStore(mongod.getUri()), true);
+    assert(isPredictionStoreReady());
+    assert.strictEqual((await get(base, '/health')).body.prediction_store, 'connected');
+
+    const land = await post(base, '/predict', { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(land.status, 200);
+    assert.match(land.body.prediction_id, /^[0-9a-f]{24}$/);
+    const water = await post(base, '/predict', { lat: 9.95, lng: 76.25 });
+    const batch = await post(base, '/predict/batch', { points: [{ id: 'a', lat: 11.5, lng: 75.9 }, { id: 'b', lat: 8.6, lng: 77.1, model: 'nope' }] });
+    assert.match(batch.body.results[0].result.prediction_id, /^[0-9a-f]{24}$/);
+    assert.strictEqual(batch.body.results[1].prediction_id, undefined, 'Rejected requests are not stored');
+
+    const all = await get(base, '/predictions');
+    assert.strictEqual(all.status, 200);
+    assert.strictEqual(all.body.total, 3);
+    assert.deepStrictEqual(all.body.predictions.map(p => p.endpoint), ['/predict/batch', '/predict', '/predict'], 'Newest first');
+    const stored = all.body.predictions.find(p => p.id === land.body.prediction_id);
+    assert.deepStrictEqual(stored.location, { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(stored.risk_level, land.body.prediction.risk_level);
+    assert.deepStrictEqual(stored.request, { lat: 10.12, lng: 76.95 });
+    assert.deepStrictEqual(stored.response.provenance, land.body.provenance, 'Provenance is kept with the outputs');
+    assert.deepStrictEqual(stored.response.input.rain_hourly, land.body.input.rain_hourly);
+
+    const kerala = await get(base, '/predictions?bbox=76.5,9.5,77.5,10.5');
+    assert.deepStrictEqual(kerala.body.predictions.map(p => p.id), [land.body.prediction_id]);
+    const notApplicable = await get(base, '/predictions?risk=N/A');
+    assert.deepStrictEqual(notApplicable.body.predictions.map(p => p.id), [water.body.prediction_id]);
+    assert.strictEqual((await get(base, '/predictions?risk=Extreme,High,Medium,Low')).body.total, 2);
+    assert.strictEqual((await get(base, '/predictions?from=2100-01-01')).body.total, 0);
+    assert.strictEqual((await get(base, `/predictions?to=${encodeURIComponent(new Date().toISOString())}`)).body.total, 3);
+
+    const page2 = await get(base, '/predictions?limit=2&page=2');
+    assert.strictEqual(page2.body.pages, 2);
+    assert.deepStrictEqual(page2.body.predictions.map(p => p.id), [land.body.prediction_id]);
+
+    // Test 4: withheld verdicts are part of the history
+    registerProvider('elevation', 'down', { name: 'Down', elevations: async () => { throw new Error('offline'); } });
+    initProviders({ mode: 'fixture', overrides: { elevation: 'down' }, cache: false });
+    const withheld = await post(base, '/predict', { lat: 10.12, lng: 76.95, dataPolicy: 'strict' });
+    assert.strictEqual(withheld.status, 422);
+    const history = await get(base, '/predictions?limit=1');
+    assert.strictEqual(history.body.predictions[0].id, withheld.body.prediction_id);
+    assert.strictEqual(history.body.predictions[0].status, 422);
+    assert.strictEqual(history.body.predictions[0].risk_level, null);
+    assert.deepStrictEqual(history.body.predictions[0].response.data_quality.critical_defaulted, ['terrain']);
+
+    // A record the 2dsphere index rejects does not keep the others from being stored
+    const record = lat => ({ endpoint: '/predict/batch', status: 200, body: { lat, lng: 76.95 }, response: {} });
+    const ids = await recordPredictions([record(10.1), record(95), record(10.2)]);
+    assert.match(ids[0], /^[0-9a-f]{24}$/);
+    assert.strictEqual(ids[1], null);
+    assert.match(ids[2], /^[0-9a-f]{24}$/);
+
+    const db = await mongoose.createConnection(mongod.getUri()).asPromise();
+    try {
+      const indexes = await db.collection('predictions').indexes();
+      assert(indexes.some(i => i.key.location === '2dsphere'), 'Locations have a geospatial index');
+    } finally {
+      await db.close();
+    }
+  } finally {
+    server.close();
+    await disconnectPredictionStore();
+    if (mongod) await mongod.stop();
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
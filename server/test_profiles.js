@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MAX_SLIP_DEPTH,
+  validateParameterProfile,
+  initParameterProfiles,
+  getParameterProfile,
+  listParameterProfiles,
+  parseProfileSelection
+} = require('./profiles');
+const { calculateRisk, computeSoilStrength, getStrengthFromDepth, classifyRisk } = require('./index');
+
+console.log('Running parameter profile tests...');
+
+// Test 1: the bundled profiles load, default first
+const ids = listParameterProfiles().map(p => p.id);
+console.log('Profiles:', ids);
+assert.strictEqual(ids[0], 'default');
+assert(ids.includes('kerala-laterite') && ids.includes('himalayan-colluvium'));
+const def = getParameterProfile();
+assert.strictEqual(def.id, 'default');
+assert.deepStrictEqual(def.risk_thresholds, { Extreme: 1.0, High: 1.3, Medium: 1.7 });
+assert.strictEqual(def.strength_table[def.strength_table.length - 1].max, MAX_SLIP_DEPTH);
+
+// Test 2: the default profile keeps the original coefficients
+const base = getStrengthFromDepth(2.0);
+assert.deepStrictEqual([base.c, base.phi, base.gamma], [32, 30, 16.2]);
+const s = computeSoilStrength(base, { clay: 40, sand: 30, silt: 30 }, 2.0, 0.5);
+// c = (32 + 10*0.6 - 10*0.2) * (1 + 0.005*1.5) * (1 - 0.6*0.5); phi = 30 - 0.6 + 0.3
+assert(Math.abs(s.c - 36 * 1.0075 * 0.7) < 1e-9, 'Cohesion from the default coefficients');
+assert(Math.abs(s.phi - 29.7) < 1e-9, 'Friction angle from the default coefficients');
+assert.strictEqual(classifyRisk(1.25), 'High');
+
+// Test 3: profiles change the strength and the risk thresholds
+const site = { depth: 2.0, slope: 30, rain_7day: 40, clay: 25, sand: 50, silt: 25, humidity: 80 };
+const general = calculateRisk(site);
+const colluvium = calculateRisk(site, { parameters: getParameterProfile('himalayan-colluvium') });
+const laterite = calculateRisk(site, { parameters: getParameterProfile('kerala-laterite') });
+console.log('FoS general:', general.FoS, '| colluvium:', colluvium.FoS, '| laterite:', laterite.FoS);
+assert.strictEqual(general.details.parameter_profile, 'default');
+assert.strictEqual(colluvium.details.parameter_profile, 'himalayan-colluvium');
+assert.strictEqual(colluvium.details.base_cohesion, 10, 'Colluvium strength table');
+assert(colluvium.FoS < general.FoS, 'Low-cohesion colluvium is less stable');
+assert.strictEqual(classifyRisk(1.25, getParameterProfile('himalayan-colluvium').risk_thresholds), 'Medium');
+
+// Test 4: request selection
+assert.strictEqual(parseProfileSelection().id, 'default');
+assert.strictEqual(parseProfileSelection('kerala-laterite').id, 'kerala-laterite');
+assert.throws(() => parseProfileSelection('granite'), /parameterProfile must be one of/);
+assert.throws(() => parseProfileSelection({ id: 'default' }), /parameterProfile must be one of/);
+
+// Test 5: schema validation reports every violation
+const { id: _id, ...defValues } = def;
+const copy = () => JSON.parse(JSON.stringify(defValues));
+const valid = copy();
+assert.strictEqual(validateParameterProfile(valid), valid);
+
+const gap = copy();
+gap.strength_table[1].min = 2.0;
+assert.throws(() => validateParameterProfile(gap), /strength_table\[1\]\.min must be 1\.5/);
+
+const shallow = copy();
+shallow.strength_table.pop();
+assert.throws(() => validateParameterProfile(shallow), /must end at 10 m/);
+
+const bad = copy();
+bad.risk_thresholds = { Extreme: 1.3, High: 1.0, Medium: 1.7 };
+bad.suction_loss = 1.5;
+bad.composition.reference.clay = 50;
+bad.composition.kC_sand = 0.1;
+delete bad.friction_bounds;
+assert.throws(() => validateParameterProfile(bad), (err) => {
+  console.log('Schema errors:', err.message);
+  return /risk_thresholds must increase/.test(err.message) &&
+    /suction_loss must be at most 1/.test(err.message) &&
+    /reference must sum to 100%/.test(err.message) &&
+    /kC_sand is not a known parameter/.test(err.message) &&
+    /friction_bounds is required/.test(err.message);
+});
+
+// Test 6: a profiles file that fails validation is rejected, leaving the loaded profiles in place
+const tmp = path.join(os.tmpdir(), `profiles-${process.pid}.json`);
+fs.writeFileSync(tmp, JSON.stringify({ default: 'missing', profiles: { 'Bad Id': bad } }));
+try {
+  assert.throws(() => initParameterProfiles(tmp), (err) =>
+    /Bad Id" must be lowercase/.test(err.message) && /default "missing"/.test(err.message));
+  assert.strictEqual(getParameterProfile().id, 'default');
+} finally {
+  fs.unlinkSync(tmp);
+}
+
+console.log('All tests passed ✅');
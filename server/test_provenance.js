@@ -0,0 +1,83 @@
+const assert = require('assert');
+const {
+  parseDataPolicy,
+  describeProvenance,
+  gradeDataQuality,
+  worstDataQuality,
+  withheldVerdictReason
+} = require('./provenance');
+
+console.log('Running provenance tests...');
+
+const fetched = '2026-01-01T00:00:00.000Z';
+const site = (overrides = {}) => ({
+  weather: { humidity: 88, weather_source: 'Open-Meteo', weather_fetched_at: fetched },
+  topo: { terrain_source: 'Open-Meteo Elevation API', terrain_fetched_at: fetched },
+  soil: { source: 'SoilGrids API', profile_source: 'SoilGrids API', profile_fetched_at: fetched },
+  climate: { source: 'Köppen-Geiger Grid' },
+  landCover: { source: 'Land Cover Raster' },
+  ...overrides
+});
+
+// Test 1: policy option
+assert.strictEqual(parseDataPolicy(), 'permissive');
+assert.strictEqual(parseDataPolicy('strict'), 'strict');
+assert.throws(() => parseDataPolicy('paranoid'), /dataPolicy must be one of permissive, strict/);
+process.env.DATA_POLICY = 'strict';
+assert.strictEqual(parseDataPolicy(), 'strict', 'DATA_POLICY sets the default');
+delete process.env.DATA_POLICY;
+
+// Test 2: everything fetched - grade A, fetch times kept
+const complete = describeProvenance(site());
+assert.deepStrictEqual(complete.weather, { source: 'Open-Meteo', fetched_at: fetched, fallback: false, critical: true });
+assert.strictEqual(complete.soil.fetched_at, fetched, 'SoilGrids compositions carry the fetch time');
+assert.deepStrictEqual(gradeDataQuality(complete), { grade: 'A', score: 1, confidence: 'high', defaulted: [], critical_defaulted: [] });
+
+// Test 3: local and estimated sources
+const offline = describeProvenance(site({
+  soil: { source: 'Regional Pattern (Fallback)', profile_source: 'Uniform (no depth data)', profile_fetched_at: null },
+  climate: { source: 'Default' },
+  landCover: { source: 'Climate Default' }
+}));
+assert.strictEqual(offline.soil.fallback, true);
+assert.strictEqual(offline.soil.fetched_at, null);
+assert(offline.soil_profile.reason.includes('every depth'));
+const offlineQuality = gradeDataQuality(offline);
+console.log('Offline soil, climate and land cover:', offlineQuality);
+assert.strictEqual(offlineQuality.grade, 'C');
+assert.deepStrictEqual(offlineQuality.defaulted, ['soil', 'soil_profile', 'climate', 'land_cover']);
+assert.strictEqual(withheldVerdictReason(offlineQuality, 'strict'), null, 'Non-critical fallbacks never withhold the verdict');
+
+// Test 4: the humidity default halves the weather share; manual rainfall is recorded
+const noHumidity = describeProvenance({ ...site({ weather: { humidity: null, weather_source: 'Open-Meteo', weather_fetched_at: fetched } }), isSimulated: true });
+assert.deepStrictEqual(noHumidity.weather.defaulted_fields, ['humidity']);
+assert.deepStrictEqual(noHumidity.weather.overridden, ['rainfall']);
+assert.strictEqual(gradeDataQuality(noHumidity).score, 0.85);
+assert.strictEqual(gradeDataQuality(noHumidity).grade, 'B');
+
+// Test 5: defaulted weather and terrain - grade D, verdict withheld only under the strict policy
+const degraded = describeProvenance(site({
+  weather: { humidity: null, weather_source: null, weather_fetched_at: null },
+  topo: { terrain_source: null, terrain_fetched_at: null }
+}));
+assert.strictEqual(degraded.weather.fallback, true);
+assert(degraded.terrain.reason.includes('slope 0°'));
+assert.strictEqual(degraded.weather.defaulted_fields, undefined, 'A defaulted input does not list single fields');
+const degradedQuality = gradeDataQuality(degraded);
+assert.strictEqual(degradedQuality.grade, 'D');
+assert.deepStrictEqual(degradedQuality.critical_defaulted, ['weather', 'terrain']);
+assert.strictEqual(withheldVerdictReason(degradedQuality, 'permissive'), null);
+assert(/weather, terrain/.test(withheldVerdictReason(degradedQuality, 'strict')));
+
+const noTerrain = gradeDataQuality(describeProvenance(site({ topo: { terrain_source: null, terrain_fetched_at: null } })));
+assert.strictEqual(noTerrain.score, 0.7);
+assert.strictEqual(noTerrain.grade, 'D', 'One defaulted critical input caps the grade');
+
+// Test 6: the worst of several grades - defaulted critical inputs first, then the score
+const full = gradeDataQuality(describeProvenance(site()));
+assert.strictEqual(worstDataQuality([full, gradeDataQuality(noHumidity), full]).grade, 'B');
+assert.strictEqual(worstDataQuality([full, degradedQuality, noTerrain]), degradedQuality);
+assert.strictEqual(worstDataQuality([noTerrain, full]), noTerrain);
+assert.strictEqual(worstDataQuality([]), null);
+
+console.log('All tests passed ✅');
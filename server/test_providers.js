@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The whole API on fixture data: no network needed
+process.env.DATA_PROVIDER = 'fixture';
+process.env.PROVIDER_CACHE_DIR = '';
+
+const { app, getSoilComposition } = require('./index');
+const { registerProvider, initProviders, getProvider, describeProviders } = require('./providers');
+const { createResponseCache } = require('./responseCache');
+const { loadFixtureScenario } = require('./fixtureProviders');
+
+console.log('Running data provider tests...');
+
+const post = async (base, url, body) => {
+  const res = await fetch(base + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+};
+
+(async () => {
+  // Test 1: endpoints run offline on the fixture providers
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  try {
+    const scenario = loadFixtureScenario();
+    const land = await post(base, '/predict', { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(land.status, 200);
+    assert.strictEqual(land.body.location_type, 'land');
+    assert.strictEqual(land.body.input.temperature, scenario.weather.temperature);
+    assert.strictEqual(land.body.input.terrain_source, 'Local fixtures (synthetic terrain)');
+    assert.strictEqual(land.body.location_info.place, scenario.geocoding.display_name);
+    assert(land.body.input.rain_7day > 0, 'Fixture rainfall reaches the model');
+    assert.strictEqual(land.body.provenance.weather.fallback, false);
+    assert(land.body.provenance.terrain.fetched_at, 'Fetched inputs carry their fetch time');
+    assert.strictEqual(land.body.data_quality.critical_defaulted.length, 0);
+
+    const strict = await post(base, '/predict', { lat: 10.12, lng: 76.95, dataPolicy: 'strict' });
+    assert.strictEqual(strict.status, 200, 'Fixture inputs satisfy the strict data policy');
+    const badPolicy = await post(base, '/predict', { lat: 10.12, lng: 76.95, dataPolicy: 'lenient' });
+    assert.strictEqual(badPolicy.status, 400);
+
+    const again = await post(base, '/predict', { lat: 10.12, lng: 76.95 });
+    assert.strictEqual(again.body.prediction.FoS, land.body.prediction.FoS, 'Fixtures are deterministic');
+
+    const water = await post(base, '/predict', { lat: 9.95, lng: 76.25 });
+    assert.strictEqual(water.body.location_type, 'water', 'Fixture water boxes are at sea level');
+
+    const replay = await post(base, '/predict', { lat: 10.12, lng: 76.95, date: '2018-08-16' });
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.historical.provider, 'Local fixtures (Open-Meteo archive format)');
+
+    const health = await (await fetch(base + '/health')).json();
+    assert.strictEqual(health.providers.weather.id, 'fixture');
+    assert(health.providers.cache.hits > 0, 'Repeated requests are served from the cache');
+  } finally {
+    server.close();
+  }
+
+  // Test 2: fixture soil in the SoilGrids format
+  const soil = await getProvider('soil').properties({ lat: 10, lon: 77 }, {
+    properties: { clay: 10, sand: 10 },
+    depths: [{ label: '0-5cm' }, { label: '5-15cm' }]
+  });
+  const clay = soil.properties.layers.find(l => l.name === 'clay');
+  assert.strictEqual(clay.depths[1].values.mean, loadFixtureScenario().soil.layers[1].clay * 10);
+
+  // The rasters stay the texture source where they cover the point; SoilGrids shapes the profile
+  const munnar = await getSoilComposition(10.09, 77.06);
+  assert.strictEqual(munnar.source, 'Soil Class Rasters');
+  assert.strictEqual(munnar.profile_source, 'Local fixtures (SoilGrids format) (shifted to Soil Class Rasters)');
+  assert(Math.abs(munnar.profile[0].clay - munnar.clay) < 0.1, 'The top layer carries the raster texture');
+  const offRaster = await getSoilComposition(51.5, 0);
+  assert.strictEqual(offRaster.profile[0].clay, loadFixtureScenario().soil.layers[0].clay, 'Elsewhere the SoilGrids profile is used as is');
+
+  // Test 3: per-point caching only requests the points not yet cached
+  const requested = [];
+  registerProvider('elevation', 'counting', {
+    name: 'Counting',
+    elevations: async (points) => {
+      requested.push(points.length);
+      return points.map(p => p.lat * 100);
+    }
+  });
+  assert.throws(() => registerProvider('elevation', 'broken', { name: 'Broken' }), /needs a elevations\(\) method/);
+  assert.throws(() => initProviders({ mode: 'nope', overrides: {} }), /weather provider must be one of/);
+
+  initProviders({ mode: 'fixture', overrides: { elevation: 'counting' }, cache: true, cacheDir: null });
+  const elevation = getProvider('elevation');
+  assert.deepStrictEqual(await elevation.elevations([{ lat: 1, lon: 2 }, { lat: 3, lon: 4 }]), [100, 300]);
+  assert.deepStrictEqual(await elevation.elevations([{ lat: 3, lon: 4 }, { lat: 5, lon: 6 }, { lat: 1, lon: 2 }]), [300, 500, 100]);
+  assert.deepStrictEqual(requested, [2, 1], 'Only the new point is requested');
+  assert.strictEqual(describeProviders().elevation.id, 'counting');
+
+  initProviders({ mode: 'fixture', overrides: { elevation: 'counting' }, cache: false });
+  await getProvider('elevation').elevations([{ lat: 1, lon: 2 }]);
+  assert.deepStrictEqual(requested, [2, 1, 1], 'PROVIDER_CACHE=off requests every time');
+  assert.strictEqual(describeProviders().cache, null);
+
+  // Test 4: expiry and the disk tier
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-cache-test-'));
+  try {
+    const cache = createResponseCache({ dir, maxEntries: 2 });
+    await cache.set('weather.live.forecast', '10.00,77.00|{}', { rain: 12 });
+    assert.deepStrictEqual((await cache.get('weather.live.forecast', '10.00,77.00|{}', 60000)).value, { rain: 12 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await cache.get('weather.live.forecast', '10.00,77.00|{}', 1), undefined, 'Stale entries are misses');
+
+    const restarted = createResponseCache({ dir });
+    assert.deepStrictEqual((await restarted.get('weather.live.forecast', '10.00,77.00|{}', 60000)).value, { rain: 12 }, 'A new process reads the disk tier');
+    assert.strictEqual(restarted.stats().disk_hits, 1);
+
+    await cache.set('a', '1', 1);
+    await cache.set('a', '2', 2);
+    assert.strictEqual(cache.stats().entries, 2, 'Memory keeps at most maxEntries');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('All tests passed ✅');
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
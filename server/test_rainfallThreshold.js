@@ -0,0 +1,70 @@
+const assert = require('assert');
+const {
+  detectRainfallEvent,
+  evaluateRainfallThresholds,
+  combineWarningLevels,
+  parseThresholdOptions
+} = require('./rainfallThreshold');
+const { computeAntecedentIndex, parseAntecedentOptions } = require('./antecedentRainfall');
+
+console.log('Running rainfall threshold tests...');
+
+const dry = (n) => new Array(n).fill(0);
+const wet = (n, mm) => new Array(n).fill(mm);
+
+// Test 1: the event starts after the last dry spell of minDryHours
+const series = [...wet(5, 3), ...dry(30), ...wet(10, 4), ...dry(3)];
+const event = detectRainfallEvent(series, { minDryHours: 24, wetHourMm: 0.2 });
+console.log('Event:', event);
+assert.strictEqual(event.duration_h, 10, 'Only the rain after the 30 h dry spell belongs to the event');
+assert.strictEqual(event.cumulative_mm, 40);
+assert.strictEqual(event.hours_since_end, 3);
+
+// Test 2: no rain, no event and a Green verdict
+const calm = evaluateRainfallThresholds(dry(168));
+assert.strictEqual(calm.event, null);
+assert.strictEqual(calm.level, 'Green');
+
+// Test 3: an extremely heavy day crosses the IMD tiers and the ID curves
+const storm = evaluateRainfallThresholds([...dry(144), ...wet(24, 10)]);
+console.log('Storm verdict:', storm.level, storm.cumulative.map(t => `${t.name}:${t.exceeded}`).join(', '));
+assert.strictEqual(storm.level, 'Red', '240 mm in 24 h is extremely heavy rainfall');
+assert(storm.id_curves.every(c => c.exceeded), '10 mm/h for 24 h exceeds both default ID curves');
+
+// Test 4: combined warning takes the more severe of FoS and rainfall
+const combined = combineWarningLevels('Medium', storm);
+assert.strictEqual(combined.level, 'Red');
+assert.deepStrictEqual(combined.drivers, ['rainfall_threshold']);
+assert.strictEqual(combineWarningLevels('High', calm).level, 'Orange');
+
+// Test 5: malformed threshold overrides are rejected
+assert.throws(() => parseThresholdOptions({ idCurves: [{ a: -1, b: 0.4 }] }), /a must be positive/);
+assert.throws(() => parseThresholdOptions({ cumulative: [{ hours: 24, mm: 50, level: 'Purple' }] }), /level must be one of/);
+assert.throws(() => parseThresholdOptions({ idCurves: [{ a: 'many', b: 0.4 }] }), /a must be positive/);
+assert.throws(() => parseThresholdOptions({ idCurves: [{ a: 2, b: 0.4, minDuration: 'soon' }] }), /0 <= minDuration < maxDuration/);
+assert.throws(() => parseThresholdOptions({ idCurves: [{ a: 2, b: 0.4, minDuration: 48, maxDuration: 24 }] }), /0 <= minDuration < maxDuration/);
+assert.throws(() => parseThresholdOptions({ idCurves: [{ a: 2, b: 0.4, maxDuration: null }] }), /0 <= minDuration < maxDuration/);
+
+// Curve values sent as strings are used as numbers; no maximum leaves the curve open-ended
+const [curve] = parseThresholdOptions({ idCurves: [{ a: '2.2', b: '0.44', minDuration: '1' }] }).idCurves;
+assert.deepStrictEqual([curve.a, curve.b, curve.minDuration, curve.maxDuration], [2.2, 0.44, 1, Infinity]);
+// So are cumulative tiers and the event detection settings
+const stringy = parseThresholdOptions({ minDryHours: '12', wetHourMm: '0.5', cumulative: [{ hours: '24', mm: '50' }] });
+assert.deepStrictEqual([stringy.minDryHours, stringy.wetHourMm], [12, 0.5]);
+assert.deepStrictEqual([stringy.cumulative[0].hours, stringy.cumulative[0].mm], [24, 50]);
+assert.throws(() => parseThresholdOptions({ cumulative: [{ hours: 24, mm: 'lots' }] }), /hours must be at least 1 and mm positive/);
+assert.throws(() => parseThresholdOptions({ minDryHours: 'never' }), /minDryHours must be at least 1/);
+
+// Test 6: antecedent index - recent rain weighs more than older rain
+const days = (values) => values.map((v, i) => ({ date: `2024-07-${String(i + 1).padStart(2, '0')}`, precipitation: v }));
+const recent = computeAntecedentIndex(days([...new Array(29).fill(0), 50]), { decay: 0.9, days: 30 });
+const older = computeAntecedentIndex(days([50, ...new Array(29).fill(0)]), { decay: 0.9, days: 30 });
+const outside = computeAntecedentIndex(days([50, ...new Array(29).fill(0)]), { decay: 0.9, days: 7 });
+console.log('API recent:', recent.index, 'older:', older.index, 'outside window:', outside.index);
+assert.strictEqual(recent.index, 50, 'Rain today counts in full');
+assert(older.index > 0 && older.index < 5, 'Rain 29 days ago is heavily decayed');
+assert.strictEqual(outside.index, 0, 'Rain outside the window does not count');
+assert.strictEqual(recent.contributing_days[0].days_ago, 0);
+assert.throws(() => parseAntecedentOptions({ days: 200 }), /days must be an integer/);
+
+console.log('All tests passed ✅');
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { initSoils, getRasterSoilComposition, getSoilFractions, getSoilProperties } = require('./soilRaster');
+
+console.log('Running soil raster tests...');
+
+(async () => {
+  const loaded = await initSoils();
+  assert(loaded, 'Bundled soil rasters should load');
+
+  // Test 1: Western Ghats (Munnar) sits in the clayey laterite belt
+  const munnar = getRasterSoilComposition(10.09, 77.06);
+  console.log('Munnar raster soil:', munnar);
+  assert(munnar, 'Munnar should be covered by the rasters');
+  assert.strictEqual(munnar.fraction_class, 'clayey', 'Munnar should be dominated by the clayey fraction');
+  assert(Math.abs(munnar.clay + munnar.sand + munnar.silt - 100) < 0.5, 'Texture percentages should sum to 100');
+
+  // Test 2: Indo-Gangetic plain (Delhi) is loamy
+  const delhi = getRasterSoilComposition(28.6, 77.2, { method: 'bilinear' });
+  console.log('Delhi raster soil:', delhi);
+  assert.strictEqual(delhi.fraction_class, 'loamy', 'Delhi should be dominated by the loamy fraction');
+  assert.strictEqual(delhi.sampling, 'bilinear');
+
+  // Test 3: open sea and points outside the grid have no coverage
+  assert.strictEqual(getSoilFractions(10, 70), null, 'Arabian Sea should return no coverage');
+  assert.strictEqual(getRasterSoilComposition(51.5, 0), null, 'Points outside the grid should return null');
+
+  // Test 4: getSoilProperties reports where its texture came from
+  assert.strictEqual(getSoilProperties(10.09, 77.06).source, 'Soil Class Rasters');
+  assert.strictEqual(getSoilProperties(51.5, 0).source, 'Estimated');
+
+  console.log('All tests passed ✅');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,5 +1,5 @@
 const assert = require('assert');
-const { computeSoilStrength, getStrengthFromDepth, calculateRisk } = require('./index');
+const { computeSoilStrength, getStrengthFromDepth, calculateRisk, calculateFailureProbability, sweepSlipDepth, buildForecastTimeline, anchorProfile } = require('./index');
 
 console.log('Running soil strength tests...');
 
@@ -31,4 +31,119 @@ console.log('Silt low output:', rSiltLow.details);
 console.log('Silt high output:', rSiltHigh.details);
 assert(rSiltHigh.details.computed_cohesion > rSiltLow.details.computed_cohesion, 'Higher silt should increase computed cohesion slightly');
 
+// Test 4: layered profile - the texture of the layer containing the slip surface is used
+const profile = [
+  { top_cm: 0, bottom_cm: 100, clay: 10, sand: 60, silt: 30 },
+  { top_cm: 100, bottom_cm: 200, clay: 45, sand: 20, silt: 35 }
+];
+const shallow = calculateRisk({ depth: 0.5, slope: 20, rain_7day: 0, clay: 10, sand: 60, silt: 30, profile });
+const deep = calculateRisk({ depth: 5.0, slope: 20, rain_7day: 0, clay: 10, sand: 60, silt: 30, profile });
+console.log('Shallow layer:', shallow.details.soil_layer);
+console.log('Deep layer:', deep.details.soil_layer);
+assert.strictEqual(shallow.details.soil_layer.top_cm, 0, 'Slip at 0.5 m should lie in the 0-100 cm layer');
+assert.strictEqual(deep.details.soil_layer.top_cm, 100, 'Slip below the profile should use the deepest layer');
+const deepTopsoil = calculateRisk({ depth: 5.0, slope: 20, rain_7day: 0, clay: 10, sand: 60, silt: 30 });
+assert(deep.details.computed_cohesion > deepTopsoil.details.computed_cohesion, 'Clayey deep layer should raise cohesion over the sandy topsoil');
+
+// A profile anchored to the raster texture keeps the change with depth, not the SoilGrids texture
+const anchored = anchorProfile(profile, { clay: 30, sand: 40, silt: 30 });
+assert.deepStrictEqual(anchored.map(l => [l.clay, l.sand, l.silt]), [[30, 40, 30], [65, 0, 35]]);
+assert.strictEqual(anchorProfile([{ ...profile[0], clay: 60, sand: 10, silt: 30 }], { clay: 50, sand: 60, silt: 0 })[0].silt, 0, 'Fractions stay within 100%');
+
+// Test 5: depth sweep reports the minimum FoS as the critical depth and reaches the 10 m limit
+const sweep = sweepSlipDepth({ slope: 35, humidity: 80, rain_7day: 100, clay: 40, sand: 30, silt: 30 });
+console.log('Critical depth:', sweep.critical.depth, 'FoS:', sweep.critical.prediction.FoS);
+assert.strictEqual(sweep.curve[sweep.curve.length - 1].depth, 10, 'Sweep should end at the 10 m strength table limit');
+assert.strictEqual(sweep.critical.prediction.FoS, Math.min(...sweep.curve.map(p => p.FoS)), 'Critical depth should have the minimum FoS');
+assert.strictEqual(getStrengthFromDepth(10), getStrengthFromDepth(9), 'A 10 m slip should use the deepest strength band');
+
+// Test 6: probabilistic mode is reproducible for a seed and tracks the deterministic trend
+const steepWet = { depth: 3.0, slope: 35, humidity: 90, rain_7day: 150, clay: 30, sand: 40, silt: 30 };
+const gentleDry = { depth: 3.0, slope: 15, humidity: 60, rain_7day: 0, clay: 30, sand: 40, silt: 30 };
+const mc1 = calculateFailureProbability(steepWet, { iterations: 1000, seed: 42 });
+const mc2 = calculateFailureProbability(steepWet, { iterations: 1000, seed: 42 });
+const mcDry = calculateFailureProbability(gentleDry, { iterations: 1000, seed: 42 });
+console.log('Steep wet P_f:', mc1.probability_of_failure, 'Gentle dry P_f:', mcDry.probability_of_failure);
+assert.deepStrictEqual(mc1, mc2, 'Same seed should reproduce the same result');
+assert(mc1.probability_of_failure > mcDry.probability_of_failure, 'Steep wet slope should have a higher probability of failure');
+assert(mc1.FoS_percentiles.p5 <= mc1.FoS_percentiles.p50 && mc1.FoS_percentiles.p50 <= mc1.FoS_percentiles.p95, 'Percentiles should be ordered');
+
+// Test 7: infiltration model - a sustained storm raises the pressure head and lowers FoS
+const iverson = { infiltration: { model: 'iverson', water_table_depth: 5, diffusivity: 5e-4, permeability: null } };
+const slopeSite = { depth: 2.0, slope: 35, humidity: 85, clay: 45, sand: 25, silt: 30, permeability: 1.5 };
+const dryRun = calculateRisk({ ...slopeSite, rain_hourly: new Array(168).fill(0) }, iverson);
+const stormRun = calculateRisk({ ...slopeSite, rain_hourly: [...new Array(120).fill(0), ...new Array(48).fill(12)] }, iverson);
+console.log('Iverson dry:', dryRun.details.infiltration.pressure_head, 'storm:', stormRun.details.infiltration.pressure_head);
+assert.strictEqual(stormRun.details.pore_pressure_model, 'iverson');
+assert(stormRun.details.infiltration.pressure_head > dryRun.details.infiltration.pressure_head, 'Storm should raise the pressure head at the slip depth');
+assert(stormRun.FoS < dryRun.FoS, 'Storm should lower the FoS under the infiltration model');
+assert.strictEqual(calculateRisk(slopeSite).details.infiltration, null, 'Heuristic model is the default');
+
+// Test 8: forecast timeline carries antecedent rain forward day by day
+const fcDates = Array.from({ length: 14 }, (_, i) => new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10));
+const fcRain = [...new Array(10).fill(0), 40, 60, 60, 0];
+const forecast = {
+  daily: fcDates.map((date, i) => ({ date, precipitation: fcRain[i], humidity: 85, temperature: 24, forecast: i >= 10 })),
+  hourly: {
+    time: fcDates.flatMap(d => Array.from({ length: 24 }, (_, h) => `${d}T${String(h).padStart(2, '0')}:00`)),
+    precipitation: fcRain.flatMap(r => new Array(24).fill(r / 24))
+  }
+};
+const timeline = buildForecastTimeline(forecast, { slope: 30, depth: 3, clay: 35, sand: 35, silt: 30 }, { antecedent: { decay: 0.9, days: 30 } });
+console.log('Forecast FoS:', timeline.map(d => `${d.date}:${d.FoS}`).join(' '));
+assert.strictEqual(timeline.length, 4, 'Only forecast days appear in the timeline');
+assert(timeline[2].antecedent_index > timeline[0].antecedent_index, 'Antecedent index should accumulate over wet days');
+assert(timeline[2].FoS <= timeline[0].FoS, 'FoS should not rise while rain keeps falling');
+
+// Test 9: land cover sets root cohesion (tapering with depth) and surcharge
+const { LAND_COVER_CLASSES, parseLandCoverOptions } = require('./landCover');
+const coverSite = { slope: 30, rain_7day: 0, clay: 30, sand: 40, silt: 30 };
+const withCover = (cls, depth) => calculateRisk({ ...coverSite, depth, land_cover: { class: cls, ...LAND_COVER_CLASSES[cls] } });
+const forest = withCover('tree_cover', 1.0);
+const bare = withCover('bare', 1.0);
+console.log('Forest FoS:', forest.FoS, 'root cohesion:', forest.details.root_cohesion_added, '| bare FoS:', bare.FoS);
+assert(forest.FoS > bare.FoS, 'Tree roots should stabilise the slope');
+assert.strictEqual(bare.details.root_cohesion_added, 0, 'Bare ground has no root cohesion');
+assert(withCover('tree_cover', 0.5).details.root_cohesion_added > forest.details.root_cohesion_added, 'Root cohesion should taper with depth');
+assert.strictEqual(withCover('tree_cover', 4.0).details.root_cohesion_added, 0, 'No roots below the rooting depth');
+const builtUp = withCover('built_up', 1.0);
+assert.strictEqual(builtUp.details.surcharge, 10, 'Built-up land carries a surcharge');
+assert(builtUp.shear_stress > bare.shear_stress, 'Surcharge should add to the driving stress');
+assert.strictEqual(calculateRisk({ ...coverSite, depth: 1.0 }).details.land_cover, 'tree_cover', 'Default land cover applies without a lookup');
+assert.throws(() => parseLandCoverOptions({ class: 'lava' }), /class must be one of/);
+assert.throws(() => parseLandCoverOptions({ root_decay: 0 }), /root_decay must be positive/);
+
+// Test 10: pseudo-static seismic loading and the Newmark yield acceleration
+const { getSeismicZone, parseSeismicOptions, resolveSeismicCoefficients } = require('./seismic');
+const quakeSite = { depth: 2.0, slope: 30, rain_7day: 50, clay: 30, sand: 40, silt: 30 };
+const shaken = calculateRisk(quakeSite, { seismic: { kh: 0.12, kv: 0 } });
+console.log('Seismic:', shaken.seismic);
+assert.strictEqual(calculateRisk(quakeSite).seismic, null, 'No seismic result unless requested');
+assert.strictEqual(shaken.seismic.static_FoS, shaken.FoS, 'The headline FoS stays static');
+assert(shaken.seismic.seismic_FoS < shaken.FoS, 'Shaking should lower the FoS');
+const atYield = calculateRisk(quakeSite, { seismic: { kh: shaken.seismic.critical_acceleration, kv: 0 } });
+assert(Math.abs(atYield.seismic.seismic_FoS - 1) < 0.02, 'FoS should be 1 at the yield acceleration');
+assert.strictEqual(getSeismicZone(10.0, 76.5).zone, 'III', 'Kerala is zone III');
+assert.strictEqual(getSeismicZone(25.57, 91.88).zone, 'V', 'Shillong is zone V');
+assert.strictEqual(getSeismicZone(28.61, 77.21).zone, 'IV', 'Delhi is zone IV');
+assert.strictEqual(resolveSeismicCoefficients(10.0, 76.5, parseSeismicOptions(true)).kh, 0.08, 'kh is half the zone factor');
+assert.throws(() => parseSeismicOptions({ kh: 2 }), /kh must be between/);
+
+// Test 11: one-at-a-time sensitivity ranks the inputs by FoS swing
+const { parseSensitivityOptions, runSensitivity } = require('./sensitivity');
+const sensSite = { depth: 2.0, slope: 35, humidity: 80, rain_7day: 80, clay: 30, sand: 40, silt: 30, profile };
+const sens = runSensitivity(sensSite, (f, strength) => calculateRisk(f, { strength }), parseSensitivityOptions({}));
+console.log('Sensitivity ranking:', sens.ranking.map(r => `${r.name}:${r.swing}`).join(' '));
+assert.strictEqual(sens.parameters.length, 9, 'Every input is swept by default');
+assert.strictEqual(sens.ranking[0].swing, Math.max(...sens.parameters.map(p => p.swing)), 'Largest swing ranks first');
+const byName = Object.fromEntries(sens.parameters.map(p => [p.name, p]));
+assert.strictEqual(byName.slope.response.length, 5, 'Two steps either side plus the base value');
+assert(byName.slope.gradient < 0 && byName.rain_7day.gradient < 0, 'Steeper and wetter should lower the FoS');
+assert(byName.cohesion.gradient > 0 && byName.friction_angle.gradient > 0, 'Stronger soil should raise the FoS');
+assert.strictEqual(sens.ranking.find(r => r.name === 'cohesion').destabilising, 'decrease');
+const clayUp = byName.clay.response[byName.clay.response.length - 1];
+assert.notStrictEqual(clayUp.FoS, sens.base.FoS, 'Texture changes reach the profile layer at the slip depth');
+assert.throws(() => parseSensitivityOptions({ parameters: ['wind'] }), /parameters must be drawn from/);
+assert.throws(() => parseSensitivityOptions({ steps: 0 }), /steps must be an integer/);
+
 console.log('All tests passed ✅');
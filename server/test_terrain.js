@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { analyseTerrain, parseTerrainOptions } = require('./terrain');
+
+console.log('Running terrain tests...');
+
+const spacing = 30;
+const makeGrid = (size, fn) => {
+  const half = (size - 1) / 2;
+  const grid = [];
+  // rows run north to south
+  for (let r = 0; r < size; r++) {
+    const row = [];
+    for (let c = 0; c < size; c++) {
+      const x = (c - half) * spacing; // east
+      const y = (half - r) * spacing; // north
+      row.push(fn(x, y));
+    }
+    grid.push(row);
+  }
+  return grid;
+};
+
+// Test 1: a plane dropping towards the east at 30° faces east with no curvature
+const tan30 = Math.tan(30 * Math.PI / 180);
+const eastFacing = analyseTerrain(makeGrid(5, (x) => 500 - x * tan30), spacing, spacing);
+console.log('East-facing plane:', eastFacing);
+assert(Math.abs(eastFacing.slope - 30) < 0.01, 'Slope should be 30°');
+assert(Math.abs(eastFacing.aspect - 90) < 0.1, 'Aspect should be east (90°)');
+assert(Math.abs(eastFacing.plan_curvature) < 1e-6 && Math.abs(eastFacing.profile_curvature) < 1e-6, 'A plane has no curvature');
+
+// Test 2: ground rising to the north faces south and the centre collects the cells upslope
+const southFacing = analyseTerrain(makeGrid(5, (x, y) => 500 + y * 0.5), spacing, spacing);
+console.log('South-facing plane:', southFacing);
+assert.strictEqual(southFacing.aspect, 180, 'Aspect should be south (180°)');
+assert(southFacing.contributing_area >= 3 * spacing * spacing, 'Centre should receive flow from the cells upslope');
+
+// Flat ground has no aspect
+assert.strictEqual(analyseTerrain(makeGrid(3, () => 100), spacing, spacing).aspect, null, 'Flat ground should have no aspect');
+
+// Test 3: a valley (hollow) converges flow; a ridge (nose) diverges it
+const hollow = analyseTerrain(makeGrid(5, (x, y) => 500 + y * 0.5 + 0.01 * x * x), spacing, spacing);
+const nose = analyseTerrain(makeGrid(5, (x, y) => 500 + y * 0.5 - 0.01 * x * x), spacing, spacing);
+console.log('Hollow:', hollow, 'Nose:', nose);
+assert(hollow.plan_curvature < 0 && nose.plan_curvature > 0, 'Plan curvature should be negative in hollows and positive on noses');
+assert(hollow.contributing_area > nose.contributing_area, 'Hollows should collect more upslope area than noses');
+
+// Ground steepening downhill is convex along the fall line
+const convex = analyseTerrain(makeGrid(5, (x, y) => 500 + y * 0.5 - 0.01 * y * y), spacing, spacing);
+const concave = analyseTerrain(makeGrid(5, (x, y) => 500 + y * 0.5 + 0.01 * y * y), spacing, spacing);
+assert(convex.profile_curvature > 0 && concave.profile_curvature < 0, 'Profile curvature should be positive on convex and negative on concave slopes');
+
+// Test 4: options are validated
+assert.deepStrictEqual(parseTerrainOptions({ window: 3, resolution: 30 }), { window: 3, resolution: 30 });
+assert.throws(() => parseTerrainOptions({ window: 4 }), /odd integer/);
+assert.throws(() => parseTerrainOptions({ resolution: 5 }), /resolution must be between/);
+
+console.log('All tests passed ✅');
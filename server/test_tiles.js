@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { encodePng } = require('./png');
+const {
+  TILE_SIZE,
+  parseColorRamp,
+  parseTileRequest,
+  tileBounds,
+  tileCellSize,
+  renderTile,
+  gridClassAt,
+  createTileCache
+} = require('./tiles');
+const { buildAreaGrid } = require('./hazardGrid');
+
+console.log('Running hazard tile tests...');
+
+// Decode the RGBA pixels of an unfiltered PNG from encodePng
+const decodePng = (png) => {
+  assert.strictEqual(png.subarray(1, 4).toString('ascii'), 'PNG');
+  let pos = 8;
+  let width, height;
+  const idat = [];
+  while (pos < png.length) {
+    const length = png.readUInt32BE(pos);
+    const type = png.subarray(pos + 4, pos + 8).toString('ascii');
+    const data = png.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+    }
+    if (type === 'IDAT') idat.push(data);
+    pos += 12 + length;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixel = (x, y) => [...raw.subarray(y * (width * 4 + 1) + 1 + x * 4, y * (width * 4 + 1) + 5 + x * 4)];
+  return { width, height, pixel };
+};
+
+(async () => {
+  // Test 1: PNG encoding round trip
+  const rgba = new Uint8Array(2 * 2 * 4);
+  rgba.set([255, 0, 0, 255], 0);
+  rgba.set([0, 0, 255, 128], 12);
+  const small = decodePng(encodePng(2, 2, rgba));
+  assert.strictEqual(small.width, 2);
+  assert.deepStrictEqual(small.pixel(0, 0), [255, 0, 0, 255]);
+  assert.deepStrictEqual(small.pixel(1, 1), [0, 0, 255, 128]);
+  assert.deepStrictEqual(small.pixel(1, 0), [0, 0, 0, 0]);
+
+  // Test 2: tile coordinates and bounds
+  assert.deepStrictEqual(parseTileRequest({ z: '8', x: '183', y: '121' }), { z: 8, x: 183, y: 121 });
+  assert.throws(() => parseTileRequest({ z: '8', x: '256', y: '0' }), /between 0 and 255/);
+  assert.throws(() => parseTileRequest({ z: 'a', x: '0', y: '0' }), /z must be/);
+  assert.throws(() => parseTileRequest({ z: '3', x: '-1', y: '0' }), /x and y/);
+  const world = tileBounds({ z: 0, x: 0, y: 0 });
+  assert.strictEqual(world.west, -180);
+  assert(Math.abs(world.north - 85.0511) < 1e-4, 'Web Mercator stops at ~85.05°');
+  const kerala = tileBounds({ z: 8, x: 182, y: 120 });
+  console.log('Tile 8/182/120:', kerala);
+  assert(kerala.west < 76.27 && kerala.east > 76.27 && kerala.south < 10.85 && kerala.north > 10.85);
+  assert(Math.abs(tileCellSize(kerala) * 16 / 111320 - (kerala.north - kerala.south)) < 1e-9);
+
+  // Test 3: colour ramps
+  const ramp = parseColorRamp();
+  assert.strictEqual(ramp.id, 'default');
+  assert.deepStrictEqual(ramp.colors.High, [0xdc, 0x26, 0x26, 255]);
+  assert.strictEqual(parseColorRamp('colorblind').id, 'colorblind');
+  const custom = parseColorRamp('{"Low":"#00000000","Medium":"#ffff00","High":"#ff8000","Extreme":"#ff0000cc"}');
+  assert(custom.id.startsWith('custom-'));
+  assert.deepStrictEqual(custom.colors.Extreme, [255, 0, 0, 0xcc]);
+  assert.strictEqual(parseColorRamp({ Low: '#00000000', Medium: '#FFFF00', High: '#ff8000', Extreme: '#ff0000cc' }).id, custom.id,
+    'Equal custom ramps share a cache id');
+  assert.throws(() => parseColorRamp('rainbow'), /ramp must be one of/);
+  assert.throws(() => parseColorRamp({ Low: '#000000', Medium: '#000000', High: '#000000' }), /Extreme/);
+  assert.throws(() => parseColorRamp({ Low: '#000000', Medium: '#000000', High: '#000000', Extreme: '#000000', Severe: '#000000' }), /Severe/);
+
+  // Test 4: rendering a grid - west half High, east half water
+  const tile = { z: 12, x: 2915, y: 1925 };
+  const b = tileBounds(tile);
+  const grid = buildAreaGrid({ bbox: [b.west, b.south, b.east, b.north], polygon: null, cellSize: tileCellSize(b) });
+  const codes = grid.cells.map(c => (c.lon < (b.west + b.east) / 2 ? 3 : 5));
+  const image = decodePng(renderTile(tile, gridClassAt(grid, codes), ramp));
+  assert.strictEqual(image.width, TILE_SIZE);
+  assert.strictEqual(image.height, TILE_SIZE);
+  assert.deepStrictEqual(image.pixel(10, 128), ramp.colors.High);
+  assert.deepStrictEqual(image.pixel(250, 128), [0, 0, 0, 0], 'Water is transparent');
+
+  // Test 5: disk cache - hits, expiry and shared in-flight renders
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiles-test-'));
+  try {
+    let renders = 0;
+    const render = async () => {
+      renders++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return encodePng(2, 2, rgba);
+    };
+    const cache = createTileCache({ dir, ttlMs: 60000 });
+    const [a, c] = await Promise.all([cache.get('p/default/12/1/2', render), cache.get('p/default/12/1/2', render)]);
+    assert.strictEqual(renders, 1, 'Concurrent requests share one render');
+    assert(!a.cached && !c.cached);
+    assert(fs.existsSync(path.join(dir, 'p/default/12/1/2.png')));
+    const hit = await cache.get('p/default/12/1/2', render);
+    assert(hit.cached && hit.png.equals(a.png));
+    assert.strictEqual(renders, 1);
+
+    const expired = createTileCache({ dir, ttlMs: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual((await expired.get('p/default/12/1/2', render)).cached, false, 'Expired tiles are re-rendered');
+    assert.strictEqual(renders, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('All tests passed ✅');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
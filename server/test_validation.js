@@ -0,0 +1,108 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseInventoryCsv,
+  parseInventoryGeoJson,
+  confusionMatrix,
+  rocCurve,
+  suggestThresholds,
+  buildValidationReport
+} = require('./validation');
+const { calculateRisk } = require('./index');
+const { getParameterProfile } = require('./profiles');
+const { report } = require('./validate');
+
+console.log('Running inventory validation tests...');
+
+// Test 1: CSV inventory with quoted fields and alternative column names
+const csv = [
+  'id,latitude,lng,date,event,"note"',
+  'A1,10.1,76.9,2018-08-16,yes,"Debris flow, Idukki"',
+  'A2,10.2,77.0,,0,"Stable ""control"" slope"',
+  '# comment lines are ignored',
+  'A3,10.3,77.1,2019-08-08T06,landslide,'
+].join('\n');
+const csvPoints = parseInventoryCsv(csv);
+console.log('CSV points:', csvPoints);
+assert.strictEqual(csvPoints.length, 3);
+assert.deepStrictEqual(csvPoints[0], { id: 'A1', lat: 10.1, lon: 76.9, date: '2018-08-16', event: true });
+assert.strictEqual(csvPoints[1].date, null, 'Undated points use realtime weather');
+assert.strictEqual(csvPoints[1].event, false);
+assert.strictEqual(csvPoints[2].event, true);
+assert.throws(() => parseInventoryCsv('lat,lon,event\n10,76,maybe'), /event must be/);
+assert.throws(() => parseInventoryCsv('lat,lon,event\n100,76,1'), /invalid coordinates/);
+assert.throws(() => parseInventoryCsv('lat,lon,event,date\n10,76,1,16/08/2018'), /date must be/);
+
+// Test 2: GeoJSON inventory
+const geoPoints = parseInventoryGeoJson(JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', id: 'g1', geometry: { type: 'Point', coordinates: [76.9, 10.1] }, properties: { event: true, date: '2018-08-16' } },
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [77.0, 10.2] }, properties: { event: 0 } }
+  ]
+}));
+assert.deepStrictEqual(geoPoints[0], { id: 'g1', lat: 10.1, lon: 76.9, date: '2018-08-16', event: true });
+assert.strictEqual(geoPoints[1].id, '2', 'Points without an id are numbered');
+assert.strictEqual(geoPoints[1].event, false);
+assert.throws(() => parseInventoryGeoJson({ type: 'Feature' }), /FeatureCollection/);
+
+// Test 3: confusion matrix predicts a landslide below the threshold
+const separated = [
+  { FoS: 0.8, event: true }, { FoS: 1.1, event: true }, { FoS: 1.2, event: true },
+  { FoS: 1.5, event: false }, { FoS: 1.9, event: false }, { FoS: 2.4, event: false }
+];
+const m = confusionMatrix(separated, 1.3);
+assert.deepStrictEqual([m.tp, m.fp, m.tn, m.fn], [3, 0, 3, 0]);
+assert.strictEqual(m.sensitivity, 1);
+const strict = confusionMatrix(separated, 1.0);
+assert.deepStrictEqual([strict.tp, strict.fn], [1, 2]);
+assert.strictEqual(strict.specificity, 1);
+
+// Test 4: ROC/AUC - perfect separation, inverted ranking and ties
+assert.strictEqual(rocCurve(separated).auc, 1);
+assert.strictEqual(rocCurve(separated.map(r => ({ ...r, event: !r.event }))).auc, 0);
+const tied = [{ FoS: 1.2, event: true }, { FoS: 1.2, event: false }];
+assert.strictEqual(rocCurve(tied).auc, 0.5, 'A tie counts half');
+assert.strictEqual(rocCurve([{ FoS: 1, event: true }]).auc, null, 'AUC needs both classes');
+
+// Test 5: suggested thresholds separate the classes
+const rep = buildValidationReport(separated.map((r, i) => ({ ...r, id: String(i), risk_level: 'Low' })), getParameterProfile().risk_thresholds);
+console.log('Suggested thresholds:', rep.suggested_thresholds);
+const { High, Extreme, Medium, youden_J } = rep.suggested_thresholds;
+assert.strictEqual(youden_J, 1);
+assert(High > 1.2 && High < 1.5, 'Youden optimum falls between the classes');
+assert(Extreme < High && High < Medium, 'Suggestions are strictly increasing');
+assert.deepStrictEqual(rep.suggested_thresholds.notes, []);
+const collapsed = suggestThresholds(rocCurve([{ FoS: 1, event: true }, { FoS: 2, event: false }]));
+assert.strictEqual(collapsed.High, 1.5);
+assert.strictEqual(collapsed.Extreme, null, 'No separate Extreme below High');
+assert.strictEqual(collapsed.Medium, 2);
+assert.match(collapsed.notes[0], /Extreme not suggested/);
+assert.deepStrictEqual(Object.keys(rep.confusion), ['Extreme', 'High', 'Medium']);
+assert.deepStrictEqual(rep.risk_levels, { Low: { events: 3, non_events: 3 } });
+
+// Test 6: the report stage scores recorded inputs offline with the live model
+const base = { slope: 20, rain_7day: 0, clay: 30, sand: 40, silt: 30, elevation: 500 };
+const recorded = {
+  records: [
+    { id: 'steep-wet', lat: 10, lon: 76, date: '2018-08-16', event: true, features: { ...base, slope: 42, rain_7day: 300 } },
+    { id: 'gentle-dry', lat: 10, lon: 76, date: null, event: false, features: base },
+    { id: 'lake', lat: 10, lon: 76, date: null, event: false, skipped: 'water body' }
+  ]
+};
+const tmp = path.join(os.tmpdir(), `validate-${process.pid}.json`);
+fs.writeFileSync(tmp, JSON.stringify(recorded));
+try {
+  const out = report(tmp, null, { depth: 2 });
+  assert.strictEqual(out.model, 'infinite-slope');
+  assert.strictEqual(out.points, 2);
+  assert.deepStrictEqual(out.skipped, [{ id: 'lake', reason: 'water body' }]);
+  assert.strictEqual(out.results[0].FoS, calculateRisk({ ...recorded.records[0].features, depth: 2 }).FoS);
+  assert.strictEqual(out.roc.auc, 1);
+} finally {
+  fs.unlinkSync(tmp);
+}
+
+console.log('All tests passed ✅');
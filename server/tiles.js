@@ -0,0 +1,288 @@
+/**
+ * Hazard Tiles Module
+ * XYZ (Web Mercator) map tiles of the risk_level bands: tile math, colour
+ * ramps, rendering from a precomputed raster or an evaluated grid, and the
+ * on-disk tile cache
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { fromFile } = require("geotiff");
+const { encodePng } = require("./png");
+const { RISK_CLASS_CODES } = require("./hazardGrid");
+
+const TILE_SIZE = 256; // px
+const MAX_ZOOM = 22;
+
+// On-demand tiles evaluate this many grid cells per side
+const TILE_CELLS = 16;
+
+// Zoom range with on-demand evaluation: lower zooms need too many cells,
+// higher ones are finer than the elevation data
+const TILE_MIN_ZOOM = Number(process.env.TILE_MIN_ZOOM) || 8;
+const TILE_MAX_ZOOM = Number(process.env.TILE_MAX_ZOOM) || 16;
+
+const TILE_CACHE_DIR = process.env.TILE_CACHE_DIR || path.join(os.tmpdir(), "landslide-tiles");
+// Weather changes, so cached tiles expire (ms)
+const TILE_CACHE_TTL_MS = Number(process.env.TILE_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+const RISK_LEVELS = Object.keys(RISK_CLASS_CODES);
+
+// Named ramps: one #RRGGBB or #RRGGBBAA colour per risk level (water and no data stay transparent)
+const COLOR_RAMPS = {
+  default: { Low: "#16a34a", Medium: "#f97316", High: "#dc2626", Extreme: "#7f1d1d" },
+  colorblind: { Low: "#fde725", Medium: "#35b779", High: "#31688e", Extreme: "#440154" },
+  "high-only": { Low: "#00000000", Medium: "#00000000", High: "#dc2626", Extreme: "#7f1d1d" }
+};
+
+const parseHex = (level, value) => {
+  const match = typeof value === "string" && /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+  if (!match) throw new Error(`colour for ${level} must be #RRGGBB or #RRGGBBAA`);
+  const hex = match[1].length === 6 ? `${match[1]}ff` : match[1];
+  return [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2), 16));
+};
+
+/**
+ * Resolve a colour ramp
+ * @param {string|object} raw - A COLOR_RAMPS name, or { Low, Medium, High, Extreme } hex colours
+ *   (defaults to the TILE_COLOR_RAMP environment variable, a name or JSON object)
+ * @returns {object} { id, colors: { level: [r, g, b, a] } }
+ * @throws {Error} When the name is unknown or a colour is missing or invalid
+ */
+const parseColorRamp = (raw = process.env.TILE_COLOR_RAMP) => {
+  let ramp = raw === undefined || raw === "" ? "default" : raw;
+  if (typeof ramp === "string" && ramp.trim().startsWith("{")) {
+    try {
+      ramp = JSON.parse(ramp);
+    } catch (err) {
+      throw new Error(`colour ramp is not valid JSON: ${err.message}`);
+    }
+  }
+
+  let id;
+  let spec;
+  if (typeof ramp === "string") {
+    if (!Object.prototype.hasOwnProperty.call(COLOR_RAMPS, ramp)) {
+      throw new Error(`ramp must be one of ${Object.keys(COLOR_RAMPS).join(", ")}`);
+    }
+    id = ramp;
+    spec = COLOR_RAMPS[ramp];
+  } else if (ramp && typeof ramp === "object" && !Array.isArray(ramp)) {
+    const unknown = Object.keys(ramp).filter(k => !RISK_LEVELS.includes(k));
+    if (unknown.length) throw new Error(`unknown risk level(s) in ramp: ${unknown.join(", ")}`);
+    spec = ramp;
+    // Custom ramps are cached under a hash of their colours
+    const key = RISK_LEVELS.map(level => String(spec[level]).toLowerCase()).join(",");
+    id = `custom-${crypto.createHash("sha1").update(key).digest("hex").slice(0, 10)}`;
+  } else {
+    throw new Error("ramp must be a name or an object of colours");
+  }
+
+  const colors = {};
+  for (const level of RISK_LEVELS) colors[level] = parseHex(level, spec[level]);
+  return { id, colors };
+};
+
+/**
+ * Validate tile coordinates
+ * @param {object} raw - { z, x, y } (strings from the route)
+ * @returns {object} { z, x, y }
+ * @throws {Error} When a coordinate is not an integer in range
+ */
+const parseTileRequest = (raw) => {
+  const [z, x, y] = ["z", "x", "y"].map(k => (/^\d+$/.test(String(raw[k])) ? Number(raw[k]) : NaN));
+  if (!(z >= 0 && z <= MAX_ZOOM)) throw new Error(`z must be an integer between 0 and ${MAX_ZOOM}`);
+  const n = 2 ** z;
+  if (!(x >= 0 && x < n) || !(y >= 0 && y < n)) throw new Error(`x and y must be integers between 0 and ${n - 1} at zoom ${z}`);
+  return { z, x, y };
+};
+
+const tileLon = (x, z) => (x / 2 ** z) * 360 - 180;
+const tileLat = (y, z) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / 2 ** z))) * 180) / Math.PI;
+
+/**
+ * Geographic bounds of a tile
+ * @returns {object} { west, south, east, north }
+ */
+const tileBounds = ({ z, x, y }) => ({
+  west: tileLon(x, z),
+  south: tileLat(y + 1, z),
+  east: tileLon(x + 1, z),
+  north: tileLat(y, z)
+});
+
+/**
+ * Whether a tile may be evaluated on demand
+ */
+const isOnDemandZoom = z => z >= TILE_MIN_ZOOM && z <= TILE_MAX_ZOOM;
+
+/**
+ * Cell size (m) that splits a tile into TILE_CELLS rows
+ */
+const tileCellSize = (bounds) => ((bounds.north - bounds.south) * 111320) / TILE_CELLS;
+
+/**
+ * Paint a tile: every pixel centre is projected back to lat/lon and classified
+ * @param {object} tile - { z, x, y }
+ * @param {function} classAt - (lat, lon) => risk class code (1-4 risk levels, 5 water) or null
+ * @param {object} ramp - From parseColorRamp
+ * @returns {Buffer} PNG
+ */
+const renderTile = (tile, classAt, ramp) => {
+  const byCode = {};
+  for (const level of RISK_LEVELS) byCode[RISK_CLASS_CODES[level]] = ramp.colors[level];
+
+  const rgba = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+  const lons = Array.from({ length: TILE_SIZE }, (_, px) => tileLon(tile.x + (px + 0.5) / TILE_SIZE, tile.z));
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const lat = tileLat(tile.y + (py + 0.5) / TILE_SIZE, tile.z);
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const color = byCode[classAt(lat, lons[px])];
+      if (color) rgba.set(color, (py * TILE_SIZE + px) * 4);
+    }
+  }
+  return encodePng(TILE_SIZE, TILE_SIZE, rgba);
+};
+
+/**
+ * Fully transparent tile (outside the data or the on-demand zoom range)
+ */
+const emptyTile = () => encodePng(TILE_SIZE, TILE_SIZE, new Uint8Array(TILE_SIZE * TILE_SIZE * 4));
+
+/**
+ * Classifier over an evaluated hazard grid (see hazardGrid.buildAreaGrid)
+ * @param {object} grid
+ * @param {Array<number|null>} codes - Risk class code per grid cell
+ */
+const gridClassAt = (grid, codes) => (lat, lon) => {
+  const row = Math.floor((grid.north - lat) / grid.dLat);
+  const col = Math.floor((lon - grid.west) / grid.dLon);
+  if (row < 0 || col < 0 || row >= grid.rows || col >= grid.cols) return null;
+  return codes[row * grid.cols + col];
+};
+
+/**
+ * Classifier over a loaded hazard raster
+ */
+const rasterClassAt = raster => (lat, lon) => {
+  const col = Math.floor((lon - raster.west) / raster.resX);
+  const row = Math.floor((raster.north - lat) / raster.resY);
+  if (row < 0 || col < 0 || row >= raster.height || col >= raster.width) return null;
+  const v = raster.values[row * raster.width + col];
+  return Number.isFinite(v) && v !== raster.noData ? Math.round(v) : null;
+};
+
+/**
+ * Load a precomputed hazard raster: a WGS84 GeoTIFF of risk class codes, such as
+ * the /predict/area GeoTIFF (band 2) or a single-band class raster
+ * @param {string} filePath - Defaults to the HAZARD_RASTER_PATH environment variable
+ * @returns {Promise<object|null>} { path, west, north, resX, resY, width, height, values, noData, bbox }
+ */
+const loadHazardRaster = async (filePath = process.env.HAZARD_RASTER_PATH) => {
+  if (!filePath) return null;
+  try {
+    const tiff = await fromFile(filePath);
+    const image = await tiff.getImage();
+    const bands = await image.readRasters();
+    const [west, north] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    const noData = image.getGDALNoData();
+    const raster = {
+      path: filePath,
+      west,
+      north,
+      resX: Math.abs(resX),
+      resY: Math.abs(resY),
+      width: image.getWidth(),
+      height: image.getHeight(),
+      values: bands.length > 1 ? bands[1] : bands[0],
+      noData: noData === null ? null : Number(noData),
+      bbox: image.getBoundingBox()
+    };
+    console.log(`Loaded hazard raster ${filePath} (${raster.width}x${raster.height})`);
+    return raster;
+  } catch (err) {
+    console.warn("Hazard raster unavailable:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Whether a tile overlaps a raster's bbox
+ */
+const tileIntersects = (bounds, [west, south, east, north]) =>
+  bounds.west < east && bounds.east > west && bounds.south < north && bounds.north > south;
+
+/**
+ * On-disk tile cache with expiry; concurrent requests for one tile share a render.
+ * render resolves to the PNG, or to { png, transient: true, ... } for a tile that
+ * must not be stored (e.g. one built from fallback weather)
+ * @param {object} options
+ * @param {string} options.dir
+ * @param {number} options.ttlMs
+ * @returns {object} { get(key, render) => Promise<{ png, cached, ... }> }
+ */
+const createTileCache = ({ dir = TILE_CACHE_DIR, ttlMs = TILE_CACHE_TTL_MS } = {}) => {
+  const pending = new Map();
+
+  const read = async (file) => {
+    try {
+      const stat = await fs.promises.stat(file);
+      if (Date.now() - stat.mtimeMs > ttlMs) return null;
+      return await fs.promises.readFile(file);
+    } catch {
+      return null;
+    }
+  };
+
+  // Write-then-rename so readers never see a partial tile; a read-only disk only loses the cache
+  const write = async (file, png) => {
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, png);
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.warn("Tile cache write failed:", err.message);
+    }
+  };
+
+  const get = (key, render) => {
+    if (pending.has(key)) return pending.get(key);
+    const file = path.join(dir, `${key}.png`);
+    const job = (async () => {
+      const hit = await read(file);
+      if (hit) return { png: hit, cached: true };
+      const rendered = await render();
+      const tile = Buffer.isBuffer(rendered) ? { png: rendered } : rendered;
+      if (!tile.transient) await write(file, tile.png);
+      return { ...tile, cached: false };
+    })().finally(() => pending.delete(key));
+    pending.set(key, job);
+    return job;
+  };
+
+  return { dir, ttlMs, get };
+};
+
+module.exports = {
+  TILE_SIZE,
+  TILE_CELLS,
+  TILE_MIN_ZOOM,
+  TILE_MAX_ZOOM,
+  COLOR_RAMPS,
+  parseColorRamp,
+  parseTileRequest,
+  tileBounds,
+  isOnDemandZoom,
+  tileCellSize,
+  renderTile,
+  emptyTile,
+  gridClassAt,
+  rasterClassAt,
+  loadHazardRaster,
+  tileIntersects,
+  createTileCache,
+};
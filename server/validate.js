@@ -0,0 +1,145 @@
+/**
+ * Inventory Validation CLI
+ * Checks the FoS model against a landslide inventory in two stages so that the
+ * scoring can be rerun offline:
+ *
+ *   node validate.js record <inventory.csv|.geojson> <inputs.json>
+ *     Collects the same site inputs as /predict for every point (historical
+ *     weather for points with a date) and saves them
+ *
+ *   node validate.js report <inputs.json> [report.json] [--depth 2.5] [--model id] [--profile id]
+ *     Runs the model on the recorded inputs and prints the confusion matrices,
+ *     ROC/AUC and suggested risk-level thresholds for the parameter profile
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { collectSiteInputs } = require("./index");
+const { getModel, parseModelSelection } = require("./models");
+const { parseProfileSelection } = require("./profiles");
+const { parseInventoryCsv, parseInventoryGeoJson, buildValidationReport } = require("./validation");
+
+const DEFAULT_DEPTH = 2.5;
+
+const usage = () => {
+  console.error("Usage:");
+  console.error("  node validate.js record <inventory.csv|.geojson> <inputs.json>");
+  console.error("  node validate.js report <inputs.json> [report.json] [--depth m] [--model id] [--profile id]");
+  process.exit(1);
+};
+
+const readInventory = (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  return ext === ".geojson" || ext === ".json" ? parseInventoryGeoJson(text) : parseInventoryCsv(text);
+};
+
+// Split "--name value" flags from positional arguments
+const parseArgs = (argv) => {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) flags[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  return { flags, positional };
+};
+
+/**
+ * Collect and save the site inputs of every inventory point
+ * Points over water or ice are kept with a skip reason so the report can list them
+ */
+const record = async (inventoryFile, outFile) => {
+  const points = readInventory(inventoryFile);
+  const records = [];
+
+  for (const [i, point] of points.entries()) {
+    const entry = { id: point.id, lat: point.lat, lon: point.lon, date: point.date, event: point.event };
+    try {
+      const site = await collectSiteInputs(point.lat, point.lon, point.date ? { date: point.date } : {});
+      const { weather, topo, soil, climate, landCover } = site;
+      if (topo && (topo.isWater || topo.isIce)) {
+        entry.skipped = topo.isWater ? "water body" : "ice-covered area";
+      } else {
+        entry.features = { ...weather, ...topo, ...soil, climate, land_cover: landCover };
+      }
+    } catch (err) {
+      entry.skipped = err.message;
+    }
+    records.push(entry);
+    console.log(`[${i + 1}/${points.length}] ${entry.id}${entry.skipped ? ` skipped: ${entry.skipped}` : ""}`);
+  }
+
+  fs.writeFileSync(outFile, JSON.stringify({ inventory: path.basename(inventoryFile), recorded_at: new Date().toISOString(), records }, null, 2));
+  console.log(`Recorded ${records.filter(r => r.features).length} of ${records.length} points to ${outFile}`);
+};
+
+/**
+ * Score the recorded inputs; runs entirely offline
+ */
+const report = (inputsFile, outFile, { depth = DEFAULT_DEPTH, model, profile } = {}) => {
+  const { records } = JSON.parse(fs.readFileSync(inputsFile, "utf8"));
+  const [modelId] = parseModelSelection(model);
+  const run = getModel(modelId).run;
+  const parameters = parseProfileSelection(profile);
+
+  const scored = records.filter(r => r.features);
+  const results = scored.map((r) => {
+    const prediction = run({ ...r.features, depth }, { parameters });
+    return { id: r.id, event: r.event, FoS: prediction.FoS, risk_level: prediction.risk_level };
+  });
+
+  const result = {
+    model: modelId,
+    parameter_profile: parameters.id,
+    depth,
+    skipped: records.filter(r => !r.features).map(r => ({ id: r.id, reason: r.skipped })),
+    ...buildValidationReport(results, parameters.risk_thresholds),
+    results
+  };
+
+  const { roc, suggested_thresholds: suggested } = result;
+  console.log(`Model ${modelId}, profile ${parameters.id}, slip depth ${depth} m: ${result.events} events, ${result.non_events} non-events, ${result.skipped.length} skipped`);
+  for (const [level, m] of Object.entries(result.confusion)) {
+    console.log(`  FoS < ${m.threshold} (${level}): TP ${m.tp} FP ${m.fp} TN ${m.tn} FN ${m.fn}, sensitivity ${m.sensitivity}, specificity ${m.specificity}`);
+  }
+  console.log(`  AUC: ${roc.auc}`);
+  if (suggested) {
+    console.log(`  Suggested thresholds: Extreme ${suggested.Extreme}, High ${suggested.High}, Medium ${suggested.Medium} (Youden J ${suggested.youden_J})`);
+    for (const note of suggested.notes) console.log(`    ${note}`);
+  }
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+    console.log(`Report written to ${outFile}`);
+  }
+  return result;
+};
+
+if (require.main === module) {
+  const [stage, ...rest] = process.argv.slice(2);
+  const { flags, positional } = parseArgs(rest);
+
+  if (stage === "record" && positional.length === 2) {
+    record(positional[0], positional[1])
+      .then(() => process.exit(0))
+      .catch((err) => {
+        console.error("Recording failed:", err.message);
+        process.exit(1);
+      });
+  } else if (stage === "report" && positional.length >= 1) {
+    const depth = flags.depth !== undefined ? Number(flags.depth) : DEFAULT_DEPTH;
+    if (!(depth > 0)) usage();
+    try {
+      report(positional[0], positional[1], { depth, model: flags.model, profile: flags.profile });
+      process.exit(0);
+    } catch (err) {
+      console.error("Report failed:", err.message);
+      process.exit(1);
+    }
+  } else {
+    usage();
+  }
+}
+
+module.exports = { record, report };
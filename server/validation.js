@@ -0,0 +1,237 @@
+/**
+ * Validation Module
+ * Landslide inventory parsing (CSV or GeoJSON points flagged as event or
+ * non-event) and skill scores for the FoS: confusion matrices, ROC/AUC and
+ * suggested risk-level thresholds
+ */
+
+const TRUE_VALUES = ["1", "true", "yes", "y", "event", "landslide"];
+const FALSE_VALUES = ["0", "false", "no", "n", "none", "non-event", "nonevent"];
+
+// Suggested thresholds: Extreme keeps false alarms rare, Medium misses few events
+const TARGET_SPECIFICITY = 0.95;
+const TARGET_SENSITIVITY = 0.95;
+
+const parseEventFlag = (raw) => {
+  const v = String(raw ?? "").trim().toLowerCase();
+  if (TRUE_VALUES.includes(v)) return true;
+  if (FALSE_VALUES.includes(v)) return false;
+  return null;
+};
+
+/**
+ * Validate and normalise one inventory point
+ * @returns {object} { id, lat, lon, date, event }
+ * @throws {Error} When coordinates, date or event flag are invalid
+ */
+const normalisePoint = (raw, index) => {
+  const lat = Number(raw.lat ?? raw.latitude);
+  const lon = Number(raw.lon ?? raw.lng ?? raw.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`point ${index + 1}: invalid coordinates`);
+  }
+  const event = parseEventFlag(raw.event ?? raw.landslide ?? raw.type);
+  if (event === null) throw new Error(`point ${index + 1}: event must be yes/no (1/0, true/false)`);
+
+  const date = raw.date ? String(raw.date).trim() : null;
+  if (date !== null && !/^\d{4}-\d{2}-\d{2}(T\d{2}(:\d{2})?)?$/.test(date)) {
+    throw new Error(`point ${index + 1}: date must be YYYY-MM-DD or YYYY-MM-DDTHH:mm`);
+  }
+
+  return { id: raw.id !== undefined && raw.id !== "" ? String(raw.id) : String(index + 1), lat, lon, date, event };
+};
+
+// Split one CSV line, honouring double-quoted fields with "" escapes
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+};
+
+/**
+ * Parse a CSV inventory with a header row
+ * Columns: lat/latitude, lon/lng/longitude, event (or landslide/type), optional date and id
+ * @param {string} text
+ * @returns {object[]} Points { id, lat, lon, date, event }
+ */
+const parseInventoryCsv = (text) => {
+  const lines = String(text).split(/\r?\n/).filter(l => l.trim() !== "" && !l.trim().startsWith("#"));
+  if (lines.length < 2) throw new Error("inventory CSV needs a header row and at least one point");
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+
+  return lines.slice(1).map((line, i) => {
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((h, j) => [h, values[j]]));
+    return normalisePoint(row, i);
+  });
+};
+
+/**
+ * Parse a GeoJSON inventory (Point features; event, date and id in properties)
+ * @param {string|object} input - GeoJSON text or object
+ * @returns {object[]} Points { id, lat, lon, date, event }
+ */
+const parseInventoryGeoJson = (input) => {
+  const geojson = typeof input === "string" ? JSON.parse(input) : input;
+  const features = geojson && Array.isArray(geojson.features) ? geojson.features : null;
+  if (!features) throw new Error("inventory GeoJSON must be a FeatureCollection");
+
+  return features.map((feature, i) => {
+    const geometry = feature.geometry || {};
+    if (geometry.type !== "Point") throw new Error(`point ${i + 1}: geometry must be a Point`);
+    const [lon, lat] = geometry.coordinates;
+    const props = feature.properties || {};
+    return normalisePoint({ ...props, id: props.id ?? feature.id, lat, lon }, i);
+  });
+};
+
+/**
+ * Confusion matrix for "FoS below threshold" as the landslide prediction
+ * @param {object[]} results - [{ FoS, event }]
+ * @param {number} threshold
+ */
+const confusionMatrix = (results, threshold) => {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  for (const r of results) {
+    const predicted = r.FoS < threshold;
+    if (predicted && r.event) tp++;
+    else if (predicted) fp++;
+    else if (r.event) fn++;
+    else tn++;
+  }
+  const ratio = (a, b) => (b > 0 ? Number((a / b).toFixed(4)) : null);
+  return {
+    threshold,
+    tp, fp, tn, fn,
+    sensitivity: ratio(tp, tp + fn),
+    specificity: ratio(tn, tn + fp),
+    precision: ratio(tp, tp + fp),
+    accuracy: ratio(tp + tn, results.length)
+  };
+};
+
+/**
+ * ROC curve with a low FoS as the positive score
+ * Each point is the classifier "FoS < threshold"; tied FoS values move together
+ * @returns {object} { auc, points: [{ threshold, tpr, fpr }] }
+ */
+const rocCurve = (results) => {
+  const positives = results.filter(r => r.event).length;
+  const negatives = results.length - positives;
+  if (positives === 0 || negatives === 0) return { auc: null, points: [] };
+
+  const sorted = [...results].sort((a, b) => a.FoS - b.FoS);
+  const points = [{ threshold: sorted[0].FoS, tpr: 0, fpr: 0 }];
+  let tp = 0;
+  let fp = 0;
+  let auc = 0;
+
+  for (let i = 0; i < sorted.length; ) {
+    const fos = sorted[i].FoS;
+    for (; i < sorted.length && sorted[i].FoS === fos; i++) {
+      if (sorted[i].event) tp++;
+      else fp++;
+    }
+    const prev = points[points.length - 1];
+    const point = {
+      // Just above this FoS so that the tied group counts as predicted
+      threshold: i < sorted.length ? (fos + sorted[i].FoS) / 2 : fos + 1e-6,
+      tpr: tp / positives,
+      fpr: fp / negatives
+    };
+    auc += ((point.fpr - prev.fpr) * (point.tpr + prev.tpr)) / 2;
+    points.push(point);
+  }
+
+  return {
+    auc: Number(auc.toFixed(4)),
+    points: points.map(p => ({ threshold: Number(p.threshold.toFixed(4)), tpr: Number(p.tpr.toFixed(4)), fpr: Number(p.fpr.toFixed(4)) }))
+  };
+};
+
+/**
+ * Thresholds suggested by the ROC curve, strictly increasing as risk profiles require
+ * - High: maximises Youden's J (sensitivity + specificity - 1)
+ * - Extreme: largest threshold below High with specificity >= TARGET_SPECIFICITY
+ * - Medium: smallest threshold above High with sensitivity >= TARGET_SENSITIVITY
+ * A level with no separate threshold is null and explained in notes
+ */
+const suggestThresholds = (roc) => {
+  if (!roc.points.length) return null;
+  const candidates = roc.points.slice(1);
+
+  const youden = candidates.reduce((best, p) => (!best || p.tpr - p.fpr > best.tpr - best.fpr ? p : best), null);
+  const specific = candidates.filter(p => p.threshold < youden.threshold && 1 - p.fpr >= TARGET_SPECIFICITY);
+  const sensitive = candidates.filter(p => p.threshold > youden.threshold && p.tpr >= TARGET_SENSITIVITY);
+
+  const notes = [];
+  if (!specific.length) notes.push(`No threshold below High reaches specificity ${TARGET_SPECIFICITY}; Extreme not suggested`);
+  if (!sensitive.length) notes.push(`No threshold above High reaches sensitivity ${TARGET_SENSITIVITY}; Medium not suggested`);
+
+  return {
+    Extreme: specific.length ? specific[specific.length - 1].threshold : null,
+    High: youden.threshold,
+    Medium: sensitive.length ? sensitive[0].threshold : null,
+    youden_J: Number((youden.tpr - youden.fpr).toFixed(4)),
+    targets: { extreme_specificity: TARGET_SPECIFICITY, medium_sensitivity: TARGET_SENSITIVITY },
+    notes
+  };
+};
+
+/**
+ * Validation report for model results
+ * @param {object[]} results - [{ id, FoS, risk_level, event }]
+ * @param {object} thresholds - Current { Extreme, High, Medium } FoS bounds
+ */
+const buildValidationReport = (results, thresholds) => {
+  const roc = rocCurve(results);
+  const byLevel = {};
+  for (const r of results) {
+    byLevel[r.risk_level] = byLevel[r.risk_level] || { events: 0, non_events: 0 };
+    byLevel[r.risk_level][r.event ? "events" : "non_events"]++;
+  }
+
+  return {
+    points: results.length,
+    events: results.filter(r => r.event).length,
+    non_events: results.filter(r => !r.event).length,
+    current_thresholds: thresholds,
+    confusion: Object.fromEntries(
+      Object.entries(thresholds).map(([level, t]) => [level, confusionMatrix(results, t)])
+    ),
+    risk_levels: byLevel,
+    roc,
+    suggested_thresholds: suggestThresholds(roc)
+  };
+};
+
+module.exports = {
+  parseInventoryCsv,
+  parseInventoryGeoJson,
+  confusionMatrix,
+  rocCurve,
+  suggestThresholds,
+  buildValidationReport,
+};